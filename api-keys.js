@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+// =============================================================================
+// API KEYS (hashed, scoped, expiring, reloaded from disk on change)
+// =============================================================================
+
+const log = createLogger('AUTH');
+
+// `admin` grants every other scope
+const SCOPES = ['cache:write', 'cache:refresh', 'backups:read', 'admin'];
+
+// { "keys": [{ "name", "hash": "sha256:<hex>", "scopes": [...], "expiresAt": ISO date | null, "createdAt" }] }
+const API_KEYS_FILE = process.env.FX_API_KEYS_FILE || path.join(__dirname, 'api-keys.json');
+
+// Accepted only while no other key is configured, and never in production
+const DEFAULT_API_KEY = 'CHANGE_THIS_IN_PRODUCTION';
+
+// How often a request may check the key file for changes
+const RELOAD_CHECK_MS = 1000;
+
+const HASH_PATTERN = /^sha256:[0-9a-f]{64}$/;
+
+/**
+ * Keys are 256-bit random values, so an unsalted SHA-256 is enough to keep the file useless to a reader
+ */
+const hashKey = (key) => `sha256:${crypto.createHash('sha256').update(String(key)).digest('hex')}`;
+
+const generateKey = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Validate a parsed key file (throws on invalid entries)
+ */
+const normalizeKeyFile = (config) => {
+  const entries = config?.keys;
+  if (!Array.isArray(entries)) {
+    throw new Error('API key file must contain a "keys" array');
+  }
+  const names = new Set();
+  return entries.map((entry, index) => {
+    const label = `API key ${entry?.name || index}`;
+    if (typeof entry?.name !== 'string' || entry.name.length === 0) {
+      throw new Error(`API key ${index} needs a "name"`);
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`Duplicate API key name "${entry.name}"`);
+    }
+    names.add(entry.name);
+    if (!HASH_PATTERN.test(entry.hash || '')) {
+      throw new Error(`${label} needs a "hash" of the form sha256:<64 hex chars>`);
+    }
+    if (!Array.isArray(entry.scopes) || entry.scopes.length === 0 || entry.scopes.some(scope => !SCOPES.includes(scope))) {
+      throw new Error(`${label} needs "scopes" from: ${SCOPES.join(', ')}`);
+    }
+    if (entry.expiresAt != null && isNaN(Date.parse(entry.expiresAt))) {
+      throw new Error(`${label} has an invalid "expiresAt"`);
+    }
+    return {
+      name: entry.name,
+      hash: entry.hash,
+      scopes: entry.scopes,
+      expiresAt: entry.expiresAt ?? null,
+      createdAt: entry.createdAt ?? null
+    };
+  });
+};
+
+/**
+ * Read and validate a key file; a missing file means no keys
+ */
+const readKeyFile = (file) => {
+  try {
+    return normalizeKeyFile(JSON.parse(fs.readFileSync(file, 'utf-8')));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw Object.assign(new Error(`Invalid API key file ${file}: ${error.message}`), { cause: error });
+  }
+};
+
+/**
+ * Write a key file via a temp file, so the server never reloads half of it
+ */
+const writeKeyFile = (file, keys) => {
+  const tempPath = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, `${JSON.stringify({ keys }, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tempPath, file);
+};
+
+// writeKeyFile renames a new file into place, so the inode changes even within one mtime tick
+const fileVersion = (stats) => `${stats.ino}:${stats.mtimeMs}`;
+
+const hasScope = (key, scope) => key.scopes.includes('admin') || key.scopes.includes(scope);
+
+const isExpired = (key, now = Date.now()) => key.expiresAt !== null && Date.parse(key.expiresAt) <= now;
+
+/**
+ * Keys from `file` plus the optional FX_CACHE_API_KEY, re-read when the file changes
+ *
+ * The file is checked at most once per RELOAD_CHECK_MS, so keys can be added, rotated
+ * or revoked without a restart. A file that fails validation is logged and the
+ * previously loaded keys stay in force.
+ *
+ * Whether the default key may be used is decided once, at creation: only outside
+ * production and only when no key is configured. Emptying the file later never
+ * brings it back.
+ *
+ * @param {{ file?: string, envKey?: string, production?: boolean, now?: Function }} [options]
+ */
+const createKeyStore = ({
+  file = API_KEYS_FILE,
+  envKey = process.env.FX_CACHE_API_KEY,
+  production = process.env.NODE_ENV === 'production',
+  now = Date.now
+} = {}) => {
+  let fileKeys = readKeyFile(file);
+  let loadedVersion = fs.existsSync(file) ? fileVersion(fs.statSync(file)) : null;
+  let lastCheck = now();
+
+  // FX_CACHE_API_KEY keeps working as a single admin key
+  const envEntry = envKey && envKey !== DEFAULT_API_KEY
+    ? { name: 'env', hash: hashKey(envKey), scopes: ['admin'], expiresAt: null, createdAt: null }
+    : null;
+  const defaultEntry = { name: 'default', hash: hashKey(DEFAULT_API_KEY), scopes: ['admin'], expiresAt: null, createdAt: null };
+
+  // No key configured at startup (the server refuses to start like this in production)
+  const startedWithoutKeys = !envEntry && fileKeys.length === 0;
+  const defaultKeyAllowed = startedWithoutKeys && !production;
+
+  const usesDefaultKey = () => startedWithoutKeys;
+
+  // Keys added to the file while running take over from the default key
+  const activeKeys = () => [
+    ...fileKeys,
+    ...(envEntry ? [envEntry] : []),
+    ...(defaultKeyAllowed && fileKeys.length === 0 ? [defaultEntry] : [])
+  ];
+
+  const reloadIfChanged = async () => {
+    if (now() - lastCheck < RELOAD_CHECK_MS) {
+      return;
+    }
+    lastCheck = now();
+    let version = null;
+    try {
+      version = fileVersion(await fs.promises.stat(file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error('Cannot stat API key file', { file, error });
+        return;
+      }
+    }
+    if (version === loadedVersion) {
+      return;
+    }
+    // Remembered even when rejected, so a bad file is reported once rather than on every check
+    loadedVersion = version;
+    try {
+      fileKeys = readKeyFile(file);
+      log.info('API key file reloaded', { file, keys: fileKeys.map(key => key.name) });
+    } catch (error) {
+      log.error('API key file rejected, keeping previous keys', { file, error });
+    }
+  };
+
+  return {
+    usesDefaultKey,
+    /**
+     * The key entry matching `presented`, or null
+     *
+     * Every configured hash is compared with timingSafeEqual, without stopping at a match,
+     * so timing reveals neither which key matched nor how much of it did.
+     */
+    async authenticate(presented) {
+      await reloadIfChanged();
+      const digest = Buffer.from(hashKey(presented).slice('sha256:'.length), 'hex');
+      let match = null;
+      for (const key of activeKeys()) {
+        const equal = crypto.timingSafeEqual(digest, Buffer.from(key.hash.slice('sha256:'.length), 'hex'));
+        if (equal && !match) {
+          match = key;
+        }
+      }
+      return match;
+    },
+    // Names, scopes and expiry of the active keys (never hashes)
+    list: () => activeKeys().map(({ name, scopes, expiresAt }) => ({ name, scopes, expiresAt, expired: isExpired({ expiresAt }, now()) }))
+  };
+};
+
+module.exports = {
+  SCOPES,
+  API_KEYS_FILE,
+  DEFAULT_API_KEY,
+  hashKey,
+  generateKey,
+  readKeyFile,
+  writeKeyFile,
+  hasScope,
+  isExpired,
+  createKeyStore
+};
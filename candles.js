@@ -0,0 +1,123 @@
+const { tradingDate, formatTimestamp } = require('./exchange-time');
+const { resampleCandles } = require('./resample');
+
+// =============================================================================
+// CANDLE EXTRACTION
+// =============================================================================
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Round to `digits` decimals; null and non-finite values come back as null
+ */
+const round = (value, digits = 6) => (value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+
+/**
+ * Turn a Yahoo chart result into a list of OHLCV candles
+ *
+ * A row with a null close takes its adjusted close instead when Yahoo sends
+ * one; rows with neither are Yahoo placeholders (no trades in that slot) and
+ * are dropped. A row that has a close but is missing open/high/low falls back
+ * to the close, so every returned candle can be drawn. `adjclose` is only set
+ * when Yahoo sends an adjusted close series (equities, not FX).
+ */
+const extractCandles = (result) => {
+  const timestamps = result?.timestamp || [];
+  const quote = result?.indicators?.quote?.[0] || {};
+  const adjclose = result?.indicators?.adjclose?.[0]?.adjclose;
+  const candles = [];
+  let dropped = 0;
+
+  timestamps.forEach((timestamp, index) => {
+    const close = isFiniteNumber(quote.close?.[index]) ? quote.close[index] : adjclose?.[index];
+    if (!isFiniteNumber(close)) {
+      dropped++;
+      return;
+    }
+
+    const open = isFiniteNumber(quote.open?.[index]) ? quote.open[index] : close;
+    const high = isFiniteNumber(quote.high?.[index]) ? quote.high[index] : Math.max(open, close);
+    const low = isFiniteNumber(quote.low?.[index]) ? quote.low[index] : Math.min(open, close);
+    const volume = isFiniteNumber(quote.volume?.[index]) ? quote.volume[index] : null;
+
+    const candle = { timestamp, open, high, low, close, volume };
+    if (adjclose) {
+      candle.adjclose = isFiniteNumber(adjclose[index]) ? adjclose[index] : close;
+    }
+
+    candles.push(candle);
+  });
+
+  return { candles, dropped };
+};
+
+// Subset of the Yahoo `meta` block that clients need to label a chart
+const META_FIELDS = [
+  'symbol',
+  'currency',
+  'exchangeName',
+  'instrumentType',
+  'exchangeTimezoneName',
+  'timezone',
+  'gmtoffset',
+  'regularMarketPrice',
+  'regularMarketTime',
+  'chartPreviousClose',
+  'dataGranularity',
+  'range'
+];
+
+/**
+ * Pick the client-facing fields from a Yahoo chart result's `meta` block
+ */
+const pickMeta = (result) => {
+  const meta = result?.meta || {};
+  return Object.fromEntries(
+    META_FIELDS.filter(field => meta[field] !== undefined).map(field => [field, meta[field]])
+  );
+};
+
+/**
+ * Rows of a /api/yahoo response built from a provider chart
+ *
+ * 4h is resampled into UTC-aligned buckets in both field modes; `ohlcv` returns
+ * every candle with its date, `close` the last 14 `{ date, close }` rows. Daily
+ * rows are dated by trading date, intraday rows in `timeZone` (UTC when null).
+ */
+const chartRows = (chart, { interval, fields = 'close', timeZone = null }) => {
+  if (interval === '4h') {
+    const buckets = resampleCandles(chart.candles, { hours: 4 });
+    return timeZone ? buckets.map(bucket => ({ ...bucket, date: formatTimestamp(bucket.timestamp, timeZone) })) : buckets;
+  }
+
+  const daily = /^\d+(d|wk|mo)$/.test(interval);
+  const dateOf = (timestamp) => (daily ? tradingDate(timestamp, chart.meta) : formatTimestamp(timestamp, timeZone));
+  if (fields === 'ohlcv') {
+    return chart.candles.map(candle => ({ date: dateOf(candle.timestamp), ...candle }));
+  }
+  return chart.candles.slice(-14).map(candle => ({ date: dateOf(candle.timestamp), close: candle.close }));
+};
+
+// =============================================================================
+// CACHE ROWS (4H rows carry `timestamp`, 1D rows only their trading `date`)
+// =============================================================================
+
+/**
+ * Unix seconds of a row, for ordering and range filters (1D dates are placed at UTC midnight)
+ */
+const rowTime = (row) => (row.timestamp !== undefined ? row.timestamp : Date.parse(`${row.date}T00:00:00Z`) / 1000);
+
+/**
+ * Identity of a row within its series: the timestamp (4H) or the date (1D)
+ */
+const rowKey = (row) => String(row?.timestamp ?? row?.date);
+
+module.exports = {
+  isFiniteNumber,
+  round,
+  rowTime,
+  rowKey,
+  extractCandles,
+  pickMeta,
+  chartRows
+};
@@ -0,0 +1,166 @@
+// =============================================================================
+// EXCHANGE TIME (trading dates and timestamps rendered in a time zone)
+// =============================================================================
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter giving the wall-clock parts of an instant in `timeZone`
+ * (throws RangeError for unknown zones)
+ */
+const partsFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock fields of a unix timestamp (seconds) in `timeZone`
+ */
+const zonedParts = (timestamp, timeZone) => Object.fromEntries(
+  partsFormatter(timeZone).formatToParts(new Date(timestamp * 1000))
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, part.value])
+);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Offset of `timeZone` from UTC at a unix timestamp (seconds), in minutes east of UTC
+ */
+const utcOffsetMinutes = (timestamp, timeZone) => {
+  const { year, month, day, hour, minute, second } = zonedParts(timestamp, timeZone);
+  return Math.round((Date.UTC(year, month - 1, day, hour, minute, second) / 1000 - timestamp) / 60);
+};
+
+/**
+ * Calendar date (YYYY-MM-DD) a bar trades on, taken from the upstream chart meta
+ *
+ * Yahoo stamps daily bars at the session start in the exchange's zone (e.g. midnight
+ * London for FX pairs, which is 23:00 UTC the day before in summer), so the UTC date
+ * can be a day off. `exchangeTimezoneName` is used when it is a known zone, otherwise
+ * `gmtoffset` (seconds), otherwise UTC.
+ *
+ * @param {number} timestamp - unix seconds
+ * @param {{ exchangeTimezoneName?: string, gmtoffset?: number }} [meta]
+ */
+const tradingDate = (timestamp, meta = {}) => {
+  if (isValidTimeZone(meta.exchangeTimezoneName)) {
+    const { year, month, day } = zonedParts(timestamp, meta.exchangeTimezoneName);
+    return `${year}-${month}-${day}`;
+  }
+  const offset = Number.isFinite(meta.gmtoffset) ? meta.gmtoffset : 0;
+  return new Date((timestamp + offset) * 1000).toISOString().split('T')[0];
+};
+
+/**
+ * Trading date of a daily bar that was labelled with its UTC date
+ *
+ * Bars are stamped at midnight in the exchange zone, so in zones ahead of UTC the UTC
+ * date is the day before (midnight London in summer is 23:00 UTC). Re-labels rows
+ * stored before tradingDate() was used; other values are returned unchanged.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} timeZone - the exchange zone the bars were stamped in
+ */
+const tradingDateFromUtcDate = (date, timeZone) => {
+  const start = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? Date.parse(`${date}T00:00:00Z`) : NaN;
+  if (isNaN(start) || !isValidTimeZone(timeZone)) {
+    return date;
+  }
+  const nextMidnight = start / 1000 + DAY_SECONDS;
+  return utcOffsetMinutes(nextMidnight, timeZone) > 0 ? new Date(nextMidnight * 1000).toISOString().split('T')[0] : date;
+};
+
+/**
+ * Daily rows labelled by UTC date, re-labelled by trading date (see tradingDateFromUtcDate);
+ * when two rows land on the same date the later one wins
+ */
+const relabelDailyRows = (rows, timeZone) => {
+  const byDate = new Map();
+  for (const row of rows) {
+    const date = tradingDateFromUtcDate(row?.date, timeZone);
+    byDate.delete(date);
+    byDate.set(date, date === row?.date ? row : { ...row, date });
+  }
+  return [...byDate.values()];
+};
+
+/**
+ * ISO-8601 timestamp in `timeZone` with its UTC offset, e.g. 2026-10-13T12:00:00.000-04:00;
+ * no zone keeps the UTC `Z` form
+ *
+ * @param {number} timestamp - unix seconds
+ * @param {string|null} [timeZone]
+ */
+const formatTimestamp = (timestamp, timeZone = null) => {
+  if (!timeZone) {
+    return new Date(timestamp * 1000).toISOString();
+  }
+  const { year, month, day, hour, minute, second } = zonedParts(timestamp, timeZone);
+  const offsetMinutes = utcOffsetMinutes(timestamp, timeZone);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}.000${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+/**
+ * Validate a `tz=` query value (throws with status 400)
+ *
+ * Accepts an IANA zone name (`America/New_York`, `UTC`) or `exchange` for the
+ * instrument's own exchange zone. Undefined means UTC.
+ */
+const parseTimeZone = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+  if (value === 'exchange' || isValidTimeZone(value)) {
+    return value;
+  }
+  throw Object.assign(new Error('tz must be an IANA time zone (e.g. America/New_York, Asia/Tokyo, UTC) or "exchange"'), { status: 400 });
+};
+
+/**
+ * The zone a `tz=` value renders in for a given chart: `exchange` maps to the chart's
+ * exchange zone (UTC when unknown)
+ */
+const resolveTimeZone = (tz, meta = {}) => {
+  if (tz !== 'exchange') {
+    return tz;
+  }
+  return isValidTimeZone(meta.exchangeTimezoneName) ? meta.exchangeTimezoneName : 'UTC';
+};
+
+module.exports = {
+  isValidTimeZone,
+  tradingDate,
+  tradingDateFromUtcDate,
+  relabelDailyRows,
+  formatTimestamp,
+  parseTimeZone,
+  resolveTimeZone
+};
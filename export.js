@@ -0,0 +1,150 @@
+// =============================================================================
+// CSV / NDJSON EXPORT
+// =============================================================================
+
+const FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+// Fixed column sets so the CSV header only depends on the kind of rows, never on the data
+const COLUMNS = {
+  daily: ['date', 'close'],
+  candle: ['date', 'timestamp', 'open', 'high', 'low', 'close', 'volume', 'adjclose'],
+  bucket: ['date', 'timestamp', 'open', 'high', 'low', 'close', 'volume', 'complete', 'missingHours']
+};
+
+// Lines are written in batches; the response is awaited whenever its buffer is full
+const BATCH_SIZE = 500;
+
+/**
+ * Pick the response format from `?format=` or, failing that, the Accept header
+ *
+ * @returns {'json'|'csv'|'ndjson'}
+ * @throws {Error} with status 400 for an unknown `?format=`
+ */
+const negotiateFormat = (req) => {
+  const { format } = req.query;
+  if (format !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+      throw Object.assign(new Error(`format must be one of: ${Object.keys(FORMATS).join(', ')}`), { status: 400 });
+    }
+    return format;
+  }
+  // Browsers and clients without a preference get JSON, as before
+  const accepted = req.accepts([FORMATS.json, FORMATS.csv, FORMATS.ndjson]);
+  return Object.keys(FORMATS).find(key => FORMATS[key] === accepted) || 'json';
+};
+
+/**
+ * Flatten indicator series into per-row columns named like `sma_20` or `bbands_20_2_upper`
+ *
+ * @param {Array<Object>} rows
+ * @param {Object} [indicators] - output of computeIndicators, index-aligned with `rows`
+ * @returns {{ rows: Array<Object>, columns: string[] }} rows with the extra fields and their column names
+ */
+const withIndicatorColumns = (rows, indicators = {}) => {
+  const extractors = [];
+  for (const [id, indicator] of Object.entries(indicators)) {
+    const prefix = id.replace(/:/g, '_');
+    if (indicator.type === 'bbands') {
+      for (const band of ['upper', 'middle', 'lower']) {
+        extractors.push({ column: `${prefix}_${band}`, get: index => indicator.values[index]?.[band] ?? null });
+      }
+    } else {
+      extractors.push({ column: prefix, get: index => indicator.values[index] });
+    }
+  }
+
+  return {
+    rows: extractors.length === 0 ? rows : rows.map((row, index) => ({
+      ...row,
+      ...Object.fromEntries(extractors.map(({ column, get }) => [column, get(index)]))
+    })),
+    columns: extractors.map(({ column }) => column)
+  };
+};
+
+/**
+ * One CSV field: empty for null/undefined, quoted when it contains a delimiter, quote or newline
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvField).join(',')}\n`;
+
+/**
+ * Write lines to the response in batches, waiting for `drain` when the socket is
+ * backed up so a large export is never held in memory as one string
+ *
+ * @param {Iterable<string>} lines
+ */
+const writeLines = async (res, lines) => {
+  let batch = [];
+  const flush = async () => {
+    const chunk = batch.join('');
+    batch = [];
+    if (!res.write(chunk)) {
+      await new Promise(resolve => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    }
+  };
+
+  for (const line of lines) {
+    batch.push(line);
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+      if (res.destroyed) {
+        return;
+      }
+    }
+  }
+  if (batch.length > 0) {
+    await flush();
+  }
+  res.end();
+};
+
+/**
+ * Stream rows as CSV (with a header of `columns`) or NDJSON (one object per line)
+ *
+ * @param {Object} res - express response
+ * @param {{ format: 'csv'|'ndjson', columns: string[], rows: Iterable<Object>, filename?: string }} options
+ */
+const sendRows = async (res, { format, columns, rows, filename }) => {
+  res.type(format === 'csv' ? `${FORMATS.csv}; charset=utf-8` : FORMATS.ndjson);
+  if (filename) {
+    res.attachment(`${filename}.${format}`);
+  }
+
+  function* lines() {
+    if (format === 'csv') {
+      yield csvLine(columns);
+    }
+    for (const row of rows) {
+      yield format === 'csv' ? csvLine(columns.map(column => row[column])) : `${JSON.stringify(row)}\n`;
+    }
+  }
+  await writeLines(res, lines());
+};
+
+module.exports = {
+  FORMATS,
+  COLUMNS,
+  negotiateFormat,
+  withIndicatorColumns,
+  sendRows
+};
@@ -0,0 +1,167 @@
+const { INSTRUMENTS } = require('./fx-instruments');
+const { round, rowTime } = require('./candles');
+
+// =============================================================================
+// CROSS-ASSET ANALYTICS (returns, rolling correlation, beta, volatility)
+// =============================================================================
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Bars per year used to annualize realized volatility
+const PERIODS_PER_YEAR = {
+  '1D': 252,
+  '4H': 6 * 260 // six 4H bars per day, ~260 FX trading days
+};
+
+// Bars a rolling window may span
+const MIN_WINDOW = 2;
+const MAX_WINDOW = 250;
+
+/**
+ * Parse a `window` query value: a whole number of bars within MIN_WINDOW-MAX_WINDOW
+ *
+ * `Number()` rather than `parseInt()`, so `5abc` or `5.5` are rejected instead of read as 5.
+ *
+ * @returns {?number} the window, or null when the value is not such an integer
+ */
+const parseWindow = (value) => {
+  const window = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+  return Number.isInteger(window) && window >= MIN_WINDOW && window <= MAX_WINDOW ? window : null;
+};
+
+/**
+ * Log returns between consecutive rows, labelled with the later row's date/timestamp
+ */
+const logReturns = (rows) => rows.slice(1).map((row, index) => ({
+  time: rowTime(row),
+  date: row.date,
+  value: Math.log(row.close / rows[index].close)
+}));
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const covariance = (a, b) => {
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, value, index) => sum + (value - meanA) * (b[index] - meanB), 0) / (a.length - 1);
+};
+
+const stdev = (values) => Math.sqrt(covariance(values, values));
+
+/**
+ * Apply `fn` to every full window of `points`, labelled with the window's last point
+ */
+const rolling = (points, window, fn) => {
+  const result = [];
+  for (let end = window; end <= points.length; end++) {
+    const slice = points.slice(end - window, end);
+    result.push({ date: slice[slice.length - 1].date, value: round(fn(slice)) });
+  }
+  return result;
+};
+
+/**
+ * Percent change from the last row at or before `seconds` ago to the latest row
+ */
+const percentChangeOver = (rows, seconds) => {
+  if (rows.length < 2) {
+    return null;
+  }
+  const last = rows[rows.length - 1];
+  const cutoff = rowTime(last) - seconds;
+  const base = [...rows].reverse().find(row => rowTime(row) <= cutoff);
+  return base ? round((last.close / base.close - 1) * 100, 4) : null;
+};
+
+/**
+ * Pair two return series on matching timestamps
+ */
+const alignReturns = (a, b) => {
+  const byTime = new Map(b.map(point => [point.time, point]));
+  return a
+    .filter(point => byTime.has(point.time))
+    .map(point => ({ time: point.time, date: point.date, a: point.value, b: byTime.get(point.time).value }));
+};
+
+/**
+ * Analytics for one timeframe of the cache
+ */
+const analyzeTimeframe = (cache, timeframe, { window, benchmark }) => {
+  const periodsPerYear = PERIODS_PER_YEAR[timeframe];
+  const instruments = {};
+  const returnsById = {};
+
+  for (const instrument of INSTRUMENTS.filter(entry => entry.timeframes.includes(timeframe))) {
+    const key = `${instrument.id}${timeframe}`;
+    const rows = Array.isArray(cache[key]) ? cache[key] : [];
+    const returns = logReturns(rows);
+    returnsById[instrument.id] = returns;
+
+    const windowReturns = returns.slice(-window).map(point => point.value);
+    instruments[instrument.id] = {
+      series: key,
+      last: rows.length > 0 ? rows[rows.length - 1].close : null,
+      changes: {
+        '1D': percentChangeOver(rows, DAY_SECONDS),
+        '5D': percentChangeOver(rows, 5 * DAY_SECONDS),
+        window: rows.length > window ? round((rows[rows.length - 1].close / rows[rows.length - 1 - window].close - 1) * 100, 4) : null
+      },
+      realizedVolatility: windowReturns.length >= 2 ? round(stdev(windowReturns) * Math.sqrt(periodsPerYear)) : null,
+      returns: returns.map(point => ({ date: point.date, value: round(point.value) })),
+      rollingVolatility: rolling(returns, window, slice => stdev(slice.map(point => point.value)) * Math.sqrt(periodsPerYear))
+    };
+  }
+
+  const pairs = {};
+  if (returnsById[benchmark]) {
+    for (const id of Object.keys(returnsById).filter(id => id !== benchmark)) {
+      const aligned = alignReturns(returnsById[id], returnsById[benchmark]);
+      const correlation = rolling(aligned, window, slice => {
+        const a = slice.map(point => point.a);
+        const b = slice.map(point => point.b);
+        const denominator = stdev(a) * stdev(b);
+        return denominator > 0 ? covariance(a, b) / denominator : null;
+      });
+      const beta = rolling(aligned, window, slice => {
+        const b = slice.map(point => point.b);
+        const variance = covariance(b, b);
+        return variance > 0 ? covariance(slice.map(point => point.a), b) / variance : null;
+      });
+
+      pairs[`${id}/${benchmark}`] = {
+        observations: aligned.length,
+        latest: {
+          correlation: correlation.length > 0 ? correlation[correlation.length - 1].value : null,
+          beta: beta.length > 0 ? beta[beta.length - 1].value : null
+        },
+        correlation,
+        beta
+      };
+    }
+  }
+
+  return { periodsPerYear, instruments, pairs };
+};
+
+/**
+ * Full analytics payload for the cache
+ *
+ * @param {Object} cache - FX_CACHE-shaped object
+ * @param {{ window: number, benchmark: string, timeframes: string[] }} options
+ */
+const computeAnalytics = (cache, { window, benchmark, timeframes }) => ({
+  window,
+  benchmark,
+  timeframes: Object.fromEntries(
+    timeframes.map(timeframe => [timeframe, analyzeTimeframe(cache, timeframe, { window, benchmark })])
+  )
+});
+
+module.exports = {
+  PERIODS_PER_YEAR,
+  MIN_WINDOW,
+  MAX_WINDOW,
+  parseWindow,
+  logReturns,
+  computeAnalytics
+};
@@ -0,0 +1,169 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { SERIES, SERIES_KEYS } = require('./fx-instruments');
+const { relabelDailyRows } = require('./exchange-time');
+const { rowKey } = require('./candles');
+
+// =============================================================================
+// FX CACHE BACKUP FILES
+// =============================================================================
+
+// fx-cache-backup.json is the live disk copy; fx-cache-backup-<ts>.json are snapshots of earlier versions
+const BACKUP_DIR = process.env.FX_BACKUP_DIR || __dirname;
+const LIVE_BACKUP_PATH = path.join(BACKUP_DIR, 'fx-cache-backup.json');
+const BACKUP_PATTERN = /^fx-cache-backup-(\d+)\.json$/;
+
+// Number of timestamped snapshots kept on disk
+const MAX_BACKUPS = 10;
+
+// Cache objects carrying `dailyDates: DAILY_DATES` label 1D rows by exchange trading date;
+// backups written before that used the UTC date of each bar
+const DAILY_DATES = 'trading-date';
+
+/**
+ * Re-label the 1D series of a cache object written before DAILY_DATES, so old backups
+ * line up with current data in diffs and restores; marked caches are returned as-is
+ */
+const migrateDailyDates = (cache) => {
+  if (!cache || typeof cache !== 'object' || cache.dailyDates === DAILY_DATES) {
+    return cache;
+  }
+  const relabelled = SERIES
+    .filter(series => series.timeframe === '1D' && Array.isArray(cache[series.key]))
+    .map(series => [series.key, relabelDailyRows(cache[series.key], series.timezone)]);
+  return { ...cache, ...Object.fromEntries(relabelled), dailyDates: DAILY_DATES };
+};
+
+/**
+ * Parse a backup id from a route param: accepts `1697654321000` or `fx-cache-backup-1697654321000.json`
+ */
+const parseBackupId = (id) => {
+  const match = String(id).match(/^(?:fx-cache-backup-)?(\d+)(?:\.json)?$/);
+  return match ? parseInt(match[1]) : null;
+};
+
+const backupPath = (timestamp) => path.join(BACKUP_DIR, `fx-cache-backup-${timestamp}.json`);
+
+/**
+ * Timestamped snapshots on disk, newest first
+ */
+const listBackups = async () => {
+  const files = await fs.readdir(BACKUP_DIR);
+  return files
+    .filter(file => BACKUP_PATTERN.test(file))
+    .map(file => {
+      const timestamp = parseInt(file.match(BACKUP_PATTERN)[1]);
+      return {
+        filename: file,
+        path: path.join(BACKUP_DIR, file),
+        timestamp,
+        date: new Date(timestamp).toISOString()
+      };
+    })
+    .sort((a, b) => b.timestamp - a.timestamp);
+};
+
+/**
+ * Read and parse one snapshot (1D rows re-labelled if needed, see migrateDailyDates),
+ * resolves null when it does not exist
+ */
+const readBackup = async (timestamp) => {
+  try {
+    return migrateDailyDates(JSON.parse(await fs.readFile(backupPath(timestamp), 'utf-8')));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Copy the live disk backup to a new timestamped snapshot
+ *
+ * @returns {Promise<?string>} the snapshot path, or null when there was nothing to copy
+ */
+const snapshotLiveBackup = async () => {
+  try {
+    const existingData = await fs.readFile(LIVE_BACKUP_PATH, 'utf-8');
+    const snapshotPath = backupPath(Date.now());
+    await fs.writeFile(snapshotPath, existingData);
+    return snapshotPath;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Write a cache object as the live disk backup
+ */
+const writeLiveBackup = (cache) => fs.writeFile(LIVE_BACKUP_PATH, JSON.stringify(cache, null, 2));
+
+/**
+ * Delete all but the newest `keep` snapshots, returns the deleted filenames
+ */
+const pruneBackups = async (keep = MAX_BACKUPS) => {
+  const backups = await listBackups();
+  const deleted = [];
+  for (const backup of backups.slice(keep)) {
+    await fs.unlink(backup.path);
+    deleted.push(backup.filename);
+  }
+  return deleted;
+};
+
+/**
+ * Per-series diff between two cache objects (rows in `to` compared with rows in `from`)
+ */
+const diffCaches = (from, to) => {
+  const series = {};
+
+  for (const key of SERIES_KEYS) {
+    const fromRows = new Map((Array.isArray(from?.[key]) ? from[key] : []).map(row => [rowKey(row), row]));
+    const toRows = new Map((Array.isArray(to?.[key]) ? to[key] : []).map(row => [rowKey(row), row]));
+
+    const added = [...toRows.entries()].filter(([rowId]) => !fromRows.has(rowId)).map(([, row]) => row);
+    const removed = [...fromRows.entries()].filter(([rowId]) => !toRows.has(rowId)).map(([, row]) => row);
+    const changed = [...toRows.entries()]
+      .filter(([rowId, row]) => fromRows.has(rowId) && JSON.stringify(fromRows.get(rowId)) !== JSON.stringify(row))
+      .map(([rowId, row]) => ({ key: rowId, from: fromRows.get(rowId), to: row }));
+
+    series[key] = {
+      added,
+      removed,
+      changed,
+      unchanged: toRows.size - added.length - changed.length
+    };
+  }
+
+  const summary = Object.values(series).reduce((totals, diff) => ({
+    added: totals.added + diff.added.length,
+    removed: totals.removed + diff.removed.length,
+    changed: totals.changed + diff.changed.length
+  }), { added: 0, removed: 0, changed: 0 });
+
+  return {
+    lastUpdate: { from: from?.lastUpdate ?? null, to: to?.lastUpdate ?? null },
+    identical: summary.added === 0 && summary.removed === 0 && summary.changed === 0,
+    summary,
+    series
+  };
+};
+
+module.exports = {
+  BACKUP_DIR,
+  LIVE_BACKUP_PATH,
+  MAX_BACKUPS,
+  DAILY_DATES,
+  migrateDailyDates,
+  parseBackupId,
+  listBackups,
+  readBackup,
+  snapshotLiveBackup,
+  writeLiveBackup,
+  pruneBackups,
+  diffCaches
+};
@@ -0,0 +1,89 @@
+const { snapshotLiveBackup, writeLiveBackup } = require('./fx-backups');
+
+// =============================================================================
+// FX CACHE STORE (versioned in-memory cache and its write lock)
+// =============================================================================
+
+/**
+ * Whether an If-Match / If-None-Match header value matches the given ETag
+ */
+const etagMatches = (header, etag) => header.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === etag);
+
+/**
+ * Create the holder of the live FX cache object
+ *
+ * Every replacement bumps a monotonic version, exposed as the strong ETag
+ * `"fx-<version>"`. Writers (POST, restore, refresh persistence) go through
+ * `withWriteLock` so If-Match checks and disk writes don't interleave.
+ *
+ * @param {{ initial: Object, now?: () => number }} options
+ */
+const createCacheStore = ({ initial, now = Date.now }) => {
+  let cache = initial;
+  let version = 0;
+  // When this process last swapped in a cache object (drives Last-Modified; lastUpdate is client-supplied on writes)
+  let replacedAt = null;
+  let writeQueue = Promise.resolve();
+
+  const etag = () => `"fx-${version}"`;
+
+  /**
+   * Swap in a new cache object in one step and bump the version
+   *
+   * Readers only ever see the old object or the new one. Versions stored in
+   * backups are honoured so the counter keeps increasing across restarts.
+   */
+  const replace = (nextCache) => {
+    version = Math.max(version + 1, nextCache.version || 0);
+    cache = { ...nextCache, version };
+    replacedAt = now();
+    return version;
+  };
+
+  const withWriteLock = (task) => {
+    const run = writeQueue.then(task);
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  /**
+   * Replace the cache with `build(current, nextVersion)` if `ifMatch` (when given) matches
+   *
+   * Disk first: the current live backup is snapshotted and the new cache written
+   * as the live backup before it is swapped in, so a failed write leaves the
+   * live cache untouched.
+   *
+   * @returns {Promise<{ conflict: true } | { error: Error } | { version: number, snapshotPath: ?string }>}
+   */
+  const commit = (build, { ifMatch } = {}) => withWriteLock(async () => {
+    if (ifMatch && !etagMatches(ifMatch, etag())) {
+      return { conflict: true };
+    }
+
+    const nextCache = { ...build(cache, version + 1), version: version + 1 };
+    let snapshotPath;
+    try {
+      snapshotPath = await snapshotLiveBackup();
+      await writeLiveBackup(nextCache);
+    } catch (error) {
+      return { error };
+    }
+
+    return { version: replace(nextCache), snapshotPath };
+  });
+
+  return {
+    current: () => cache,
+    version: () => version,
+    replacedAt: () => replacedAt,
+    etag,
+    replace,
+    withWriteLock,
+    commit
+  };
+};
+
+module.exports = {
+  etagMatches,
+  createCacheStore
+};
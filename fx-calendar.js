@@ -0,0 +1,75 @@
+// =============================================================================
+// FX MARKET CALENDAR (New York close, trading week, holidays)
+// =============================================================================
+
+// The FX trading day rolls over at 17:00 New York time; the week runs Sunday to Friday close
+const NY_TIMEZONE = 'America/New_York';
+const NY_CLOSE_HOUR = 17;
+
+// Days the whole FX market is shut, as MM-DD of the UTC date
+const FX_HOLIDAYS = ['12-25', '01-01'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const nyFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: NY_TIMEZONE,
+  hourCycle: 'h23',
+  weekday: 'short',
+  hour: '2-digit'
+});
+
+/**
+ * New York weekday (0 = Sunday) and hour for a UTC instant in ms
+ */
+const nyTime = (ms) => {
+  const parts = Object.fromEntries(nyFormat.formatToParts(new Date(ms)).map(part => [part.type, part.value]));
+  return { weekday: WEEKDAYS.indexOf(parts.weekday), hour: parseInt(parts.hour) };
+};
+
+const isFxHoliday = (ms) => FX_HOLIDAYS.includes(new Date(ms).toISOString().slice(5, 10));
+
+/**
+ * Whether spot FX trades at `ms`: Sunday 17:00 to Friday 17:00 New York, minus holidays
+ */
+const isFxMarketOpen = (ms) => {
+  const { weekday, hour } = nyTime(ms);
+  if (weekday === 6 || (weekday === 5 && hour >= NY_CLOSE_HOUR) || (weekday === 0 && hour < NY_CLOSE_HOUR)) {
+    return false;
+  }
+  return !isFxHoliday(ms);
+};
+
+/**
+ * UTC instant (ms) of 17:00 New York on the New York calendar day containing `ms`
+ *
+ * 17:00 New York is 21:00 UTC in summer and 22:00 UTC in winter; the candidate whose
+ * New York hour is 17 is the right one.
+ */
+const nyCloseOn = (ms) => {
+  const utcMidnight = Math.floor(ms / DAY_MS) * DAY_MS;
+  return [21, 22].map(hour => utcMidnight + hour * HOUR_MS).find(candidate => nyTime(candidate).hour === NY_CLOSE_HOUR);
+};
+
+/**
+ * First New York close strictly after `ms`
+ */
+const nextNyClose = (ms) => {
+  for (let day = 0; day <= 2; day++) {
+    const close = nyCloseOn(ms + day * DAY_MS);
+    if (close > ms) {
+      return close;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  NY_TIMEZONE,
+  NY_CLOSE_HOUR,
+  isFxHoliday,
+  isFxMarketOpen,
+  nextNyClose
+};
@@ -0,0 +1,170 @@
+const { INSTRUMENTS } = require('./fx-instruments');
+const { round, rowTime } = require('./candles');
+
+// =============================================================================
+// CURRENCY CONVERSION (direct, inverse and USD-triangulated rates from the cache)
+// =============================================================================
+
+// Crosses without a cached pair are built through this currency
+const PIVOT_CURRENCY = 'USD';
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const fail = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const lastRow = (rows) => (Array.isArray(rows) && rows.length > 0 ? rows[rows.length - 1] : null);
+
+/**
+ * Cached rate of one pair instrument
+ *
+ * Without `at` this is the most recent close of its 1D and 4H series; with `at`
+ * (YYYY-MM-DD) it is the last daily close on or before that date.
+ *
+ * @returns {?{ close: number, series: string, date: string, timestamp: ?number }}
+ */
+const pairQuote = (cache, instrument, at) => {
+  const candidates = at
+    ? [{ series: `${instrument.id}1D`, row: [...(cache[`${instrument.id}1D`] || [])].reverse().find(row => row.date <= at) }]
+    : instrument.timeframes.map(timeframe => ({ series: `${instrument.id}${timeframe}`, row: lastRow(cache[`${instrument.id}${timeframe}`]) }));
+
+  const usable = candidates.filter(({ row }) => row && Number.isFinite(row.close) && row.close > 0);
+  if (usable.length === 0) {
+    return null;
+  }
+  const { series, row } = usable.reduce((latest, candidate) => (rowTime(candidate.row) > rowTime(latest.row) ? candidate : latest));
+  return { close: row.close, series, date: row.date, timestamp: row.timestamp ?? null };
+};
+
+/**
+ * One conversion step from `from` to `to` using a single cached pair, either as quoted
+ * (base -> quote) or inverted; null when no pair links the two currencies
+ */
+const findLeg = (cache, pairs, from, to, at) => {
+  for (const instrument of pairs) {
+    const inverted = instrument.base === to && instrument.quote === from;
+    if (!inverted && !(instrument.base === from && instrument.quote === to)) {
+      continue;
+    }
+    const quote = pairQuote(cache, instrument, at);
+    if (!quote) {
+      return null;
+    }
+    return {
+      pair: `${instrument.base}/${instrument.quote}`,
+      instrument: instrument.id,
+      from,
+      to,
+      inverted,
+      close: quote.close,
+      rate: inverted ? 1 / quote.close : quote.close,
+      series: quote.series,
+      date: quote.date,
+      timestamp: quote.timestamp
+    };
+  }
+  return null;
+};
+
+/**
+ * Currencies the cached pairs can convert between
+ */
+const supportedCurrencies = (instruments = INSTRUMENTS) => [...new Set(
+  instruments.filter(instrument => instrument.base).flatMap(instrument => [instrument.base, instrument.quote])
+)].sort();
+
+/**
+ * Validate `from`/`to`/`amount`/`at` query values (throws with status 400)
+ */
+const parseConversionQuery = ({ from, to, amount, at }, { now = Date.now() } = {}) => {
+  const codes = [from, to].map(code => (typeof code === 'string' ? code.trim().toUpperCase() : ''));
+  if (!codes.every(code => CURRENCY_PATTERN.test(code))) {
+    throw fail('from and to must be 3-letter currency codes, e.g. from=EUR&to=JPY');
+  }
+
+  let value = 1;
+  if (amount !== undefined) {
+    value = typeof amount === 'string' && amount.trim() !== '' ? Number(amount) : NaN;
+    if (!Number.isFinite(value) || value < 0) {
+      throw fail('amount must be a non-negative number, e.g. amount=1000');
+    }
+  }
+
+  if (at !== undefined) {
+    if (typeof at !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(at) || isNaN(Date.parse(`${at}T00:00:00Z`))) {
+      throw fail('at must be a date (YYYY-MM-DD)');
+    }
+    if (at > new Date(now).toISOString().split('T')[0]) {
+      throw fail('at cannot be in the future');
+    }
+  }
+
+  return { from: codes[0], to: codes[1], amount: value, at: at ?? null };
+};
+
+/**
+ * Convert `amount` of `from` into `to` from the rates held in the FX cache
+ *
+ * Uses a pair quoted directly (EUR/USD for EUR -> USD), its inverse (USD/JPY for
+ * JPY -> USD), or two such legs through USD (EUR -> USD -> JPY). Every leg reports the
+ * series and the date/timestamp of the close it used. Throws with status 404 when the
+ * cache holds no rate linking the two currencies (or none on or before `at`).
+ * `asOf` is the trading date of the oldest close used.
+ *
+ * @param {Object} cache - FX cache object (series key -> rows)
+ * @param {{ from: string, to: string, amount: number, at: ?string }} query - see parseConversionQuery
+ */
+const convertCurrency = (cache, { from, to, amount, at }, { instruments = INSTRUMENTS } = {}) => {
+  const pairs = instruments.filter(instrument => instrument.base);
+  const currencies = supportedCurrencies(instruments);
+  for (const code of [from, to]) {
+    if (!currencies.includes(code)) {
+      throw fail(`No cached rates for ${code} (supported: ${currencies.join(', ')})`, 404);
+    }
+  }
+
+  let method;
+  let legs;
+  if (from === to) {
+    method = 'identity';
+    legs = [];
+  } else {
+    const direct = findLeg(cache, pairs, from, to, at);
+    if (direct) {
+      method = direct.inverted ? 'inverse' : 'direct';
+      legs = [direct];
+    } else {
+      const first = from === PIVOT_CURRENCY || to === PIVOT_CURRENCY ? null : findLeg(cache, pairs, from, PIVOT_CURRENCY, at);
+      const second = first && findLeg(cache, pairs, PIVOT_CURRENCY, to, at);
+      if (!second) {
+        throw fail(`No cached rate for ${from}/${to}${at ? ` on or before ${at}` : ''}`, 404);
+      }
+      method = 'triangulated';
+      legs = [first, second];
+    }
+  }
+
+  const rate = legs.reduce((product, leg) => product * leg.rate, 1);
+  const oldest = legs.reduce((first, leg) => (first && rowTime(first) <= rowTime(leg) ? first : leg), null);
+
+  return {
+    from,
+    to,
+    amount,
+    rate: round(rate, 10),
+    result: round(amount * rate, 6),
+    method,
+    ...(at && { at }),
+    // Date (YYYY-MM-DD) of the oldest close any leg used, i.e. how current the rate is. Daily
+    // bars only carry their exchange trading date, so this is a date, not an instant; legs
+    // keep the exact `timestamp` where the series has one.
+    asOf: oldest ? oldest.date.slice(0, 10) : null,
+    legs: legs.map(leg => ({ ...leg, rate: round(leg.rate, 10) }))
+  };
+};
+
+module.exports = {
+  PIVOT_CURRENCY,
+  supportedCurrencies,
+  parseConversionQuery,
+  convertCurrency
+};
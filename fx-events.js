@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// =============================================================================
+// FX CACHE EVENT BUS (feeds GET /api/fx-cache/stream)
+// =============================================================================
+
+// How many past events are kept for Last-Event-ID resume
+const HISTORY_SIZE = parseInt(process.env.FX_EVENTS_HISTORY || '100');
+
+/**
+ * Split an event id (`<bootId>-<sequence>`) into its parts, null when malformed
+ */
+const parseEventId = (id) => {
+  const match = typeof id === 'string' ? /^([0-9a-z]+)-(\d+)$/.exec(id.trim()) : null;
+  return match ? { bootId: match[1], sequence: parseInt(match[2]) } : null;
+};
+
+/**
+ * Create an event bus with its own replay history
+ *
+ * Event ids are `<bootId>-<sequence>`. The sequence restarts with every bus, so the
+ * boot id (random per process unless given) keeps an id from a previous server run
+ * from being mistaken for one of this run's.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.bootId] - id prefix, [0-9a-z]+
+ * @param {number} [options.historySize] - events kept for resume
+ */
+const createEventBus = ({ bootId = crypto.randomBytes(4).toString('hex'), historySize = HISTORY_SIZE } = {}) => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // one listener per connected SSE client
+
+  const history = [];
+  let sequence = 0;
+
+  const formatId = (n) => `${bootId}-${n}`;
+
+  /**
+   * Record an event and push it to every subscriber
+   *
+   * @param {string} type - e.g. 'refresh', 'refresh-failed', 'backup-loaded', 'write'
+   * @param {Object} data - JSON-serializable payload
+   */
+  const publish = (type, data) => {
+    sequence += 1;
+    const event = { id: formatId(sequence), sequence, type, data, timestamp: new Date().toISOString() };
+
+    history.push(event);
+    if (history.length > historySize) {
+      history.shift();
+    }
+
+    emitter.emit('event', event);
+    return event;
+  };
+
+  /**
+   * Events published after `id`, or null when they can no longer be replayed
+   * (malformed id, id from another server run, or it fell out of the history buffer)
+   */
+  const eventsSince = (id) => {
+    const parsed = parseEventId(id);
+    if (!parsed || parsed.bootId !== bootId || parsed.sequence > sequence) {
+      return null;
+    }
+    if (parsed.sequence < sequence && (history.length === 0 || history[0].sequence > parsed.sequence + 1)) {
+      return null;
+    }
+    return history.filter(event => event.sequence > parsed.sequence);
+  };
+
+  /**
+   * Subscribe to new events, returns an unsubscribe function
+   */
+  const subscribe = (listener) => {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  };
+
+  const subscriberCount = () => emitter.listenerCount('event');
+
+  const getLastEventId = () => formatId(sequence);
+
+  return {
+    publish,
+    eventsSince,
+    subscribe,
+    subscriberCount,
+    getLastEventId
+  };
+};
+
+// The server's bus
+const bus = createEventBus();
+
+module.exports = {
+  ...bus,
+  parseEventId,
+  createEventBus
+};
@@ -0,0 +1,208 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { SERIES, SERIES_KEYS } = require('./fx-instruments');
+const { relabelDailyRows } = require('./exchange-time');
+const { rowTime, rowKey } = require('./candles');
+const { createLogger } = require('./logger');
+
+// =============================================================================
+// FX HISTORY STORE (append-only NDJSON file per series)
+// =============================================================================
+
+const log = createLogger('FX-HISTORY');
+
+// One <series>.ndjson file per series; a changed row (e.g. a forming bar) is appended
+// again and the latest line for a date/timestamp wins when the file is read
+const HISTORY_DIR = process.env.FX_HISTORY_DIR || path.join(__dirname, 'fx-history');
+
+// Rewrite a file once superseded lines outnumber the rows they replaced
+const COMPACT_MIN_LINES = 100;
+
+const historyPath = (key) => path.join(HISTORY_DIR, `${key}.ndjson`);
+
+// series key -> Map(rowKey -> row), loaded from disk on first use
+const indexes = new Map();
+
+// series key -> lines in its file, so appends can tell when to compact
+const lineCounts = new Map();
+
+const needsCompaction = (lines, rows) => lines >= COMPACT_MIN_LINES && lines > 2 * rows;
+
+// Written once the 1D files hold exchange trading dates; files from before it carry the
+// UTC date of each bar and are re-labelled on first use (see migrateDailyDates)
+const DAILY_DATES_MARKER = '.daily-dates';
+let dailyDatesChecked = false;
+
+// Serializes appends and compactions so lines from two refreshes never interleave
+let writeQueue = Promise.resolve();
+const withWriteLock = (task) => {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Load a series file into memory, compacting it when it carries many superseded lines
+ */
+const readIndex = async (key) => {
+  if (indexes.has(key)) {
+    return indexes.get(key);
+  }
+
+  const index = new Map();
+  let lines = [];
+  try {
+    lines = (await fs.readFile(historyPath(key), 'utf-8')).split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  let malformed = 0;
+  for (const line of lines) {
+    try {
+      const row = JSON.parse(line);
+      index.set(rowKey(row), row);
+    } catch (error) {
+      // A crash mid-append can leave a torn last line; skip it
+      malformed++;
+    }
+  }
+  if (malformed > 0) {
+    log.warn('Skipped malformed history lines', { series: key, malformed });
+  }
+
+  indexes.set(key, index);
+  lineCounts.set(key, lines.length);
+
+  // Rewriting also drops a torn line, which the next append would otherwise run into
+  if (malformed > 0 || needsCompaction(lines.length, index.size)) {
+    await compact(key, index);
+  }
+  return index;
+};
+
+/**
+ * Re-label the 1D files of a store written before DAILY_DATES_MARKER by trading date,
+ * then write the marker; a missing directory has nothing to migrate
+ */
+const migrateDailyDates = async () => {
+  if (dailyDatesChecked) {
+    return;
+  }
+  let files;
+  try {
+    files = await fs.readdir(HISTORY_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  if (!files.includes(DAILY_DATES_MARKER)) {
+    for (const series of SERIES.filter(entry => entry.timeframe === '1D' && files.includes(`${entry.key}.ndjson`))) {
+      const index = await readIndex(series.key);
+      const rows = relabelDailyRows([...index.values()].sort((a, b) => rowTime(a) - rowTime(b)), series.timezone);
+      index.clear();
+      rows.forEach(row => index.set(rowKey(row), row));
+      await compact(series.key, index);
+      log.info('Re-labelled daily history by trading date', { series: series.key, timeZone: series.timezone, rows: rows.length });
+    }
+    await fs.writeFile(path.join(HISTORY_DIR, DAILY_DATES_MARKER), 'trading-date\n');
+  }
+  dailyDatesChecked = true;
+};
+
+/**
+ * Index of a series, migrating the store first if needed
+ */
+const loadIndex = async (key) => {
+  await migrateDailyDates();
+  return readIndex(key);
+};
+
+/**
+ * Rewrite a series file with one line per row, via a temp file so readers never see half of it
+ */
+const compact = async (key, index) => {
+  const rows = [...index.values()].sort((a, b) => rowTime(a) - rowTime(b));
+  const tempPath = `${historyPath(key)}.tmp`;
+  await fs.writeFile(tempPath, rows.map(row => `${JSON.stringify(row)}\n`).join(''));
+  await fs.rename(tempPath, historyPath(key));
+  log.info('Compacted history file', { series: key, linesBefore: lineCounts.get(key), linesAfter: rows.length });
+  lineCounts.set(key, rows.length);
+};
+
+/**
+ * Append new or changed rows for every series in `seriesData`
+ *
+ * @param {Object<string, Array>} seriesData - series key -> rows, as built by a refresh
+ * @returns {Promise<Object<string, number>>} rows appended per series
+ */
+const appendHistory = (seriesData) => withWriteLock(async () => {
+  await fs.mkdir(HISTORY_DIR, { recursive: true });
+
+  const appended = {};
+  for (const key of SERIES_KEYS.filter(seriesKey => Array.isArray(seriesData[seriesKey]))) {
+    const index = await loadIndex(key);
+    // New or changed rows; the index only learns them once they are on disk, so a failed
+    // write is retried by the next append instead of being skipped as already stored
+    const changed = new Map();
+    for (const row of seriesData[key]) {
+      const existing = changed.get(rowKey(row)) || index.get(rowKey(row));
+      if (!existing || JSON.stringify(existing) !== JSON.stringify(row)) {
+        changed.set(rowKey(row), row);
+      }
+    }
+    const lines = [...changed.values()].map(row => `${JSON.stringify(row)}\n`);
+    if (lines.length > 0) {
+      await fs.appendFile(historyPath(key), lines.join(''));
+      changed.forEach((row, rowId) => index.set(rowId, row));
+      lineCounts.set(key, lineCounts.get(key) + lines.length);
+      // A long-running server only loads each file once, so check here too
+      if (needsCompaction(lineCounts.get(key), index.size)) {
+        await compact(key, index);
+      }
+    }
+    appended[key] = lines.length;
+  }
+  return appended;
+});
+
+/**
+ * Stored rows of one series in time order, optionally limited to [from, to] (unix seconds, inclusive)
+ */
+const readHistory = async (key, { from = -Infinity, to = Infinity } = {}) => {
+  const index = await withWriteLock(() => loadIndex(key));
+  return [...index.values()]
+    .filter(row => rowTime(row) >= from && rowTime(row) <= to)
+    .sort((a, b) => rowTime(a) - rowTime(b));
+};
+
+/**
+ * Parse a `from`/`to` query value: YYYY-MM-DD, an ISO 8601 date-time or unix seconds
+ *
+ * A bare date used as `to` covers the whole day.
+ *
+ * @returns {?number} unix seconds, or null when the value can't be parsed
+ */
+const parseHistoryBound = (value, { endOfDay = false } = {}) => {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const start = Date.parse(`${value}T00:00:00Z`);
+    return isNaN(start) ? null : start / 1000 + (endOfDay ? 24 * 60 * 60 - 1 : 0);
+  }
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : Math.floor(parsed / 1000);
+};
+
+module.exports = {
+  HISTORY_DIR,
+  appendHistory,
+  readHistory,
+  parseHistoryBound
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { isValidTimeZone } = require('./exchange-time');
+
+// =============================================================================
+// FX INSTRUMENT REGISTRY
+// =============================================================================
+
+// Timeframes the refresh job knows how to build.
+// `interval`/`range` are what we request upstream, `points` caps the series length.
+const TIMEFRAMES = {
+  '1D': { interval: '1d', range: '1mo', points: 10 },
+  '4H': { interval: '1h', range: '5d', points: null }
+};
+
+// Trading calendars used by the data-quality report: 'fx' trades 24h Sunday-Friday,
+// 'exchange' has weekday sessions (futures, indices, yields)
+const CALENDARS = ['fx', 'exchange'];
+
+// Zone Yahoo stamps each calendar's daily bars in, when an entry names none:
+// FX pairs trade on London days, the US futures, indices and yields on New York days
+const DEFAULT_TIMEZONES = { fx: 'Europe/London', exchange: 'America/New_York' };
+
+// Instrument config can be passed inline (FX_INSTRUMENTS) or as a file path (FX_INSTRUMENTS_FILE)
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'fx-instruments.json');
+
+/**
+ * Read the raw instrument config from env or disk
+ */
+const readConfig = () => {
+  if (process.env.FX_INSTRUMENTS) {
+    return JSON.parse(process.env.FX_INSTRUMENTS);
+  }
+  const configPath = process.env.FX_INSTRUMENTS_FILE || DEFAULT_CONFIG_PATH;
+  return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+};
+
+/**
+ * Validate and normalize instrument entries (throws on invalid config)
+ */
+const normalizeInstruments = (config) => {
+  const entries = Array.isArray(config) ? config : config?.instruments;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('FX instrument config must contain a non-empty "instruments" array');
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry.id !== 'string' || !/^[a-z0-9]+$/.test(entry.id)) {
+      throw new Error(`Instrument #${index}: "id" must be lowercase alphanumeric`);
+    }
+    if (seen.has(entry.id)) {
+      throw new Error(`Instrument "${entry.id}" is declared twice`);
+    }
+    seen.add(entry.id);
+
+    if (typeof entry.symbol !== 'string' || entry.symbol.length === 0) {
+      throw new Error(`Instrument "${entry.id}": "symbol" is required`);
+    }
+
+    const timeframes = entry.timeframes || Object.keys(TIMEFRAMES);
+    for (const timeframe of timeframes) {
+      if (!TIMEFRAMES[timeframe]) {
+        throw new Error(`Instrument "${entry.id}": unknown timeframe "${timeframe}" (supported: ${Object.keys(TIMEFRAMES).join(', ')})`);
+      }
+    }
+
+    const aliases = entry.aliases || [];
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || alias.length === 0)) {
+      throw new Error(`Instrument "${entry.id}": "aliases" must be a list of strings`);
+    }
+
+    // Currency pairs name their currencies so the converter can quote them (see fx-convert.js)
+    const isPair = entry.base !== undefined || entry.quote !== undefined;
+    const isCurrency = (code) => typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+    if (isPair && (!isCurrency(entry.base) || !isCurrency(entry.quote) || entry.base === entry.quote)) {
+      throw new Error(`Instrument "${entry.id}": "base" and "quote" must be two different 3-letter currency codes`);
+    }
+
+    const calendar = entry.calendar || 'fx';
+    if (!CALENDARS.includes(calendar)) {
+      throw new Error(`Instrument "${entry.id}": unknown calendar "${calendar}" (supported: ${CALENDARS.join(', ')})`);
+    }
+
+    const timezone = entry.timezone || DEFAULT_TIMEZONES[calendar];
+    if (!isValidTimeZone(timezone)) {
+      throw new Error(`Instrument "${entry.id}": unknown timezone "${timezone}"`);
+    }
+
+    return {
+      id: entry.id,
+      symbol: entry.symbol,
+      name: entry.name || entry.symbol,
+      // Symbol used by the CSV fallback provider (see market-data.js)
+      csvSymbol: entry.csvSymbol || null,
+      // Extra names the proxy accepts for the symbol, besides the id (see symbol-policy.js)
+      aliases,
+      base: entry.base || null,
+      quote: entry.quote || null,
+      timeframes,
+      required: entry.required !== false,
+      calendar,
+      // Exchange zone of its daily bars, used to re-label rows stored with UTC dates (see fx-backups.js)
+      timezone
+    };
+  });
+};
+
+const INSTRUMENTS = normalizeInstruments(readConfig());
+
+// One entry per cache series, e.g. { key: 'usdjpy1D', symbol: 'JPY=X', interval: '1d', ... }
+const SERIES = INSTRUMENTS.flatMap(instrument =>
+  instrument.timeframes.map(timeframe => ({
+    key: `${instrument.id}${timeframe}`,
+    instrumentId: instrument.id,
+    symbol: instrument.symbol,
+    name: instrument.name,
+    timeframe,
+    required: instrument.required,
+    timezone: instrument.timezone,
+    ...TIMEFRAMES[timeframe]
+  }))
+);
+
+const SERIES_KEYS = SERIES.map(series => series.key);
+const REQUIRED_SERIES_KEYS = SERIES.filter(series => series.required).map(series => series.key);
+
+/**
+ * Look up a series definition by cache key
+ */
+const getSeries = (key) => SERIES.find(series => series.key === key) || null;
+
+/**
+ * Empty arrays for every registered series
+ */
+const createEmptySeries = () => Object.fromEntries(SERIES_KEYS.map(key => [key, []]));
+
+/**
+ * Map of series key -> number of data points in the given cache object
+ */
+const countDataPoints = (cache) => Object.fromEntries(
+  SERIES_KEYS.map(key => [key, Array.isArray(cache?.[key]) ? cache[key].length : 0])
+);
+
+module.exports = {
+  TIMEFRAMES,
+  INSTRUMENTS,
+  SERIES,
+  normalizeInstruments,
+  SERIES_KEYS,
+  REQUIRED_SERIES_KEYS,
+  getSeries,
+  createEmptySeries,
+  countDataPoints
+};
@@ -0,0 +1,223 @@
+const { SERIES, INSTRUMENTS } = require('./fx-instruments');
+const { isFxHoliday, isFxMarketOpen } = require('./fx-calendar');
+
+// =============================================================================
+// DATA-QUALITY ANALYZER (gaps, stale bars, duplicates, dropped nulls)
+// =============================================================================
+
+const HOUR_SECONDS = 60 * 60;
+const DAY_SECONDS = 24 * HOUR_SECONDS;
+const BUCKET_HOURS = 4;
+
+// Only the first missing dates/buckets of each series are listed
+const MAX_LISTED = 50;
+
+/**
+ * Whether the hour starting at `seconds` falls inside the trading week
+ *
+ * 'fx' instruments trade around the clock from Sunday evening to Friday evening;
+ * 'exchange' instruments only have weekday sessions whose hours we don't model.
+ */
+const isTradingHour = (seconds, calendar = 'fx') => {
+  if (calendar !== 'fx') {
+    const day = new Date(seconds * 1000).getUTCDay();
+    return day >= 1 && day <= 5;
+  }
+  return isFxMarketOpen(seconds * 1000);
+};
+
+/**
+ * Whether a YYYY-MM-DD date should have a daily bar (weekdays, minus FX holidays)
+ */
+const isTradingDay = (date, calendar = 'fx') => {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  if (day === 0 || day === 6) {
+    return false;
+  }
+  return calendar !== 'fx' || !isFxHoliday(Date.parse(`${date}T00:00:00Z`));
+};
+
+const dateOf = (seconds) => new Date(seconds * 1000).toISOString().split('T')[0];
+
+/**
+ * Trading days in (after, until], as YYYY-MM-DD
+ */
+const tradingDaysBetween = (after, until, calendar) => {
+  const days = [];
+  for (let time = Date.parse(`${after}T00:00:00Z`) / 1000 + DAY_SECONDS; dateOf(time) <= until; time += DAY_SECONDS) {
+    if (isTradingDay(dateOf(time), calendar)) {
+      days.push(dateOf(time));
+    }
+  }
+  return days;
+};
+
+/**
+ * Number of trading hours in the 4H bucket starting at `start`
+ */
+const tradingHoursInBucket = (start, calendar) => {
+  let hours = 0;
+  for (let hour = 0; hour < BUCKET_HOURS; hour++) {
+    if (isTradingHour(start + hour * HOUR_SECONDS, calendar)) {
+      hours++;
+    }
+  }
+  return hours;
+};
+
+/**
+ * Keys that appear more than once in `rows`
+ */
+const findDuplicates = (rows, keyOf) => {
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (seen.has(key)) {
+      duplicates.add(key);
+    }
+    seen.add(key);
+  }
+  return [...duplicates];
+};
+
+const dailyChecks = (rows, { calendar, now }) => {
+  const dates = [...new Set(rows.map(row => row.date))].sort();
+  const first = dates[0];
+  const last = dates[dates.length - 1];
+  const present = new Set(dates);
+
+  const missing = tradingDaysBetween(first, last, calendar).filter(date => !present.has(date));
+  // Today's bar may legitimately be missing until the session has printed; one day behind is fine
+  const behind = tradingDaysBetween(last, dateOf(now / 1000), calendar);
+
+  return {
+    gaps: { count: missing.length, missing: missing.slice(0, MAX_LISTED) },
+    incompleteBuckets: null,
+    stale: {
+      stale: behind.length > 1,
+      lastBar: last,
+      tradingPeriodsBehind: behind.length
+    },
+    duplicates: findDuplicates(rows, row => row.date)
+  };
+};
+
+const intradayChecks = (rows, { calendar, now }) => {
+  const timestamps = [...new Set(rows.map(row => row.timestamp))].sort((a, b) => a - b);
+  const first = timestamps[0];
+  const last = timestamps[timestamps.length - 1];
+  const present = new Set(timestamps);
+  const bucketSeconds = BUCKET_HOURS * HOUR_SECONDS;
+
+  // Session hours of 'exchange' instruments aren't modelled, so their intraday gaps can't be judged
+  const fx = calendar === 'fx';
+  const missing = [];
+  for (let start = first + bucketSeconds; fx && start < last; start += bucketSeconds) {
+    if (!present.has(start) && tradingHoursInBucket(start, calendar) > 0) {
+      missing.push(new Date(start * 1000).toISOString());
+    }
+  }
+
+  // Hours absent from a bucket beyond those the market was closed; the first bucket
+  // is skipped because the fetched range usually starts partway through it
+  const closedHours = (row) => BUCKET_HOURS - tradingHoursInBucket(row.timestamp, calendar);
+  const incomplete = rows
+    .filter(row => fx && row.timestamp !== first && Number.isInteger(row.missingHours) && row.missingHours > closedHours(row))
+    .map(row => ({ date: row.date, missingHours: row.missingHours - closedHours(row) }));
+
+  // Expected buckets after the last one, excluding the bucket still forming
+  const currentBucket = Math.floor(now / 1000 / bucketSeconds) * bucketSeconds;
+  let behind = 0;
+  for (let start = last + bucketSeconds; start < currentBucket; start += bucketSeconds) {
+    if (tradingHoursInBucket(start, calendar) > 0) {
+      behind++;
+    }
+  }
+
+  return {
+    gaps: fx ? { count: missing.length, missing: missing.slice(0, MAX_LISTED) } : null,
+    incompleteBuckets: fx ? { count: incomplete.length, buckets: incomplete.slice(0, MAX_LISTED) } : null,
+    stale: {
+      // Exchange sessions can leave several weekday buckets empty, so allow a full day there
+      stale: behind > (fx ? 1 : 24 / BUCKET_HOURS),
+      lastBar: new Date(last * 1000).toISOString(),
+      tradingPeriodsBehind: behind
+    },
+    duplicates: findDuplicates(rows, row => row.timestamp)
+  };
+};
+
+/**
+ * Quality report for one series
+ *
+ * `status` is 'error' for empty, stale or duplicated data and 'warning' for gaps,
+ * incomplete buckets or dropped null rows.
+ */
+const analyzeSeries = (series, rows, { calendar, now, dropped }) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return { status: 'error', points: 0, calendar, issues: ['empty'], droppedNulls: dropped };
+  }
+
+  const checks = series.timeframe === '1D'
+    ? dailyChecks(rows, { calendar, now })
+    : intradayChecks(rows, { calendar, now });
+
+  const issues = [];
+  if (checks.stale.stale) issues.push('stale');
+  if (checks.duplicates.length > 0) issues.push('duplicates');
+  if (checks.gaps?.count > 0) issues.push('gaps');
+  if (checks.incompleteBuckets?.count > 0) issues.push('incomplete-buckets');
+  if (dropped > 0) issues.push('dropped-nulls');
+
+  const errors = ['stale', 'duplicates'];
+  return {
+    status: issues.some(issue => errors.includes(issue)) ? 'error' : issues.length > 0 ? 'warning' : 'ok',
+    points: rows.length,
+    calendar,
+    issues,
+    gaps: checks.gaps,
+    incompleteBuckets: checks.incompleteBuckets,
+    stale: checks.stale,
+    duplicates: { count: checks.duplicates.length, keys: checks.duplicates.slice(0, MAX_LISTED) },
+    droppedNulls: dropped
+  };
+};
+
+/**
+ * Data-quality report for every registered series of `cache`
+ *
+ * @param {Object} cache - FX_CACHE-shaped object
+ * @param {{ now?: number, dropped?: Object<string, number> }} options - `dropped` holds the null
+ *   rows the last refresh removed per series (unknown for written or restored data)
+ */
+const analyzeQuality = (cache, { now = Date.now(), dropped = {} } = {}) => {
+  const calendars = Object.fromEntries(INSTRUMENTS.map(instrument => [instrument.id, instrument.calendar]));
+  const series = Object.fromEntries(SERIES.map(entry => [
+    entry.key,
+    analyzeSeries(entry, cache[entry.key], {
+      calendar: calendars[entry.instrumentId],
+      now,
+      dropped: dropped[entry.key] ?? null
+    })
+  ]));
+
+  const statuses = Object.values(series).map(report => report.status);
+  return {
+    generatedAt: new Date(now).toISOString(),
+    summary: {
+      status: statuses.includes('error') ? 'error' : statuses.includes('warning') ? 'warning' : 'ok',
+      ok: statuses.filter(status => status === 'ok').length,
+      warning: statuses.filter(status => status === 'warning').length,
+      error: statuses.filter(status => status === 'error').length,
+      issues: Object.fromEntries(Object.entries(series).filter(([, report]) => report.issues.length > 0).map(([key, report]) => [key, report.issues]))
+    },
+    series
+  };
+};
+
+module.exports = {
+  isTradingHour,
+  isTradingDay,
+  analyzeQuality
+};
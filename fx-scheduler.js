@@ -0,0 +1,126 @@
+const { isFxMarketOpen, nextNyClose } = require('./fx-calendar');
+
+// =============================================================================
+// REFRESH SCHEDULER (after each 4H candle close and the New York daily close)
+// =============================================================================
+
+const MINUTE_MS = 60 * 1000;
+const BUCKET_MS = 4 * 60 * MINUTE_MS;
+
+// How far ahead to look for the next run; covers a weekend plus a holiday
+const MAX_LOOKAHEAD_MS = 7 * 24 * 60 * MINUTE_MS;
+
+/**
+ * Next candle close after `after` (ms) whose candle saw trading
+ *
+ * Candidates are the UTC 4H bucket boundaries and the 17:00 New York close. A close
+ * is skipped when the market was shut for the minute before it, which drops the
+ * whole FX weekend while keeping the Friday close and the first Monday bucket.
+ *
+ * @returns {?{ close: number, reason: '4h-close'|'ny-close' }}
+ */
+const nextCandleClose = (after) => {
+  let bucket = (Math.floor(after / BUCKET_MS) + 1) * BUCKET_MS;
+  let nyClose = nextNyClose(after);
+
+  while (Math.min(bucket, nyClose) - after <= MAX_LOOKAHEAD_MS) {
+    const candidate = nyClose <= bucket
+      ? { close: nyClose, reason: 'ny-close' }
+      : { close: bucket, reason: '4h-close' };
+
+    if (isFxMarketOpen(candidate.close - MINUTE_MS)) {
+      return candidate;
+    }
+    if (candidate.reason === 'ny-close') {
+      nyClose = nextNyClose(nyClose);
+    } else {
+      bucket += BUCKET_MS;
+    }
+  }
+  return null;
+};
+
+/**
+ * Single timer that runs `task` shortly after each candle close
+ *
+ * The next run is planned before the task starts, so the status endpoint always
+ * reports the upcoming run, and runs never stack up.
+ *
+ * @param {Object} options
+ * @param {Function} options.task - async job, e.g. refreshFXCache
+ * @param {number} [options.delayMs] - wait after the close so the provider has the final candle
+ * @param {number} [options.jitterMs] - random extra delay in [0, jitterMs)
+ */
+const createRefreshScheduler = ({ task, delayMs = 5 * MINUTE_MS, jitterMs = 0, random = Math.random, now = Date.now }) => {
+  let timer = null;
+  let next = null;
+  let lastRun = null;
+
+  /**
+   * Run for the first candle close after `after` (ms), without jitter
+   */
+  const runForCloseAfter = (after) => {
+    const candle = nextCandleClose(after);
+    return candle ? { at: candle.close + delayMs, close: candle.close, reason: candle.reason } : null;
+  };
+
+  /**
+   * Planned run after `after` (ms), without jitter; the run for a close happens delayMs
+   * later, so look from that far back
+   */
+  const plannedRunAfter = (after) => runForCloseAfter(after - delayMs);
+
+  /**
+   * Arm the timer for the next run; after a run, strictly past the close it served, since a
+   * timer firing a few ms early (drift, clock adjustment) would otherwise find that close again
+   */
+  const schedule = (previous = null) => {
+    const planned = previous
+      ? runForCloseAfter(Math.max(previous.close, now() - delayMs))
+      : plannedRunAfter(now());
+    if (!planned) {
+      next = null;
+      return;
+    }
+    next = { ...planned, at: planned.at + Math.floor(random() * jitterMs) };
+    timer = setTimeout(run, Math.max(0, next.at - now()));
+  };
+
+  const run = async () => {
+    const current = next;
+    schedule(current);
+    const startedAt = now();
+    try {
+      const success = await task(current);
+      lastRun = { at: new Date(startedAt).toISOString(), reason: current.reason, success: success !== false };
+    } catch (error) {
+      lastRun = { at: new Date(startedAt).toISOString(), reason: current.reason, success: false, error: error.message };
+    }
+  };
+
+  return {
+    start() {
+      if (!timer) {
+        schedule();
+      }
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      next = null;
+    },
+    // Whether a cache last updated at `lastUpdate` has missed a scheduled run
+    isDue(lastUpdate) {
+      const planned = plannedRunAfter(lastUpdate);
+      return !lastUpdate || (planned !== null && planned.at <= now());
+    },
+    nextRun: () => next,
+    lastRun: () => lastRun,
+    config: () => ({ delayMs, jitterMs })
+  };
+};
+
+module.exports = {
+  nextCandleClose,
+  createRefreshScheduler
+};
@@ -0,0 +1,153 @@
+const { SERIES_KEYS, getSeries } = require('./fx-instruments');
+
+// =============================================================================
+// FX SERIES VALIDATION
+// =============================================================================
+
+// Upper bound on rows per series in a write (the request body itself is capped by express.json)
+const MAX_SERIES_ROWS = parseInt(process.env.FX_CACHE_MAX_ROWS || '5000');
+
+// Only the first errors are returned, a bad payload can otherwise produce thousands
+const MAX_REPORTED_ERRORS = 100;
+
+// How far ahead of this server's clock a written lastUpdate may be (writers' clocks drift)
+const LAST_UPDATE_MAX_SKEW_MS = 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * True for a real calendar date in YYYY-MM-DD form (rejects 2024-02-30)
+ */
+const isCalendarDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().startsWith(value);
+};
+
+/**
+ * Validate the rows of one series
+ *
+ * 1D rows need `date` (YYYY-MM-DD); 4H rows need `timestamp` (unix seconds)
+ * and an ISO `date` that agrees with it. Every row needs a finite positive
+ * `close`, and OHLC fields must be finite positive numbers when present. Rows
+ * must be strictly increasing with no duplicates.
+ *
+ * @returns {Array<{ series: string, index: ?number, field: ?string, code: string, message: string }>}
+ */
+const validateSeries = (key, rows, { maxRows = MAX_SERIES_ROWS } = {}) => {
+  const errors = [];
+  const addError = (index, field, code, message) => errors.push({ series: key, index, field, code, message });
+
+  if (!Array.isArray(rows)) {
+    addError(null, null, 'not_array', 'Series must be an array');
+    return errors;
+  }
+  if (rows.length > maxRows) {
+    addError(null, null, 'too_many_rows', `Series has ${rows.length} rows (max ${maxRows})`);
+    return errors;
+  }
+
+  const daily = getSeries(key)?.timeframe === '1D';
+  const seen = new Set();
+  let previous = null;
+
+  rows.forEach((row, index) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      addError(index, null, 'not_object', 'Row must be an object');
+      return;
+    }
+
+    if (!isPositiveNumber(row.close)) {
+      addError(index, 'close', 'invalid_close', `close must be a finite positive number (got ${JSON.stringify(row.close)})`);
+    }
+    for (const field of ['open', 'high', 'low']) {
+      if (row[field] !== undefined && !isPositiveNumber(row[field])) {
+        addError(index, field, `invalid_${field}`, `${field} must be a finite positive number when present (got ${JSON.stringify(row[field])})`);
+      }
+    }
+
+    // Ordering key: the calendar date for daily rows, the unix timestamp for intraday rows
+    let orderKey = null;
+    if (daily) {
+      if (!isCalendarDate(row.date)) {
+        addError(index, 'date', 'invalid_date', `date must be a YYYY-MM-DD calendar date (got ${JSON.stringify(row.date)})`);
+      } else {
+        orderKey = row.date;
+      }
+    } else {
+      if (!Number.isInteger(row.timestamp) || row.timestamp <= 0) {
+        addError(index, 'timestamp', 'invalid_timestamp', `timestamp must be a positive integer in seconds (got ${JSON.stringify(row.timestamp)})`);
+      } else {
+        orderKey = row.timestamp;
+      }
+      if (typeof row.date !== 'string' || !ISO_DATETIME_PATTERN.test(row.date) || isNaN(Date.parse(row.date))) {
+        addError(index, 'date', 'invalid_date', `date must be an ISO 8601 date-time (got ${JSON.stringify(row.date)})`);
+      } else if (orderKey !== null && Date.parse(row.date) !== orderKey * 1000) {
+        addError(index, 'date', 'date_mismatch', `date ${row.date} does not match timestamp ${orderKey}`);
+      }
+    }
+
+    if (orderKey === null) {
+      return;
+    }
+    if (seen.has(orderKey)) {
+      addError(index, daily ? 'date' : 'timestamp', 'duplicate', `Duplicate row for ${orderKey}`);
+    } else if (previous !== null && orderKey < previous) {
+      addError(index, daily ? 'date' : 'timestamp', 'not_increasing', `Row ${orderKey} comes after ${previous}; rows must be in ascending order`);
+    }
+    seen.add(orderKey);
+    previous = previous === null || orderKey > previous ? orderKey : previous;
+  });
+
+  return errors;
+};
+
+/**
+ * Check the `lastUpdate` of a written cache: a finite epoch-ms number no later
+ * than `now` plus LAST_UPDATE_MAX_SKEW_MS
+ *
+ * A string or a future time would break the read endpoints' dates and keep the
+ * scheduled refresh from ever coming due.
+ *
+ * @returns {?string} error message, or null when valid
+ */
+const validateLastUpdate = (value, now = Date.now()) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    return 'lastUpdate must be a timestamp in milliseconds since the epoch';
+  }
+  if (value > now + LAST_UPDATE_MAX_SKEW_MS) {
+    return 'lastUpdate cannot be in the future';
+  }
+  return null;
+};
+
+/**
+ * Validate every registered series present in `cache`
+ *
+ * @returns {{ valid: boolean, errorCount: number, errors: Array, truncated: boolean }}
+ */
+const validateCacheSeries = (cache, options = {}) => {
+  const errors = SERIES_KEYS
+    .filter(key => cache && key in cache)
+    .flatMap(key => validateSeries(key, cache[key], options));
+
+  return {
+    valid: errors.length === 0,
+    errorCount: errors.length,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS),
+    truncated: errors.length > MAX_REPORTED_ERRORS
+  };
+};
+
+module.exports = {
+  MAX_SERIES_ROWS,
+  LAST_UPDATE_MAX_SKEW_MS,
+  validateSeries,
+  validateLastUpdate,
+  validateCacheSeries
+};
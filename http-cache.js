@@ -0,0 +1,39 @@
+// =============================================================================
+// HTTP CACHING HELPERS
+// =============================================================================
+
+/**
+ * Seconds from now until `untilMs`, never negative
+ */
+const secondsUntil = (untilMs, now = Date.now()) => Math.max(0, Math.floor((untilMs - now) / 1000));
+
+/**
+ * Set validators and freshness headers, then answer conditional requests
+ *
+ * With `maxAge` the response may be reused for that long and must be revalidated
+ * with the ETag afterwards; without it (nothing scheduled to change the data) it is
+ * `no-cache`, i.e. revalidated on every use. Relies on express's `req.fresh`, which
+ * compares If-None-Match against the ETag and If-Modified-Since against
+ * Last-Modified set on the response.
+ *
+ * @param {{ etag: string, lastModified?: ?number, maxAge?: ?number }} options - lastModified in ms, maxAge in seconds
+ * @returns {boolean} true when a 304 was sent and the caller should stop
+ */
+const sendNotModifiedIfFresh = (req, res, { etag, lastModified, maxAge = null }) => {
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  res.set('Cache-Control', maxAge === null ? 'no-cache' : `public, max-age=${maxAge}, must-revalidate`);
+
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+};
+
+module.exports = {
+  secondsUntil,
+  sendNotModifiedIfFresh
+};
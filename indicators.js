@@ -0,0 +1,220 @@
+const { round } = require('./candles');
+
+// =============================================================================
+// TECHNICAL INDICATORS (sma, ema, rsi, bbands, atr)
+// =============================================================================
+
+// Guards against specs that would make every value a warm-up null or the response huge
+const MAX_PERIOD = 500;
+const MAX_INDICATORS = 10;
+
+const invalidSpec = (message) => Object.assign(new Error(message), { status: 400 });
+
+const parsePeriod = (value, spec) => {
+  const period = Number(value);
+  if (!Number.isInteger(period) || period < 1 || period > MAX_PERIOD) {
+    throw invalidSpec(`Invalid period in "${spec}": must be an integer between 1 and ${MAX_PERIOD}`);
+  }
+  return period;
+};
+
+// Rows may be close-only (cached 1D series); missing high/low fall back to close
+const highOf = (row) => row.high ?? row.close;
+const lowOf = (row) => row.low ?? row.close;
+
+/**
+ * Simple moving average of `values`, null until `period` values are available
+ */
+const sma = (values, period) => {
+  let sum = 0;
+  return values.map((value, index) => {
+    sum += value;
+    if (index >= period) {
+      sum -= values[index - period];
+    }
+    return index >= period - 1 ? sum / period : null;
+  });
+};
+
+/**
+ * Exponential moving average seeded with the SMA of the first `period` values
+ */
+const ema = (values, period) => {
+  const k = 2 / (period + 1);
+  let previous = null;
+  return values.map((value, index) => {
+    if (index < period - 1) {
+      return null;
+    }
+    previous = previous === null
+      ? values.slice(0, period).reduce((sum, v) => sum + v, 0) / period
+      : value * k + previous * (1 - k);
+    return previous;
+  });
+};
+
+/**
+ * Wilder smoothing: seeded with the mean of the first `period` values, then
+ * previous * (period - 1) / period + value / period
+ */
+const wilder = (values, period, offset = 0) => {
+  let previous = null;
+  return values.map((value, index) => {
+    if (index < offset + period - 1) {
+      return null;
+    }
+    previous = previous === null
+      ? values.slice(offset, offset + period).reduce((sum, v) => sum + v, 0) / period
+      : (previous * (period - 1) + value) / period;
+    return previous;
+  });
+};
+
+/**
+ * Relative strength index with Wilder smoothing; the first value needs `period` price changes
+ */
+const rsi = (values, period) => {
+  const gains = values.map((value, index) => (index === 0 ? 0 : Math.max(value - values[index - 1], 0)));
+  const losses = values.map((value, index) => (index === 0 ? 0 : Math.max(values[index - 1] - value, 0)));
+  const avgGain = wilder(gains, period, 1);
+  const avgLoss = wilder(losses, period, 1);
+  return values.map((value, index) => {
+    if (avgGain[index] === null) {
+      return null;
+    }
+    if (avgLoss[index] === 0) {
+      return avgGain[index] === 0 ? 50 : 100;
+    }
+    return 100 - 100 / (1 + avgGain[index] / avgLoss[index]);
+  });
+};
+
+/**
+ * Bollinger bands: SMA middle band +/- `multiplier` population standard deviations
+ */
+const bbands = (values, period, multiplier) => {
+  const middle = sma(values, period);
+  return values.map((value, index) => {
+    if (middle[index] === null) {
+      return null;
+    }
+    const window = values.slice(index - period + 1, index + 1);
+    const deviation = Math.sqrt(window.reduce((sum, v) => sum + (v - middle[index]) ** 2, 0) / period);
+    return {
+      upper: round(middle[index] + multiplier * deviation),
+      middle: round(middle[index]),
+      lower: round(middle[index] - multiplier * deviation)
+    };
+  });
+};
+
+/**
+ * Average true range with Wilder smoothing; the first bar has no previous close
+ * so true ranges start at the second row
+ */
+const atr = (rows, period) => {
+  const trueRanges = rows.map((row, index) => {
+    if (index === 0) {
+      return 0;
+    }
+    const previousClose = rows[index - 1].close;
+    return Math.max(highOf(row) - lowOf(row), Math.abs(highOf(row) - previousClose), Math.abs(lowOf(row) - previousClose));
+  });
+  return wilder(trueRanges, period, 1);
+};
+
+const INDICATORS = {
+  sma: {
+    params: ['period'],
+    compute: (rows, { period }) => sma(rows.map(row => row.close), period).map(value => round(value))
+  },
+  ema: {
+    params: ['period'],
+    compute: (rows, { period }) => ema(rows.map(row => row.close), period).map(value => round(value))
+  },
+  rsi: {
+    params: ['period'],
+    compute: (rows, { period }) => rsi(rows.map(row => row.close), period).map(value => round(value, 4))
+  },
+  bbands: {
+    params: ['period', 'multiplier'],
+    defaults: { multiplier: 2 },
+    compute: (rows, { period, multiplier }) => bbands(rows.map(row => row.close), period, multiplier)
+  },
+  atr: {
+    params: ['period'],
+    compute: (rows, { period }) => atr(rows, period).map(value => round(value))
+  }
+};
+
+/**
+ * Parse an `indicators=` query value such as `sma:20,ema:50,rsi:14,bbands:20:2,atr:14`
+ *
+ * @returns {Array<{ id: string, type: string, params: Object }>} empty when `query` is blank
+ * @throws {Error} with status 400 for unknown indicators or bad parameters
+ */
+const parseIndicators = (query) => {
+  if (query === undefined || query === '') {
+    return [];
+  }
+  if (typeof query !== 'string') {
+    throw invalidSpec('indicators must be a single comma-separated list');
+  }
+
+  const specs = query.split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length > MAX_INDICATORS) {
+    throw invalidSpec(`At most ${MAX_INDICATORS} indicators per request`);
+  }
+
+  const parsed = specs.map(spec => {
+    const [type, ...args] = spec.toLowerCase().split(':');
+    const definition = INDICATORS[type];
+    if (!definition) {
+      throw invalidSpec(`Unknown indicator "${type}" (supported: ${Object.keys(INDICATORS).join(', ')})`);
+    }
+    if (args.length < 1 || args.length > definition.params.length) {
+      throw invalidSpec(`Invalid indicator "${spec}": expected ${type}:${definition.params.join(':')}`);
+    }
+
+    const params = { ...definition.defaults, period: parsePeriod(args[0], spec) };
+    if (type === 'bbands' && args[1] !== undefined) {
+      params.multiplier = Number(args[1]);
+      if (!Number.isFinite(params.multiplier) || params.multiplier <= 0 || params.multiplier > 10) {
+        throw invalidSpec(`Invalid multiplier in "${spec}": must be a number between 0 and 10`);
+      }
+    }
+
+    return { id: [type, ...definition.params.map(name => params[name])].join(':'), type, params };
+  });
+
+  // Duplicates (e.g. `bbands:20` and `bbands:20:2`) collapse to one entry
+  return [...new Map(parsed.map(spec => [spec.id, spec])).values()];
+};
+
+/**
+ * Compute indicators over `rows` (oldest first, each with `close` and optionally high/low)
+ *
+ * Every series is index-aligned with `rows`; values are null during warm-up.
+ * Pass `outputLength` to keep only the last rows when more history was used
+ * for warm-up than is returned to the client.
+ *
+ * @returns {Object<string, { type: string, params: Object, warmup: number, values: Array }>}
+ */
+const computeIndicators = (rows, specs, { outputLength = rows.length } = {}) => Object.fromEntries(
+  specs.map(({ id, type, params }) => {
+    const values = INDICATORS[type].compute(rows, params).slice(rows.length - outputLength);
+    const firstValue = values.findIndex(value => value !== null);
+    return [id, {
+      type,
+      params,
+      warmup: firstValue === -1 ? values.length : firstValue,
+      values
+    }];
+  })
+);
+
+module.exports = {
+  MAX_PERIOD,
+  parseIndicators,
+  computeIndicators
+};
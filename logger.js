@@ -0,0 +1,101 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// =============================================================================
+// STRUCTURED LOGGER (levels, JSON or pretty output, request correlation)
+// =============================================================================
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['json', 'pretty'];
+
+// JSON lines for the log aggregator in production, readable lines during development
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+
+if (!LEVELS[LOG_LEVEL]) {
+  throw new Error(`Unknown LOG_LEVEL "${LOG_LEVEL}" (available: ${Object.keys(LEVELS).join(', ')})`);
+}
+if (!FORMATS.includes(LOG_FORMAT)) {
+  throw new Error(`Unknown LOG_FORMAT "${LOG_FORMAT}" (available: ${FORMATS.join(', ')})`);
+}
+
+// Fields such as requestId or refreshId that every line logged within a request or job carries
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `fields` added to the log context (nested calls keep the outer fields)
+ */
+const runWithLogContext = (fields, fn) => logContext.run({ ...logContext.getStore(), ...fields }, fn);
+
+const getLogContext = () => logContext.getStore() || {};
+
+const createId = () => crypto.randomUUID();
+
+/**
+ * Errors don't survive JSON.stringify, so keep the parts worth querying
+ */
+const serializeValue = (value) => {
+  if (value instanceof Error) {
+    return Object.fromEntries(Object.entries({
+      name: value.name !== 'Error' ? value.name : undefined,
+      message: value.message,
+      status: value.status ?? value.response?.status,
+      code: value.code
+    }).filter(([, field]) => field !== undefined));
+  }
+  return value;
+};
+
+const formatPretty = ({ time, level, component, msg, ...fields }) => {
+  const extras = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${extras ? ` ${extras}` : ''}`;
+};
+
+/**
+ * Logger for one component (e.g. 'FX-CACHE'), with debug/info/warn/error methods
+ *
+ * Each method takes a message and optional fields. Warnings and errors go to stderr,
+ * the rest to stdout.
+ *
+ * @param {string} component
+ * @param {{ level?: string, format?: string, write?: Function }} [options] - overrides for tests
+ */
+const createLogger = (component, { level = LOG_LEVEL, format = LOG_FORMAT, write } = {}) => {
+  const log = (entryLevel, msg, fields = {}) => {
+    if (LEVELS[entryLevel] < LEVELS[level]) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      component,
+      msg,
+      ...getLogContext(),
+      ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, serializeValue(value)]))
+    };
+    const line = format === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+    if (write) {
+      write(line, entryLevel);
+    } else {
+      (LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+    }
+  };
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields)
+  };
+};
+
+module.exports = {
+  LOG_LEVEL,
+  LOG_FORMAT,
+  createLogger,
+  createId,
+  runWithLogContext,
+  getLogContext
+};
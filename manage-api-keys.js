@@ -0,0 +1,90 @@
+/**
+ * Manage the API key file used by the server
+ *
+ * Usage:
+ *   node manage-api-keys.js list
+ *   node manage-api-keys.js add <name> --scopes cache:write,cache:refresh [--expires 2027-01-01]
+ *   node manage-api-keys.js rotate <name> [--expires 2027-01-01]
+ *   node manage-api-keys.js revoke <name>
+ *
+ * Writes FX_API_KEYS_FILE (default: api-keys.json). New keys are printed once and only
+ * their hash is stored. The running server picks changes up within a second.
+ */
+
+const { SCOPES, API_KEYS_FILE, hashKey, generateKey, readKeyFile, writeKeyFile, isExpired } = require('./api-keys');
+
+const fail = (message) => {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+};
+
+const option = (args, name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const parseExpiry = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    fail(`Invalid --expires date "${value}"`);
+  }
+  return new Date(time).toISOString();
+};
+
+const printKey = (name, key) => {
+  console.log(`🔑 ${name}: ${key}`);
+  console.log('   Store it now - it cannot be shown again.');
+};
+
+const [command, name, ...args] = process.argv.slice(2);
+const keys = readKeyFile(API_KEYS_FILE);
+const existing = keys.find(key => key.name === name);
+
+switch (command) {
+  case 'list':
+    if (keys.length === 0) {
+      console.log(`No keys in ${API_KEYS_FILE}`);
+    }
+    for (const key of keys) {
+      const expiry = key.expiresAt ? `${isExpired(key) ? 'expired' : 'expires'} ${key.expiresAt}` : 'no expiry';
+      console.log(`${key.name}  [${key.scopes.join(', ')}]  ${expiry}`);
+    }
+    break;
+
+  case 'add': {
+    if (!name) fail('Usage: add <name> --scopes <scope,...> [--expires <date>]');
+    if (existing) fail(`Key "${name}" already exists (use rotate to replace it)`);
+    const scopes = (option(args, 'scopes') || '').split(',').filter(Boolean);
+    if (scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+      fail(`--scopes must list one or more of: ${SCOPES.join(', ')}`);
+    }
+    const key = generateKey();
+    writeKeyFile(API_KEYS_FILE, [...keys, { name, hash: hashKey(key), scopes, expiresAt: parseExpiry(option(args, 'expires')), createdAt: new Date().toISOString() }]);
+    printKey(name, key);
+    break;
+  }
+
+  case 'rotate': {
+    if (!existing) fail(`No key named "${name}"`);
+    const key = generateKey();
+    const expiresAt = option(args, 'expires') !== undefined ? parseExpiry(option(args, 'expires')) : existing.expiresAt;
+    writeKeyFile(API_KEYS_FILE, keys.map(entry => (
+      entry.name === name ? { ...entry, hash: hashKey(key), expiresAt, createdAt: new Date().toISOString() } : entry
+    )));
+    printKey(name, key);
+    console.log('   The previous key stops working once the server reloads the file.');
+    break;
+  }
+
+  case 'revoke':
+    if (!existing) fail(`No key named "${name}"`);
+    writeKeyFile(API_KEYS_FILE, keys.filter(key => key.name !== name));
+    console.log(`🗑️ Revoked ${name}`);
+    break;
+
+  default:
+    fail('Usage: node manage-api-keys.js list | add <name> --scopes <scope,...> [--expires <date>] | rotate <name> | revoke <name>');
+}
@@ -0,0 +1,157 @@
+const { createYahooProvider } = require('./provider-yahoo');
+const { createCsvProvider } = require('./provider-csv');
+const { INSTRUMENTS } = require('./fx-instruments');
+const { createCircuitBreaker } = require('./resilience');
+const { upstreamRequests, upstreamDuration } = require('./metrics');
+const { createLogger } = require('./logger');
+
+// =============================================================================
+// MARKET DATA PROVIDERS
+// =============================================================================
+
+const log = createLogger('PROVIDER');
+
+// Providers are tried in this order until one returns data
+const PROVIDER_ORDER = (process.env.MARKET_DATA_PROVIDERS || 'yahoo-v8,yahoo-v7,csv')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Base URLs are configurable so the providers can be pointed at a stub server
+const YAHOO_BASE_URL = process.env.YAHOO_BASE_URL || 'https://query1.finance.yahoo.com';
+const CSV_PROVIDER_URL = process.env.CSV_PROVIDER_URL || 'https://stooq.com/q/d/l/?s={symbol}&i={interval}';
+
+// Yahoo symbol -> CSV file symbol, from the `csvSymbol` field in fx-instruments.json
+const CSV_SYMBOL_MAP = Object.fromEntries(
+  INSTRUMENTS.filter(instrument => instrument.csvSymbol).map(instrument => [instrument.symbol, instrument.csvSymbol])
+);
+
+/**
+ * Wrap a provider's fetchChart to record call counts, latency and HTTP status
+ *
+ * The status is the one the upstream answered with: 0 for network errors and
+ * timeouts, and 200 for responses that arrived but could not be parsed.
+ */
+const instrumentProvider = (provider) => ({
+  ...provider,
+  fetchChart: async (params) => {
+    const startedAt = process.hrtime.bigint();
+    let status = 200;
+    try {
+      return await provider.fetchChart(params);
+    } catch (error) {
+      if (error.isAxiosError) {
+        status = error.response?.status ?? 0;
+      }
+      throw error;
+    } finally {
+      const labels = { upstream: provider.upstream, provider: provider.name };
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      upstreamRequests.inc({ ...labels, status });
+      upstreamDuration.observe(labels, seconds);
+      log.debug('Upstream response', { ...labels, symbol: params.symbol, status, durationMs: Math.round(seconds * 1000) });
+    }
+  }
+});
+
+// `upstream` groups providers that hit the same service; each upstream has one circuit breaker
+const PROVIDERS = Object.fromEntries(Object.entries({
+  'yahoo-v8': { ...createYahooProvider({ name: 'yahoo-v8', version: 'v8', baseUrl: YAHOO_BASE_URL }), source: 'yahoo-finance', upstream: 'yahoo' },
+  'yahoo-v7': { ...createYahooProvider({ name: 'yahoo-v7', version: 'v7', baseUrl: YAHOO_BASE_URL }), source: 'yahoo-finance-v7', upstream: 'yahoo' },
+  'csv': { ...createCsvProvider({ name: 'csv', urlTemplate: CSV_PROVIDER_URL, symbolMap: CSV_SYMBOL_MAP }), source: 'csv', upstream: 'csv' }
+}).map(([name, provider]) => [name, instrumentProvider(provider)]));
+
+for (const name of PROVIDER_ORDER) {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown market data provider "${name}" in MARKET_DATA_PROVIDERS (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+}
+
+// Consecutive upstream failures before a breaker opens, and how long it stays open
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.BREAKER_FAILURE_THRESHOLD || '5');
+const BREAKER_COOLDOWN_MS = parseFloat(process.env.BREAKER_COOLDOWN_SECONDS || '60') * 1000;
+
+const BREAKERS = Object.fromEntries(
+  [...new Set(Object.values(PROVIDERS).map(provider => provider.upstream))].map(upstream => [
+    upstream,
+    createCircuitBreaker({ name: upstream, failureThreshold: BREAKER_FAILURE_THRESHOLD, cooldownMs: BREAKER_COOLDOWN_MS })
+  ])
+);
+
+/**
+ * Whether an error means the upstream itself is unhealthy (network error, timeout,
+ * 429 or 5xx) rather than the request being bad (e.g. an unknown symbol)
+ */
+const isUpstreamFailure = (status) => status === null || status === 429 || status >= 500;
+
+/**
+ * Build a fetchChart function that walks the given providers in order
+ *
+ * Resolves with the first provider's result plus `provider`, `source` and the
+ * `attempts` that failed before it. Rejects with `error.attempts` when every
+ * provider failed or was skipped. Providers whose upstream breaker is open are
+ * skipped with `reason: 'circuit-open'`.
+ *
+ * @param {Array} providers
+ * @param {{ breakers?: Object<string, Object> }} [options] - circuit breakers keyed by `provider.upstream`
+ */
+const createProviderChain = (providers, { breakers = {} } = {}) => async (params) => {
+  const attempts = [];
+
+  for (const provider of providers) {
+    if (!provider.supports(params)) {
+      attempts.push({ provider: provider.name, skipped: true });
+      continue;
+    }
+
+    const breaker = breakers[provider.upstream];
+    if (breaker && !breaker.allowRequest()) {
+      attempts.push({ provider: provider.name, skipped: true, reason: 'circuit-open' });
+      continue;
+    }
+
+    try {
+      const result = await provider.fetchChart(params);
+      breaker?.recordSuccess();
+      return { ...result, provider: provider.name, source: provider.source || provider.name, attempts };
+    } catch (error) {
+      const status = error.status || error.response?.status || null;
+      log.warn('Provider failed', { provider: provider.name, symbol: params.symbol, error });
+      attempts.push({
+        provider: provider.name,
+        error: error.message,
+        status
+      });
+      // A 4xx still proves the upstream answered
+      if (isUpstreamFailure(status)) {
+        breaker?.recordFailure();
+      } else {
+        breaker?.recordSuccess();
+      }
+    }
+  }
+
+  throw Object.assign(new Error(`All market data providers failed for ${params.symbol}`), { attempts });
+};
+
+const fetchChart = createProviderChain(PROVIDER_ORDER.map(name => PROVIDERS[name]), { breakers: BREAKERS });
+
+/**
+ * Circuit breaker state per upstream, for the status endpoint
+ */
+const getBreakerStats = () => Object.fromEntries(
+  Object.entries(BREAKERS).map(([upstream, breaker]) => [upstream, breaker.stats()])
+);
+
+/**
+ * Look up a single provider by name (e.g. for the explicit /api/yahoo-v7 route)
+ */
+const getProvider = (name) => PROVIDERS[name] || null;
+
+module.exports = {
+  PROVIDER_ORDER,
+  createProviderChain,
+  fetchChart,
+  getProvider,
+  getBreakerStats
+};
@@ -0,0 +1,153 @@
+const { createLogger } = require('./logger');
+
+// =============================================================================
+// PROMETHEUS METRICS (text exposition format 0.0.4)
+// =============================================================================
+
+const log = createLogger('METRICS');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latency buckets in seconds, from cache hits to slow upstream calls
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+// Series are stored per label combination; the key keeps label order stable
+const labelKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+const pickLabels = (labelNames, labels) => Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+
+/**
+ * A set of metrics rendered together by `render()`
+ */
+const createMetricsRegistry = () => {
+  const metrics = [];
+
+  const register = (metric) => {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric "${metric.name}" is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  /**
+   * Monotonic counter
+   */
+  const counter = (name, help, labelNames = []) => {
+    const values = new Map();
+    return register({
+      name,
+      inc(labels = {}, value = 1) {
+        const key = labelKey(labelNames, labels);
+        const entry = values.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += value;
+        values.set(key, entry);
+      },
+      async render() {
+        return [
+          `# HELP ${name} ${help}`,
+          `# TYPE ${name} counter`,
+          ...[...values.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+        ];
+      }
+    });
+  };
+
+  /**
+   * Histogram with cumulative `le` buckets, `_sum` and `_count`
+   */
+  const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+    const values = new Map();
+    return register({
+      name,
+      observe(labels, value) {
+        const key = labelKey(labelNames, labels);
+        const entry = values.get(key) || { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bound, index) => {
+          if (value <= bound) {
+            entry.counts[index]++;
+          }
+        });
+        entry.sum += value;
+        entry.count++;
+        values.set(key, entry);
+      },
+      async render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const { labels, counts, sum, count } of values.values()) {
+          buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      }
+    });
+  };
+
+  /**
+   * Gauge read at scrape time: `collect` returns (or resolves) [{ labels, value }] or a single number
+   */
+  const gauge = (name, help, collect) => register({
+    name,
+    async render() {
+      const collected = await collect();
+      const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} gauge`,
+        ...samples.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+      ];
+    }
+  });
+
+  /**
+   * All metrics in the text exposition format; a failing collector is skipped, not fatal
+   */
+  const render = async () => {
+    const sections = [];
+    for (const metric of metrics) {
+      try {
+        sections.push((await metric.render()).join('\n'));
+      } catch (error) {
+        log.error('Failed to collect metric', { metric: metric.name, error });
+      }
+    }
+    return `${sections.join('\n')}\n`;
+  };
+
+  return { counter, histogram, gauge, render };
+};
+
+// Shared registry for the server and the modules it instruments
+const registry = createMetricsRegistry();
+
+// Upstream market data calls, recorded by market-data.js around every provider fetch
+const upstreamRequests = registry.counter(
+  'upstream_requests_total',
+  'Market data provider calls by upstream, provider and HTTP status (0 for network errors and timeouts)',
+  ['upstream', 'provider', 'status']
+);
+const upstreamDuration = registry.histogram(
+  'upstream_request_duration_seconds',
+  'Market data provider call latency in seconds',
+  ['upstream', 'provider']
+);
+
+module.exports = {
+  CONTENT_TYPE,
+  createMetricsRegistry,
+  registry,
+  upstreamRequests,
+  upstreamDuration
+};
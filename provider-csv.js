@@ -0,0 +1,134 @@
+const axios = require('axios');
+const { extractCandles } = require('./candles');
+const { createLogger } = require('./logger');
+
+// =============================================================================
+// CSV FILE PROVIDER (Stooq / ECB style daily files)
+// =============================================================================
+
+const log = createLogger('PROVIDER');
+
+// Our interval names -> the `{interval}` placeholder value in the URL template (Stooq style)
+const CSV_INTERVALS = { '1d': 'd', '1wk': 'w', '1mo': 'm' };
+
+// Accepted header names per field, checked case-insensitively
+const COLUMN_ALIASES = {
+  date: ['date', 'time_period', 'timestamp'],
+  open: ['open'],
+  high: ['high'],
+  low: ['low'],
+  close: ['close', 'price', 'obs_value', 'rate'],
+  volume: ['volume']
+};
+
+const DAY_SECONDS = 24 * 60 * 60;
+const RANGE_UNITS = { d: 1, wk: 7, mo: 31, y: 366 };
+
+/**
+ * Earliest unix timestamp (seconds) covered by a Yahoo-style range string like `5d` or `1mo`
+ */
+const rangeStart = (range, nowSeconds = Math.floor(Date.now() / 1000)) => {
+  if (!range || range === 'max') {
+    return -Infinity;
+  }
+  if (range === 'ytd') {
+    return Date.UTC(new Date(nowSeconds * 1000).getUTCFullYear(), 0, 1) / 1000;
+  }
+  const match = String(range).match(/^(\d+)(d|wk|mo|y)$/);
+  if (!match) {
+    throw new Error(`Unsupported range: ${range}`);
+  }
+  return nowSeconds - Number(match[1]) * RANGE_UNITS[match[2]] * DAY_SECONDS;
+};
+
+/**
+ * Parse a CSV body into a Yahoo-shaped chart result so candles go through extractCandles
+ */
+const parseCsvChart = (body) => {
+  const lines = String(body).trim().split(/\r?\n/).filter(line => line.trim().length > 0);
+  const header = (lines.shift() || '').split(',').map(column => column.trim().toLowerCase());
+
+  const columnIndex = Object.fromEntries(
+    Object.entries(COLUMN_ALIASES).map(([field, aliases]) => [field, header.findIndex(column => aliases.includes(column))])
+  );
+  if (columnIndex.date === -1 || columnIndex.close === -1) {
+    throw new Error(`CSV response has no date/close columns (got: ${header.join(',') || 'empty body'})`);
+  }
+
+  const toNumber = (value) => (value === undefined || value.trim() === '' ? null : Number(value));
+  const rows = lines
+    .map(line => line.split(','))
+    .map(cells => ({
+      timestamp: Date.parse(`${cells[columnIndex.date].trim()}T00:00:00Z`) / 1000,
+      cells
+    }))
+    .filter(row => Number.isFinite(row.timestamp))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const column = (field) => rows.map(row => (columnIndex[field] === -1 ? null : toNumber(row.cells[columnIndex[field]])));
+
+  return {
+    timestamp: rows.map(row => row.timestamp),
+    indicators: {
+      quote: [{
+        open: column('open'),
+        high: column('high'),
+        low: column('low'),
+        close: column('close'),
+        volume: column('volume')
+      }]
+    }
+  };
+};
+
+/**
+ * Create a provider that downloads daily CSV files
+ *
+ * @param {{ name: string, urlTemplate: string, symbolMap: Object<string, string>, timeout?: number }} options
+ *   urlTemplate uses `{symbol}` and `{interval}` placeholders; symbolMap maps Yahoo symbols to the file's symbols
+ */
+const createCsvProvider = ({ name, urlTemplate, symbolMap = {}, timeout = 10000 }) => {
+  const fetchChart = async ({ symbol, interval, range }) => {
+    const csvSymbol = symbolMap[symbol];
+    if (!csvSymbol) {
+      throw Object.assign(new Error(`No CSV symbol mapped for ${symbol}`), { provider: name, status: 404 });
+    }
+
+    const url = urlTemplate
+      .replace('{symbol}', encodeURIComponent(csvSymbol))
+      .replace('{interval}', CSV_INTERVALS[interval]);
+
+    log.info('Upstream request', { provider: name, url });
+
+    const response = await axios.get(url, { timeout, responseType: 'text', headers: { 'Accept': 'text/csv' } });
+
+    let result;
+    try {
+      result = parseCsvChart(response.data);
+    } catch (error) {
+      throw Object.assign(error, { provider: name, status: 400 });
+    }
+
+    const start = rangeStart(range);
+    const { candles, dropped } = extractCandles(result);
+    return {
+      symbol,
+      meta: { symbol, exchangeTimezoneName: 'UTC', gmtoffset: 0, dataGranularity: interval, range },
+      candles: candles.filter(candle => candle.timestamp >= start),
+      dropped
+    };
+  };
+
+  return {
+    name,
+    // CSV files are daily (or coarser) only, and only for symbols we know the file name of
+    supports: ({ symbol, interval }) => Boolean(CSV_INTERVALS[interval] && symbolMap[symbol]),
+    fetchChart
+  };
+};
+
+module.exports = {
+  rangeStart,
+  parseCsvChart,
+  createCsvProvider
+};
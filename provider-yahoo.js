@@ -0,0 +1,57 @@
+const axios = require('axios');
+const { extractCandles, pickMeta } = require('./candles');
+const { createLogger } = require('./logger');
+
+// =============================================================================
+// YAHOO FINANCE PROVIDER (v8 / v7 chart API)
+// =============================================================================
+
+const log = createLogger('PROVIDER');
+
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  'Accept': 'application/json',
+  'Accept-Language': 'en-US,en;q=0.9'
+};
+
+/**
+ * Create a provider for one version of the Yahoo chart API
+ *
+ * @param {{ name: string, version: 'v8' | 'v7', baseUrl: string, timeout?: number }} options
+ */
+const createYahooProvider = ({ name, version, baseUrl, timeout = 10000 }) => {
+  const fetchChart = async ({ symbol, interval, range }) => {
+    const url = `${baseUrl}/${version}/finance/chart/${encodeURIComponent(symbol)}`;
+
+    log.info('Upstream request', { provider: name, url, interval, range });
+
+    const response = await axios.get(url, {
+      params: { interval, range },
+      headers: BROWSER_HEADERS,
+      timeout
+    });
+
+    const result = response.data?.chart?.result?.[0];
+    if (!result) {
+      throw Object.assign(new Error('Yahoo Finance returned invalid data structure'), { provider: name, status: 400 });
+    }
+    // Some responses carry only the adjusted close (extractCandles falls back to it)
+    if (!result.timestamp || !(result.indicators?.quote?.[0]?.close || result.indicators?.adjclose?.[0]?.adjclose)) {
+      throw Object.assign(new Error('Missing timestamp or close price data'), { provider: name, status: 400 });
+    }
+
+    const { candles, dropped } = extractCandles(result);
+    return { symbol, meta: pickMeta(result), candles, dropped };
+  };
+
+  return {
+    name,
+    // Yahoo serves every interval we ask for (4h is resampled from 1h upstream of the provider)
+    supports: () => true,
+    fetchChart
+  };
+};
+
+module.exports = {
+  createYahooProvider
+};
@@ -0,0 +1,112 @@
+// =============================================================================
+// BATCH PROXY HELPERS (symbol lists, bounded concurrency, shared time axis)
+// =============================================================================
+
+// Most symbols one batch request may ask for
+const BATCH_MAX_SYMBOLS = 20;
+
+const ALIGN_MODES = ['union', 'intersection'];
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Split a `symbols=` query value into distinct, non-empty names (case kept, first one wins)
+ */
+const splitSymbols = (value) => {
+  const names = (Array.isArray(value) ? value.join(',') : String(value ?? ''))
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  return [...new Set(names)];
+};
+
+/**
+ * Validate a `symbols=` query value (throws with status 400)
+ */
+const parseSymbolList = (value, { max = BATCH_MAX_SYMBOLS } = {}) => {
+  const symbols = splitSymbols(value);
+  if (symbols.length === 0) {
+    throw invalid('symbols is required, e.g. symbols=JPY=X,DX-Y.NYB');
+  }
+  if (symbols.length > max) {
+    throw invalid(`At most ${max} symbols per batch (got ${symbols.length})`);
+  }
+  return symbols;
+};
+
+/**
+ * Validate an `align=` query value; undefined means no alignment
+ */
+const parseAlignMode = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+  if (!ALIGN_MODES.includes(value)) {
+    throw invalid(`align must be one of: ${ALIGN_MODES.join(', ')}`);
+  }
+  return value;
+};
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight
+ *
+ * Resolves with one Promise.allSettled-style result per item, in input order,
+ * so a failing item never affects the others.
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+};
+
+/**
+ * Put several row lists on one time axis, keyed by each row's `date`
+ *
+ * `union` keeps every date any series has and fills gaps with null; `intersection`
+ * keeps only the dates every series has. Returns the sorted axis and, per key, rows
+ * index-aligned with it.
+ *
+ * @param {Object<string, Array<{ date: string }>>} seriesByKey
+ * @param {'union'|'intersection'} mode
+ */
+const alignRows = (seriesByKey, mode) => {
+  const lookups = Object.entries(seriesByKey).map(([key, rows]) => [key, new Map(rows.map(row => [row.date, row]))]);
+  const counts = new Map();
+  for (const [, byDate] of lookups) {
+    for (const date of byDate.keys()) {
+      counts.set(date, (counts.get(date) || 0) + 1);
+    }
+  }
+
+  // ISO dates and timestamps sort correctly as strings
+  const dates = [...counts.keys()]
+    .filter(date => mode === 'union' || counts.get(date) === lookups.length)
+    .sort();
+
+  return {
+    dates,
+    series: Object.fromEntries(lookups.map(([key, byDate]) => [key, dates.map(date => byDate.get(date) ?? null)]))
+  };
+};
+
+module.exports = {
+  BATCH_MAX_SYMBOLS,
+  splitSymbols,
+  parseSymbolList,
+  parseAlignMode,
+  mapWithConcurrency,
+  alignRows
+};
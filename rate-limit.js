@@ -0,0 +1,118 @@
+const { createLogger } = require('./logger');
+
+// =============================================================================
+// RATE LIMITING (token buckets behind a pluggable store)
+// =============================================================================
+
+const log = createLogger('RATE-LIMIT');
+
+// Bucket size and refill rate per route group; RATE_LIMITS overrides them, e.g. {"proxy":{"capacity":60,"perMinute":60}}
+const DEFAULT_LIMITS = {
+  read: { capacity: 120, perMinute: 120 },
+  proxy: { capacity: 30, perMinute: 30 },
+  write: { capacity: 10, perMinute: 10 }
+};
+
+/**
+ * Merge RATE_LIMITS-style overrides into the defaults (throws on invalid values)
+ */
+const resolveLimits = (overrides = {}) => Object.fromEntries(Object.entries(DEFAULT_LIMITS).map(([name, defaults]) => {
+  const limit = { ...defaults, ...overrides[name] };
+  if (!(limit.capacity >= 1) || !(limit.perMinute > 0)) {
+    throw new Error(`Rate limit "${name}" needs capacity >= 1 and perMinute > 0`);
+  }
+  return [name, limit];
+}));
+
+/**
+ * In-memory token bucket store
+ *
+ * A store implements `take(key, { capacity, perMinute }, cost)` and resolves with
+ * `{ allowed, remaining, resetSeconds, retryAfterSeconds }`; a shared store (e.g. Redis)
+ * must do the refill and the take atomically. Buckets are kept in least-recently-used
+ * order, so the oldest are dropped once `maxKeys` is exceeded.
+ */
+const createMemoryStore = ({ maxKeys = 10000, now = Date.now } = {}) => {
+  const buckets = new Map();
+
+  return {
+    async take(key, { capacity, perMinute }, cost = 1) {
+      const perMs = perMinute / 60000;
+      const time = now();
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: time };
+      const tokens = Math.min(capacity, bucket.tokens + (time - bucket.updatedAt) * perMs);
+      const allowed = tokens >= cost;
+      const remaining = allowed ? tokens - cost : tokens;
+
+      buckets.delete(key);
+      buckets.set(key, { tokens: remaining, updatedAt: time });
+      if (buckets.size > maxKeys) {
+        buckets.delete(buckets.keys().next().value);
+      }
+
+      return {
+        allowed,
+        remaining: Math.floor(remaining),
+        resetSeconds: Math.ceil((capacity - remaining) / perMs / 1000),
+        retryAfterSeconds: allowed ? 0 : Math.ceil((cost - remaining) / perMs / 1000)
+      };
+    },
+    size: () => buckets.size
+  };
+};
+
+/**
+ * Bucket key for a request: the authenticated API key's name, otherwise the client IP
+ *
+ * Only a key that already passed verification counts, so made-up keys can't be used to
+ * get fresh buckets.
+ */
+const clientKey = (req) => (req.apiKey ? `key:${req.apiKey.name}` : `ip:${req.ip}`);
+
+/**
+ * Express middleware enforcing one named limit
+ *
+ * Sets RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset on
+ * every response, and Retry-After with a 429 once the bucket is empty. A failing store
+ * lets requests through rather than taking the API down with it. `cost(req)` is the
+ * number of tokens a request takes (capped at the bucket capacity, so it can still pass).
+ *
+ * @param {{ name: string, limit: { capacity: number, perMinute: number }, store: Object, cost?: Function, onLimited?: Function }} options
+ */
+const createRateLimiter = ({ name, limit, store, cost = () => 1, onLimited = () => {} }) => async (req, res, next) => {
+  const key = `${name}:${clientKey(req)}`;
+  let result;
+  try {
+    result = await store.take(key, limit, Math.min(cost(req), limit.capacity));
+  } catch (error) {
+    log.error('Rate limit store failed, allowing request', { limit: name, error });
+    return next();
+  }
+
+  const windowSeconds = Math.round(limit.capacity / limit.perMinute * 60);
+  res.set('RateLimit-Policy', `${limit.capacity};w=${windowSeconds}`);
+  res.set('RateLimit-Limit', String(limit.capacity));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(result.resetSeconds));
+
+  if (result.allowed) {
+    return next();
+  }
+
+  onLimited(name, req);
+  log.warn('Rate limit exceeded', { limit: name, client: clientKey(req), path: req.path, retryAfterSeconds: result.retryAfterSeconds });
+  res.set('Retry-After', String(result.retryAfterSeconds));
+  res.status(429).json({
+    error: 'Too Many Requests',
+    message: `Rate limit for ${name} requests exceeded, retry in ${result.retryAfterSeconds}s`,
+    retryAfter: result.retryAfterSeconds,
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  DEFAULT_LIMITS,
+  resolveLimits,
+  createMemoryStore,
+  createRateLimiter
+};
@@ -0,0 +1,69 @@
+// =============================================================================
+// OHLC RESAMPLING
+// =============================================================================
+
+const HOUR_SECONDS = 60 * 60;
+
+/**
+ * Group hourly candles into UTC-aligned buckets (00/04/08/12/16/20 for 4H)
+ *
+ * Each bucket gets the first open, highest high, lowest low, last close and
+ * summed volume of the candles inside it. `complete` is false while the bucket
+ * is still forming (its end is in the future); `missingHours` counts elapsed
+ * hours of the bucket for which Yahoo returned no candle.
+ *
+ * @param {Array<{timestamp: number, open: number, high: number, low: number, close: number, volume: ?number}>} candles
+ * @param {{ hours?: number, now?: number }} options - bucket size and the current time in ms
+ */
+const resampleCandles = (candles, { hours = 4, now = Date.now() } = {}) => {
+  const bucketSeconds = hours * HOUR_SECONDS;
+  const nowSeconds = Math.floor(now / 1000);
+  const buckets = new Map();
+
+  const sorted = [...candles].sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const candle of sorted) {
+    const start = Math.floor(candle.timestamp / bucketSeconds) * bucketSeconds;
+    const bucket = buckets.get(start);
+
+    if (!bucket) {
+      buckets.set(start, {
+        start,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume || 0,
+        hoursSeen: new Set([Math.floor(candle.timestamp / HOUR_SECONDS)])
+      });
+      continue;
+    }
+
+    bucket.high = Math.max(bucket.high, candle.high);
+    bucket.low = Math.min(bucket.low, candle.low);
+    bucket.close = candle.close;
+    bucket.volume += candle.volume || 0;
+    bucket.hoursSeen.add(Math.floor(candle.timestamp / HOUR_SECONDS));
+  }
+
+  return [...buckets.values()].map(bucket => {
+    // Hours of this bucket that have started so far (all of them once it is closed)
+    const elapsedHours = Math.min(hours, Math.ceil((nowSeconds - bucket.start) / HOUR_SECONDS));
+
+    return {
+      timestamp: bucket.start,
+      date: new Date(bucket.start * 1000).toISOString(),
+      open: bucket.open,
+      high: bucket.high,
+      low: bucket.low,
+      close: bucket.close,
+      volume: bucket.volume,
+      complete: bucket.start + bucketSeconds <= nowSeconds,
+      missingHours: Math.max(0, elapsedHours - bucket.hoursSeen.size)
+    };
+  });
+};
+
+module.exports = {
+  resampleCandles
+};
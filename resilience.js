@@ -0,0 +1,116 @@
+const { createLogger } = require('./logger');
+
+// =============================================================================
+// RETRIES AND CIRCUIT BREAKERS
+// =============================================================================
+
+const log = createLogger('BREAKER');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `fn` until it resolves, retrying failures with exponential backoff
+ *
+ * Waits baseDelayMs, 2 * baseDelayMs, 4 * baseDelayMs ... (capped at maxDelayMs) plus up
+ * to 10% random jitter between attempts. The last error is rethrown with `retries`
+ * set to the number of retries made.
+ *
+ * @param {Function} fn - receives the attempt number (0 for the first call)
+ * @param {Object} [options]
+ * @param {Function} [options.shouldRetry] - return false to give up on an error immediately
+ */
+const retryWithBackoff = async (fn, {
+  retries = 2,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  shouldRetry = () => true,
+  onRetry = () => {},
+  wait = sleep,
+  random = Math.random
+} = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        error.retries = attempt;
+        throw error;
+      }
+      const delay = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+      const jittered = Math.round(delay + delay * 0.1 * random());
+      onRetry(error, attempt + 1, jittered);
+      await wait(jittered);
+    }
+  }
+};
+
+/**
+ * Circuit breaker for one upstream
+ *
+ * closed: requests flow, consecutive failures are counted
+ * open: after `failureThreshold` failures in a row, requests are refused for `cooldownMs`
+ * half-open: after the cooldown a single trial request is let through; success closes
+ * the circuit, failure opens it again for another cooldown
+ */
+const createCircuitBreaker = ({ name, failureThreshold = 5, cooldownMs = 60000, now = Date.now }) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let totalOpened = 0;
+
+  const open = () => {
+    state = 'open';
+    openedAt = now();
+    trialInFlight = false;
+    totalOpened++;
+    log.warn('Circuit open', { upstream: name, consecutiveFailures: failures, retryInSeconds: Math.round(cooldownMs / 1000) });
+  };
+
+  return {
+    name,
+    /**
+     * Whether a request may go out now (moves open -> half-open once the cooldown has passed)
+     */
+    allowRequest() {
+      if (state === 'open' && now() - openedAt >= cooldownMs) {
+        state = 'half-open';
+      }
+      if (state === 'half-open') {
+        if (trialInFlight) {
+          return false;
+        }
+        trialInFlight = true;
+        return true;
+      }
+      return state === 'closed';
+    },
+    recordSuccess() {
+      if (state !== 'closed') {
+        log.info('Circuit closed, upstream recovered', { upstream: name });
+      }
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+    recordFailure() {
+      failures++;
+      if (state === 'half-open' || (state === 'closed' && failures >= failureThreshold)) {
+        open();
+      }
+    },
+    stats: () => ({
+      state,
+      consecutiveFailures: failures,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAt: state === 'open' ? new Date(openedAt + cooldownMs).toISOString() : null,
+      timesOpened: totalOpened
+    })
+  };
+};
+
+module.exports = {
+  retryWithBackoff,
+  createCircuitBreaker
+};
@@ -0,0 +1,127 @@
+const { createLogger } = require('./logger');
+
+// =============================================================================
+// UPSTREAM RESPONSE CACHE (TTL + stale-while-revalidate + request coalescing)
+// =============================================================================
+
+const log = createLogger('PROXY-CACHE');
+
+// Fresh lifetime per upstream interval, in seconds
+const DEFAULT_TTLS = {
+  '1m': 30,
+  '2m': 60,
+  '5m': 60,
+  '15m': 120,
+  '30m': 120,
+  '60m': 300,
+  '90m': 300,
+  '1h': 300,
+  '1d': 900,
+  '5d': 900,
+  '1wk': 3600,
+  '1mo': 3600,
+  '3mo': 3600
+};
+
+/**
+ * Create an in-memory cache for upstream fetches
+ *
+ * Entries are fresh for their interval's TTL, then served stale for another
+ * TTL while a background refetch runs. Concurrent misses for the same key
+ * share a single in-flight fetch. Failed fetches are never cached.
+ *
+ * @param {{ ttls?: Object<string, number>, defaultTtl?: number, maxEntries?: number, now?: () => number }} options - TTLs in seconds
+ */
+const createResponseCache = ({ ttls = {}, defaultTtl = 300, maxEntries = 500, now = Date.now } = {}) => {
+  const ttlTable = { ...DEFAULT_TTLS, ...ttls };
+  const entries = new Map(); // key -> { value, storedAt, expiresAt, staleUntil }
+  const inFlight = new Map(); // key -> Promise
+  const counters = { hits: 0, misses: 0, stale: 0, coalesced: 0, revalidations: 0, errors: 0 };
+
+  const ttlFor = (interval) => (ttlTable[interval] ?? defaultTtl) * 1000;
+
+  const load = (key, interval, fetcher) => {
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+
+    const promise = (async () => {
+      try {
+        const value = await fetcher();
+        const time = now();
+        const ttl = ttlFor(interval);
+
+        // Re-insert so Map order doubles as least-recently-stored order for eviction
+        entries.delete(key);
+        entries.set(key, { value, storedAt: time, expiresAt: time + ttl, staleUntil: time + 2 * ttl });
+        while (entries.size > maxEntries) {
+          entries.delete(entries.keys().next().value);
+        }
+
+        return value;
+      } catch (error) {
+        counters.errors++;
+        throw error;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  /**
+   * Resolve `key` from cache or through `fetcher`
+   *
+   * @returns {Promise<{ value: *, status: 'HIT' | 'STALE' | 'COALESCED' | 'MISS', age: number }>} age in seconds
+   */
+  const get = async (key, interval, fetcher) => {
+    const time = now();
+    const entry = entries.get(key);
+
+    if (entry && time < entry.expiresAt) {
+      counters.hits++;
+      return { value: entry.value, status: 'HIT', age: Math.floor((time - entry.storedAt) / 1000) };
+    }
+
+    if (entry && time < entry.staleUntil) {
+      counters.stale++;
+      if (!inFlight.has(key)) {
+        counters.revalidations++;
+        load(key, interval, fetcher).catch(error => {
+          log.warn('Background revalidation failed', { key, error });
+        });
+      }
+      return { value: entry.value, status: 'STALE', age: Math.floor((time - entry.storedAt) / 1000) };
+    }
+
+    if (inFlight.has(key)) {
+      counters.coalesced++;
+      return { value: await inFlight.get(key), status: 'COALESCED', age: 0 };
+    }
+
+    counters.misses++;
+    return { value: await load(key, interval, fetcher), status: 'MISS', age: 0 };
+  };
+
+  /**
+   * Counters and sizes for the status endpoint
+   */
+  const stats = () => {
+    const lookups = counters.hits + counters.stale + counters.coalesced + counters.misses;
+    return {
+      entries: entries.size,
+      inFlight: inFlight.size,
+      ...counters,
+      hitRate: lookups > 0 ? Number(((counters.hits + counters.stale + counters.coalesced) / lookups).toFixed(3)) : null
+    };
+  };
+
+  return { get, stats, ttlFor };
+};
+
+module.exports = {
+  DEFAULT_TTLS,
+  createResponseCache
+};
@@ -0,0 +1,68 @@
+/**
+ * Run every offline test suite, one after another
+ *
+ * Usage:
+ *   node run-tests.js                  # all offline suites (npm test)
+ *   node run-tests.js history convert  # only test-history.js and test-convert.js
+ *
+ * test-endpoints.js, test-fx-cache.js and test-memory-cache.js need a running
+ * server and are not included (npm run test:endpoints, test:fx-cache, test:memory).
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Suites that run without a server, network access or API keys
+const OFFLINE_SUITES = [
+  'analytics',
+  'api-keys',
+  'backups',
+  'batch',
+  'candles',
+  'cache-indicators',
+  'cache-writes',
+  'convert',
+  'exchange-time',
+  'export',
+  'fx-events',
+  'history',
+  'http-cache',
+  'indicators',
+  'instruments',
+  'logger',
+  'metrics',
+  'providers',
+  'quality',
+  'rate-limit',
+  'resample',
+  'resilience',
+  'response-cache',
+  'scheduler',
+  'symbol-policy',
+  'validation'
+];
+
+const requested = process.argv.slice(2);
+const unknown = requested.filter(name => !OFFLINE_SUITES.includes(name));
+if (unknown.length > 0) {
+  console.error(`Unknown suite(s): ${unknown.join(', ')} (available: ${OFFLINE_SUITES.join(', ')})`);
+  process.exit(2);
+}
+
+const failed = [];
+for (const name of requested.length > 0 ? requested : OFFLINE_SUITES) {
+  console.log(`\n▶️  test-${name}.js\n`);
+  const result = spawnSync(process.execPath, [path.join(__dirname, `test-${name}.js`)], { stdio: 'inherit' });
+  if (result.status !== 0) {
+    failed.push(name);
+  }
+}
+
+const total = requested.length > 0 ? requested.length : OFFLINE_SUITES.length;
+console.log('\n' + '='.repeat(60));
+if (failed.length > 0) {
+  console.log(`💥 ${failed.length} of ${total} suites failed: ${failed.join(', ')}`);
+  process.exitCode = 1;
+} else {
+  console.log(`🎉 All ${total} suites passed!`);
+}
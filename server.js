@@ -3,12 +3,57 @@ const cors = require('cors');
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const { resampleCandles } = require('./resample');
+const { rowTime, chartRows } = require('./candles');
+const { PROVIDER_ORDER, fetchChart, getProvider, getBreakerStats } = require('./market-data');
+const { retryWithBackoff } = require('./resilience');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, registry: metrics } = require('./metrics');
+const { createLogger, createId, runWithLogContext } = require('./logger');
+const { API_KEYS_FILE, createKeyStore, hasScope, isExpired } = require('./api-keys');
+const { resolveLimits, createMemoryStore, createRateLimiter } = require('./rate-limit');
+const { createResponseCache } = require('./response-cache');
+const { INTERVALS, symbolPolicy, validateChartParams, allowedRanges } = require('./symbol-policy');
+const { tradingDate, parseTimeZone, resolveTimeZone } = require('./exchange-time');
+const { parseSymbolList, parseAlignMode, mapWithConcurrency, alignRows } = require('./proxy-batch');
+const fxEvents = require('./fx-events');
+const { validateCacheSeries, validateLastUpdate } = require('./fx-validation');
+const { secondsUntil, sendNotModifiedIfFresh } = require('./http-cache');
+const { MIN_WINDOW, MAX_WINDOW, parseWindow, computeAnalytics, PERIODS_PER_YEAR } = require('./fx-analytics');
+const { parseIndicators, computeIndicators } = require('./indicators');
+const { COLUMNS, negotiateFormat, withIndicatorColumns, sendRows } = require('./export');
+const { analyzeQuality } = require('./fx-quality');
+const { supportedCurrencies, parseConversionQuery, convertCurrency } = require('./fx-convert');
+const { createRefreshScheduler } = require('./fx-scheduler');
+const { HISTORY_DIR, appendHistory, readHistory, parseHistoryBound } = require('./fx-history');
+const { LIVE_BACKUP_PATH, MAX_BACKUPS, DAILY_DATES, migrateDailyDates, parseBackupId, listBackups, readBackup, writeLiveBackup, pruneBackups, diffCaches } = require('./fx-backups');
+const { createCacheStore } = require('./fx-cache-store');
+const { INSTRUMENTS, SERIES, SERIES_KEYS, REQUIRED_SERIES_KEYS, getSeries, createEmptySeries, countDataPoints } = require('./fx-instruments');
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// API Key for write operations (set this as an environment variable)
-// Generate a secure key: node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
-const API_KEY = process.env.FX_CACHE_API_KEY || 'CHANGE_THIS_IN_PRODUCTION';
+// One logger per component; lines logged while handling a request carry its requestId
+const proxyLog = createLogger('PROXY');
+const httpLog = createLogger('HTTP');
+const authLog = createLogger('AUTH');
+const cacheLog = createLogger('FX-CACHE');
+const refreshLog = createLogger('FX-REFRESH');
+const backupLog = createLogger('FX-BACKUP');
+const initLog = createLogger('FX-INIT');
+const historyLog = createLogger('FX-HISTORY');
+const analyticsLog = createLogger('FX-ANALYTICS');
+const streamLog = createLogger('FX-STREAM');
+const metricsLog = createLogger('METRICS');
+const convertLog = createLogger('FX-CONVERT');
+
+// Scoped API keys for write operations: hashed in api-keys.json (see manage-api-keys.js),
+// plus FX_CACHE_API_KEY as a single admin key
+const apiKeys = createKeyStore();
+
+// The built-in default key is public knowledge; never serve production with it
+if (process.env.NODE_ENV === 'production' && apiKeys.usesDefaultKey()) {
+  throw new Error(`Refusing to start in production with the default API key: set FX_CACHE_API_KEY or add keys to ${API_KEYS_FILE}`);
+}
 
 // FTP/SFTP credentials (for writing to data.moonwave.pro)
 const REMOTE_FX_CACHE_PATH = process.env.REMOTE_FX_CACHE_PATH || '';
@@ -20,201 +65,531 @@ const REMOTE_PASS = process.env.REMOTE_PASS || '';
 // IN-MEMORY FX CACHE
 // =============================================================================
 
-// Server-side cache that persists in memory
-let FX_CACHE = {
-  lastUpdate: null,
-  usdjpy1D: [],
-  dxy1D: [],
-  usdjpy4H: [],
-  dxy4H: [],
-  dataReady: false,
-  isLoading: false,
-  error: null
+// Server-side cache that persists in memory (one array per series in fx-instruments.json),
+// versioned and write-locked by the store (see fx-cache-store.js)
+const cacheStore = createCacheStore({
+  initial: {
+    lastUpdate: null,
+    ...createEmptySeries(),
+    providers: {}, // series key -> market data provider that served it
+    seriesStatus: {}, // series key -> { lastSuccess, lastAttempt, error, retries } of the last refresh
+    dailyDates: DAILY_DATES, // 1D rows are dated by exchange trading day (see fx-backups.js)
+    dataReady: false,
+    isLoading: false,
+    error: null
+  }
+});
+
+// Outcome of the last history append ({ at, appended } or { at, error }), reported by /status
+let lastHistoryAppend = null;
+
+// Null rows each series lost in the last refresh, tied to the cache version it produced
+let lastRefreshDropped = { version: null, dropped: {} };
+
+/**
+ * Data-quality report for the current cache
+ *
+ * Rebuilt on every call because staleness depends on the clock; dropped-null counts
+ * are only known while the cache still holds the data of the last refresh.
+ */
+const getQualityReport = () => analyzeQuality(cacheStore.current(), {
+  dropped: lastRefreshDropped.version === cacheStore.version() ? lastRefreshDropped.dropped : {}
+});
+
+// Refreshes run this long after each 4H candle close and the New York close, plus random jitter
+const REFRESH_DELAY_MS = parseFloat(process.env.REFRESH_DELAY_MINUTES || '5') * 60 * 1000;
+const REFRESH_JITTER_MS = parseFloat(process.env.REFRESH_JITTER_SECONDS || '60') * 1000;
+
+// Created here, started by initializeFXCache (refreshFXCache is defined further down)
+const refreshScheduler = createRefreshScheduler({
+  task: () => refreshFXCache(),
+  delayMs: REFRESH_DELAY_MS,
+  jitterMs: REFRESH_JITTER_MS
+});
+
+/**
+ * When the cache is next expected to change (ms), or null before the scheduler starts
+ */
+const getNextRefresh = () => refreshScheduler.nextRun()?.at ?? null;
+
+// Cache responses stay fresh until the next scheduled refresh (null: none scheduled, revalidate every time)
+const cacheMaxAge = () => {
+  const nextRefresh = getNextRefresh();
+  return nextRefresh ? secondsUntil(nextRefresh) : null;
 };
 
-// Refresh interval (4 hours in milliseconds)
-const REFRESH_INTERVAL = 4 * 60 * 60 * 1000; // 4 hours
+// =============================================================================
+// SYMBOL PROXY CACHE
+// =============================================================================
+
+// Upstream responses for /api/yahoo/:symbol, keyed by symbol/interval/range
+// PROXY_CACHE_TTLS overrides per-interval TTLs in seconds, e.g. {"1d":600,"1h":120}
+const proxyCache = createResponseCache({
+  ttls: process.env.PROXY_CACHE_TTLS ? JSON.parse(process.env.PROXY_CACHE_TTLS) : {},
+  maxEntries: parseInt(process.env.PROXY_CACHE_MAX_ENTRIES || '500')
+});
+
+// =============================================================================
+// REQUEST IDS AND ACCESS LOG
+// =============================================================================
+
+// A caller-supplied X-Request-Id is kept when it looks like an id, so traces can span services
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : createId();
+  res.set('X-Request-Id', req.id);
+  
+  // finish/close fire outside the request's async context, so the id is passed explicitly
+  const startedAt = Date.now();
+  let logged = false;
+  const logRequest = () => {
+    if (logged) {
+      return;
+    }
+    logged = true;
+    httpLog.info(res.writableFinished ? 'Request completed' : 'Request aborted', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  };
+  res.on('finish', logRequest);
+  res.on('close', logRequest);
+  
+  runWithLogContext({ requestId: req.id }, next);
+});
+
+// =============================================================================
+// PROMETHEUS METRICS
+// =============================================================================
+
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency in seconds', ['method', 'route']);
+const refreshRuns = metrics.counter('fx_refresh_total', 'FX cache refreshes by result (success, partial or failure)', ['result']);
+const authFailures = metrics.counter('auth_failures_total', 'Requests rejected by API key verification, by reason (missing, invalid, expired or scope)', ['reason']);
+
+// Cache state is read at scrape time so the gauges never drift from the live cache
+metrics.gauge('fx_cache_age_seconds', 'Seconds since the FX cache was last updated (-1 before the first update)', () => (
+  cacheStore.current().lastUpdate ? (Date.now() - cacheStore.current().lastUpdate) / 1000 : -1
+));
+metrics.gauge('fx_cache_version', 'Current FX cache version (the ETag counter)', () => cacheStore.version());
+metrics.gauge('fx_cache_ready', 'Whether the FX cache has data to serve (1) or not (0)', () => (cacheStore.current().dataReady ? 1 : 0));
+metrics.gauge('fx_series_data_points', 'Data points held per cached series', () => (
+  SERIES_KEYS.map(key => ({ labels: { series: key }, value: cacheStore.current()[key]?.length || 0 }))
+));
+metrics.gauge('fx_backup_files', 'Timestamped FX cache backup snapshots on disk', async () => (await listBackups()).length);
+metrics.gauge('upstream_circuit_open', 'Whether the circuit breaker of an upstream is open or half-open (1) or closed (0)', () => (
+  Object.entries(getBreakerStats()).map(([upstream, stats]) => ({ labels: { upstream }, value: stats.state === 'closed' ? 0 : 1 }))
+));
+
+// Requests are labelled with the matched route pattern (not the raw path) to keep label values bounded
+app.use((req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  let recorded = false;
+  const record = () => {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  };
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+});
+
+// =============================================================================
+// RATE LIMITING
+// =============================================================================
+
+// Behind a load balancer req.ip is the balancer's address unless proxies are trusted:
+// TRUST_PROXY=1 trusts one hop, or pass a list of addresses/subnets (see Express "trust proxy")
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
+const RATE_LIMITS = resolveLimits(process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {});
+const rateLimitStore = createMemoryStore({ maxKeys: parseInt(process.env.RATE_LIMIT_MAX_CLIENTS || '10000') });
+const rateLimited = metrics.counter('rate_limited_total', 'Requests rejected with 429, by rate limit', ['limit']);
+
+// read: public cache endpoints; proxy: Yahoo relay routes; write: routes that need an X-API-Key
+const rateLimit = Object.fromEntries(Object.entries(RATE_LIMITS).map(([name, limit]) => [
+  name,
+  createRateLimiter({ name, limit, store: rateLimitStore, onLimited: () => rateLimited.inc({ limit: name }) })
+]));
+
+// A batch takes one proxy token per symbol, from the same bucket as single-symbol calls
+// (counted on the list validated by parseBatchRequest)
+rateLimit.proxyBatch = createRateLimiter({
+  name: 'proxy',
+  limit: RATE_LIMITS.proxy,
+  store: rateLimitStore,
+  cost: (req) => req.batch.symbols.length,
+  onLimited: () => rateLimited.inc({ limit: 'proxy' })
+});
+
+// A valid X-API-Key gives the caller its own buckets; anything else is limited by IP
+app.use(async (req, res, next) => {
+  const presented = req.headers['x-api-key'];
+  if (presented) {
+    try {
+      const key = await apiKeys.authenticate(presented);
+      if (key && !isExpired(key)) {
+        req.apiKey = { name: key.name, scopes: key.scopes };
+      }
+    } catch (error) {
+      authLog.error('Error identifying API key', { error });
+    }
+  }
+  next();
+});
 
 // Enable CORS for all origins (for Figma Publish and local development)
 app.use(cors({
   origin: true, // Allow all origins (safe for public read-only cache)
   methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id', 'Last-Event-ID', 'If-Match', 'If-None-Match', 'If-Modified-Since'],
+  exposedHeaders: ['ETag', 'Last-Modified', 'X-Cache', 'X-Request-Id', 'Content-Disposition', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
   credentials: false
 }));
 
-app.use(express.json());
+// Request bodies above this size are rejected with 413 (FX_CACHE_MAX_PAYLOAD, e.g. "2mb")
+app.use(express.json({ limit: process.env.FX_CACHE_MAX_PAYLOAD || '1mb' }));
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.set('Cache-Control', 'no-store');
+    res.send(await metrics.render());
+  } catch (error) {
+    metricsLog.error('Error rendering metrics', { error });
+    res.status(500).json({
+      error: 'Failed to render metrics',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Yahoo Finance proxy endpoint
-app.get('/api/yahoo/:symbol', async (req, res) => {
+/**
+ * Fetch a chart through the proxy cache and build the rows `/api/yahoo/:symbol` returns
+ *
+ * Daily rows are labelled with the exchange's trading date; intraday rows carry ISO
+ * timestamps in UTC, or in `tz` when given (see exchange-time.js).
+ *
+ * @returns {Promise<{ chart: Object, cacheStatus: string, data: Object[], timeZone: string|null }>}
+ */
+const loadProxyChart = async ({ symbol, interval, range, fields, tz = null }) => {
+  // Yahoo has no 4h interval: fetch 1h candles and resample them ourselves
+  const upstreamInterval = interval === '4h' ? '1h' : interval;
+  
+  // Walk the provider chain (Yahoo v8 -> Yahoo v7 -> CSV by default), through the proxy cache
+  const cacheKey = `${symbol}|${upstreamInterval}|${range}`;
+  const { value: chart, status: cacheStatus } = await proxyCache.get(cacheKey, upstreamInterval, () =>
+    fetchChart({ symbol, interval: upstreamInterval, range })
+  );
+  
+  proxyLog.info('Chart served', { symbol, provider: chart.provider, candles: chart.candles.length, cache: cacheStatus });
+  
+  const timeZone = resolveTimeZone(tz, chart.meta);
+  const processedData = chartRows(chart, { interval, fields, timeZone });
+  
+  proxyLog.debug('Processed data points', { symbol, points: processedData.length });
+  
+  return { chart, cacheStatus, data: processedData, timeZone };
+};
+
+// Upstream fetches one batch request may have in flight at once
+const BATCH_CONCURRENCY = parseInt(process.env.PROXY_BATCH_CONCURRENCY || '4');
+
+/**
+ * Validate a batch request before it is charged against the rate limit, so a rejected
+ * list costs nothing; the parsed query is left on `req.batch`
+ */
+const parseBatchRequest = (req, res, next) => {
+  const { interval = '1d', range = '1mo', fields = 'close' } = req.query;
+  try {
+    const symbols = parseSymbolList(req.query.symbols);
+    const align = parseAlignMode(req.query.align);
+    const tz = parseTimeZone(req.query.tz);
+    validateChartParams({ interval, range });
+    if (!['close', 'ohlcv'].includes(fields)) {
+      throw new Error('fields must be "close" or "ohlcv"');
+    }
+    // Each symbol's exchange zone differs, so their timestamps couldn't share one axis
+    if (align && tz === 'exchange') {
+      throw new Error('align needs one shared time zone: pass an IANA zone as tz, not "exchange"');
+    }
+    req.batch = { symbols, align, tz, interval, range, fields };
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid batch request',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+// Several symbols in one call; registered before /api/yahoo/:symbol so "batch" isn't taken as a symbol
+app.get('/api/yahoo/batch', parseBatchRequest, rateLimit.proxyBatch, async (req, res) => {
   try {
-    const { symbol } = req.params;
-    const { interval = '1d', range = '1mo' } = req.query;
+    const { symbols, align, tz, interval, range, fields } = req.batch;
     
-    console.log(`🔄 [PROXY] Fetching ${symbol} with interval=${interval}, range=${range}`);
+    proxyLog.info('Fetching batch', { symbols, interval, range, fields, align, tz });
     
-    // Yahoo Finance API URL
-    const yahooUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=${interval}&range=${range}`;
+    // Each symbol succeeds or fails on its own; one bad symbol never fails the batch
+    const settled = await mapWithConcurrency(symbols, BATCH_CONCURRENCY, async (requested) => {
+      const { symbol } = symbolPolicy.resolve(requested);
+      const { chart, cacheStatus, data, timeZone } = await loadProxyChart({ symbol, interval, range, fields, tz });
+      return {
+        symbol,
+        ...(requested !== symbol && { requestedSymbol: requested }),
+        ...(timeZone && { tz: timeZone }),
+        data,
+        source: chart.source,
+        provider: chart.provider,
+        cache: cacheStatus,
+        ...(fields === 'ohlcv' && { meta: chart.meta, droppedRows: chart.dropped })
+      };
+    });
     
-    console.log(`📡 [PROXY] Making request to: ${yahooUrl}`);
+    const results = {};
+    settled.forEach((outcome, index) => {
+      const requested = symbols[index];
+      if (outcome.status === 'fulfilled') {
+        results[requested] = outcome.value;
+        return;
+      }
+      const error = outcome.reason;
+      proxyLog.warn('Batch symbol failed', { symbol: requested, error });
+      results[requested] = {
+        error: error.status === 404 ? 'Unknown symbol' : error.status === 400 ? 'Invalid symbol' : 'Proxy error',
+        status: error.status === 404 || error.status === 400 ? error.status : 502,
+        message: error.message,
+        attempts: error.attempts || []
+      };
+    });
     
-    // Make request to Yahoo Finance
-    const response = await axios.get(yahooUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'application/json',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1'
-      },
-      timeout: 10000 // 10 second timeout
+    const succeeded = symbols.filter(requested => !results[requested].error);
+    const payload = {
+      interval,
+      range,
+      ...(fields === 'ohlcv' && { fields }),
+      results,
+      summary: { requested: symbols.length, succeeded: succeeded.length, failed: symbols.length - succeeded.length },
+      timestamp: new Date().toISOString()
+    };
+    
+    // Put the successful series on one time axis: `dates` plus rows (or null) index-aligned with it
+    if (align) {
+      const aligned = alignRows(Object.fromEntries(succeeded.map(requested => [requested, results[requested].data])), align);
+      payload.align = align;
+      payload.dates = aligned.dates;
+      for (const requested of succeeded) {
+        results[requested].data = aligned.series[requested];
+      }
+    }
+    
+    res.json(payload);
+    
+  } catch (error) {
+    proxyLog.error('Error fetching batch', { error });
+    res.status(500).json({
+      error: 'Proxy error',
+      message: error.message,
+      timestamp: new Date().toISOString()
     });
+  }
+});
+
+// Yahoo Finance proxy endpoint
+app.get('/api/yahoo/:symbol', rateLimit.proxy, async (req, res) => {
+  try {
+    const { interval = '1d', range = '1mo', fields = 'close' } = req.query;
     
-    console.log(`✅ [PROXY] Yahoo Finance responded with status: ${response.status}`);
+    // Aliases resolve to the canonical Yahoo symbol; anything off the allowlist never goes upstream
+    let resolved;
+    try {
+      resolved = symbolPolicy.resolve(req.params.symbol);
+    } catch (error) {
+      return res.status(error.status).json({
+        error: error.status === 404 ? 'Unknown symbol' : 'Invalid symbol',
+        symbol: req.params.symbol,
+        message: error.message
+      });
+    }
+    const { symbol } = resolved;
     
-    // Validate response structure
-    const data = response.data;
-    if (!data.chart || !data.chart.result || data.chart.result.length === 0) {
-      console.error(`❌ [PROXY] Invalid Yahoo Finance response structure for ${symbol}`);
+    try {
+      validateChartParams({ interval, range });
+    } catch (error) {
       return res.status(400).json({
-        error: 'Invalid data structure',
+        error: 'Invalid interval or range',
         symbol,
-        message: 'Yahoo Finance returned invalid data structure'
+        message: error.message
       });
     }
     
-    const result = data.chart.result[0];
-    const timestamps = result.timestamp;
-    const quotes = result.indicators?.quote?.[0];
-    const closes = quotes?.close;
+    // `close` keeps the original { date, close } shape, `ohlcv` returns full candles
+    if (!['close', 'ohlcv'].includes(fields)) {
+      return res.status(400).json({
+        error: 'Invalid fields',
+        symbol,
+        message: 'fields must be "close" or "ohlcv"'
+      });
+    }
     
-    if (!timestamps || !closes) {
-      console.error(`❌ [PROXY] Missing timestamp or close data for ${symbol}`);
+    // Intraday timestamps in UTC unless a zone is asked for; daily rows always use the trading date
+    let tz;
+    try {
+      tz = parseTimeZone(req.query.tz);
+    } catch (error) {
       return res.status(400).json({
-        error: 'Missing data',
+        error: 'Invalid tz',
         symbol,
-        message: 'Missing timestamp or close price data'
+        message: error.message
       });
     }
     
-    // Process data based on interval type
-    let processedData;
+    let indicatorSpecs;
+    try {
+      indicatorSpecs = parseIndicators(req.query.indicators);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid indicators',
+        symbol,
+        message: error.message
+      });
+    }
     
-    if (interval === '4h') {
-      // For 4-hour data, return all available candles with timestamps
-      processedData = timestamps.map((timestamp, index) => ({
-        timestamp,
-        date: new Date(timestamp * 1000).toISOString(),
-        close: closes[index]
-      })).filter(item => item.close !== null && !isNaN(item.close));
-    } else {
-      // For daily data, return last 14 days in simplified format
-      processedData = timestamps.slice(-14).map((timestamp, index) => {
-        const date = new Date(timestamp * 1000).toISOString().split('T')[0];
-        const close = closes[closes.length - 14 + index];
-        return { date, close };
-      }).filter(item => item.close !== null && !isNaN(item.close));
+    // JSON by default; CSV / NDJSON via Accept or ?format=
+    let format;
+    try {
+      format = negotiateFormat(req);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        symbol,
+        message: error.message
+      });
     }
+    res.vary('Accept');
     
-    console.log(`📊 [PROXY] Successfully processed ${processedData.length} data points for ${symbol}`);
+    proxyLog.info('Fetching chart', { symbol, requestedSymbol: resolved.requested, interval, range, fields, tz });
+    
+    const { chart, cacheStatus, data: processedData, timeZone } = await loadProxyChart({ symbol, interval, range, fields, tz });
+    res.set('X-Cache', cacheStatus);
     
     // Return processed data
-    res.json({
+    const payload = {
       symbol,
+      ...(resolved.requested !== symbol && { requestedSymbol: resolved.requested }),
       interval,
       range,
+      ...(timeZone && { tz: timeZone }),
       data: processedData,
       timestamp: new Date().toISOString(),
-      source: 'yahoo-finance'
-    });
+      source: chart.source,
+      provider: chart.provider
+    };
+    
+    if (fields === 'ohlcv') {
+      payload.fields = fields;
+      payload.meta = chart.meta;
+      payload.droppedRows = chart.dropped;
+    }
+    
+    // Indicators warm up on every fetched candle, then align with the rows returned in `data`
+    if (indicatorSpecs.length > 0) {
+      const indicatorRows = interval === '4h' ? processedData : chart.candles;
+      payload.indicators = computeIndicators(indicatorRows, indicatorSpecs, { outputLength: processedData.length });
+    }
+    
+    if (format !== 'json') {
+      const baseColumns = interval === '4h' ? COLUMNS.bucket : fields === 'ohlcv' ? COLUMNS.candle : COLUMNS.daily;
+      const { rows, columns } = withIndicatorColumns(processedData, payload.indicators);
+      return await sendRows(res, {
+        format,
+        columns: [...baseColumns, ...columns],
+        rows,
+        filename: `${symbol}-${interval}`
+      });
+    }
+    
+    res.json(payload);
     
   } catch (error) {
-    console.error(`❌ [PROXY] Error fetching ${req.params.symbol}:`, {
-      message: error.message,
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      url: error.config?.url
-    });
+    proxyLog.error('Error fetching chart', { symbol: req.params.symbol, error, attempts: error.attempts });
+    
+    // An export that fails mid-stream can only be cut off
+    if (res.headersSent) {
+      return res.destroy();
+    }
     
     // Return error response
     res.status(500).json({
       error: 'Proxy error',
       symbol: req.params.symbol,
       message: error.message,
-      status: error.response?.status || 'unknown',
+      attempts: error.attempts || [],
       timestamp: new Date().toISOString()
     });
   }
 });
 
 // Alternative Yahoo Finance endpoint (v7 fallback)
-app.get('/api/yahoo-v7/:symbol', async (req, res) => {
+app.get('/api/yahoo-v7/:symbol', rateLimit.proxy, async (req, res) => {
   try {
-    const { symbol } = req.params;
-    
-    console.log(`🔄 [PROXY-V7] Fetching ${symbol} from Yahoo Finance v7 API`);
-    
-    // Yahoo Finance v7 API URL
-    const yahooUrl = `https://query1.finance.yahoo.com/v7/finance/chart/${symbol}?interval=1d&range=1mo`;
-    
-    console.log(`📡 [PROXY-V7] Making request to: ${yahooUrl}`);
-    
-    const response = await axios.get(yahooUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'application/json'
-      },
-      timeout: 10000
-    });
-    
-    console.log(`✅ [PROXY-V7] Yahoo Finance v7 responded with status: ${response.status}`);
-    
-    const data = response.data;
-    if (!data.chart?.result?.[0]) {
-      return res.status(400).json({
-        error: 'Invalid data structure',
-        symbol,
+    let symbol;
+    try {
+      ({ symbol } = symbolPolicy.resolve(req.params.symbol));
+    } catch (error) {
+      return res.status(error.status).json({
+        error: error.status === 404 ? 'Unknown symbol' : 'Invalid symbol',
+        symbol: req.params.symbol,
+        message: error.message,
         api: 'yahoo-v7'
       });
     }
     
-    const result = data.chart.result[0];
-    const timestamps = result.timestamp;
-    const closes = result.indicators?.quote?.[0]?.close;
+    proxyLog.info('Fetching chart', { symbol, api: 'yahoo-v7' });
     
-    if (!timestamps || !closes) {
-      return res.status(400).json({
-        error: 'Missing data',
-        symbol,
-        api: 'yahoo-v7'
-      });
-    }
+    const chart = await getProvider('yahoo-v7').fetchChart({ symbol, interval: '1d', range: '1mo' });
     
     // Process last 10 days of data
-    const processedData = timestamps.slice(-10).map((timestamp, index) => ({
-      date: new Date(timestamp * 1000).toISOString().split('T')[0],
-      close: closes[closes.length - 10 + index]
-    })).filter(item => item.close !== null && !isNaN(item.close));
+    const processedData = chart.candles.slice(-10).map(candle => ({
+      date: tradingDate(candle.timestamp, chart.meta),
+      close: candle.close
+    }));
     
-    console.log(`📊 [PROXY-V7] Successfully processed ${processedData.length} data points for ${symbol}`);
+    proxyLog.debug('Processed data points', { symbol, api: 'yahoo-v7', points: processedData.length });
     
     res.json({
       symbol,
       data: processedData,
       timestamp: new Date().toISOString(),
-      source: 'yahoo-finance-v7'
+      source: 'yahoo-finance-v7',
+      provider: 'yahoo-v7'
     });
     
   } catch (error) {
-    console.error(`❌ [PROXY-V7] Error:`, error.message);
-    res.status(500).json({
-      error: 'Proxy error',
+    proxyLog.error('Error fetching chart', { symbol: req.params.symbol, api: 'yahoo-v7', error });
+    res.status(error.status === 400 ? 400 : 500).json({
+      error: error.status === 400 ? 'Invalid data structure' : 'Proxy error',
       symbol: req.params.symbol,
       message: error.message,
       api: 'yahoo-v7'
@@ -222,129 +597,242 @@ app.get('/api/yahoo-v7/:symbol', async (req, res) => {
   }
 });
 
+// Instruments the proxy serves, with their aliases and accepted intervals/ranges
+app.get('/api/symbols', rateLimit.read, (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json({
+    instruments: INSTRUMENTS.map(instrument => ({
+      id: instrument.id,
+      symbol: instrument.symbol,
+      name: instrument.name,
+      aliases: instrument.aliases,
+      ...(instrument.base && { base: instrument.base, quote: instrument.quote }),
+      calendar: instrument.calendar,
+      timeframes: instrument.timeframes,
+      cacheSeries: SERIES.filter(series => series.instrumentId === instrument.id).map(series => series.key)
+    })),
+    extraSymbols: symbolPolicy.extraSymbols,
+    allowAnySymbol: symbolPolicy.allowAny,
+    intervals: Object.fromEntries(INTERVALS.map(interval => [interval, allowedRanges(interval)])),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // =============================================================================
 // FX DATA FETCHING LOGIC
 // =============================================================================
 
+/**
+ * Build daily rows ({ date, close }) from provider candles, keeping the last `points` days
+ *
+ * Rows are labelled with the exchange's trading date from the chart `meta`, as the proxy does.
+ */
+const processDailySeries = (candles, points, meta) => {
+  // Yahoo can send the live bar with the same date as the last settled one; keep the latest
+  const byDate = new Map();
+  for (const candle of candles) {
+    byDate.set(tradingDate(candle.timestamp, meta), candle.close);
+  }
+  return [...byDate.entries()].slice(-points).map(([date, close]) => ({ date, close }));
+};
+
+/**
+ * Build 4H OHLC rows from 1h provider candles (UTC-aligned buckets, see resample.js)
+ */
+const processIntradaySeries = (candles) => resampleCandles(candles, { hours: 4 });
+
+// Retries per series within one refresh; waits REFRESH_RETRY_BASE_MS, then 2x, 4x ...
+const REFRESH_RETRIES = parseInt(process.env.REFRESH_RETRIES || '2');
+const REFRESH_RETRY_BASE_MS = parseInt(process.env.REFRESH_RETRY_BASE_MS || '1000');
+
+/**
+ * Whether a failed chain is worth retrying: not when every provider refused the
+ * request itself (4xx) or was skipped by an open circuit breaker
+ */
+const isRetryableFetchError = (error) => (error.attempts || []).some(attempt =>
+  !attempt.skipped && (attempt.status === null || attempt.status === 429 || attempt.status >= 500)
+);
+
+/**
+ * Fetch one series through the provider chain with retries and build its rows
+ *
+ * @returns {Promise<{ rows: Array, historyRows: Array, provider: string, dropped: number, retries: number }>}
+ */
+const fetchSeries = async (series) => {
+  let retries = 0;
+  const chart = await retryWithBackoff((attempt) => {
+    retries = attempt;
+    return fetchChart({ symbol: series.symbol, interval: series.interval, range: series.range });
+  }, {
+    retries: REFRESH_RETRIES,
+    baseDelayMs: REFRESH_RETRY_BASE_MS,
+    shouldRetry: isRetryableFetchError,
+    onRetry: (error, attempt, delay) => refreshLog.warn('Series fetch failed, retrying', { series: series.key, error, attempt, retries: REFRESH_RETRIES, delayMs: delay })
+  });
+  
+  // The cache keeps the last `points` days; the history store gets every fetched day
+  const historyRows = series.timeframe === '1D'
+    ? processDailySeries(chart.candles, chart.candles.length, chart.meta)
+    : processIntradaySeries(chart.candles);
+  const rows = series.timeframe === '1D' ? historyRows.slice(-series.points) : historyRows;
+  
+  // Never replace good data with rows the write endpoint would reject
+  const validation = validateCacheSeries({ [series.key]: historyRows });
+  if (!validation.valid) {
+    refreshLog.error('Refresh produced invalid rows', { series: series.key, errors: validation.errors.slice(0, 5) });
+    throw new Error(`Refresh produced invalid data (${validation.errorCount} row errors)`);
+  }
+  
+  return { rows, historyRows, provider: chart.provider, dropped: chart.dropped, retries };
+};
+
 /**
  * Fetch FX data from Yahoo Finance and update in-memory cache
+ *
+ * Every series is fetched independently: a series that fails keeps its previous rows
+ * and records the error in `seriesStatus`, while the others are updated. Only when
+ * every series fails is the refresh treated as failed.
+ *
+ * @returns {Promise<boolean>} true when at least one series was updated
  */
-const refreshFXCache = async () => {
-  console.log('🔄 [FX-REFRESH] Starting FX cache refresh...');
-  FX_CACHE.isLoading = true;
-  FX_CACHE.error = null;
+const runRefresh = async () => {
+  refreshLog.info('Starting FX cache refresh');
+  cacheStore.current().isLoading = true;
+  cacheStore.current().error = null;
   
   try {
-    // Fetch all 4 datasets in parallel
-    const [usdjpy1DRes, dxy1DRes, usdjpy4HRes, dxy4HRes] = await Promise.all([
-      // USDJPY 1D (Yahoo Finance)
-      axios.get('https://query1.finance.yahoo.com/v8/finance/chart/JPY=X', {
-        params: { interval: '1d', range: '1mo' },
-        headers: { 'User-Agent': 'Mozilla/5.0' },
-        timeout: 10000
-      }),
-      // DXY 1D (Yahoo Finance)
-      axios.get('https://query1.finance.yahoo.com/v8/finance/chart/DX-Y.NYB', {
-        params: { interval: '1d', range: '1mo' },
-        headers: { 'User-Agent': 'Mozilla/5.0' },
-        timeout: 10000
-      }),
-      // USDJPY 4H (Yahoo Finance)
-      axios.get('https://query1.finance.yahoo.com/v8/finance/chart/JPY=X', {
-        params: { interval: '1h', range: '5d' },
-        headers: { 'User-Agent': 'Mozilla/5.0' },
-        timeout: 10000
-      }),
-      // DXY 4H (Yahoo Finance)
-      axios.get('https://query1.finance.yahoo.com/v8/finance/chart/DX-Y.NYB', {
-        params: { interval: '1h', range: '5d' },
-        headers: { 'User-Agent': 'Mozilla/5.0' },
-        timeout: 10000
-      })
-    ]);
-    
-    // Process USDJPY 1D
-    const usdjpy1DData = usdjpy1DRes.data?.chart?.result?.[0];
-    const usdjpy1DTimestamps = usdjpy1DData?.timestamp || [];
-    const usdjpy1DCloses = usdjpy1DData?.indicators?.quote?.[0]?.close || [];
-    FX_CACHE.usdjpy1D = usdjpy1DTimestamps.slice(-10).map((timestamp, index) => ({
-      date: new Date(timestamp * 1000).toISOString().split('T')[0],
-      close: usdjpy1DCloses[usdjpy1DCloses.length - 10 + index]
-    })).filter(item => item.close !== null && !isNaN(item.close));
-    
-    // Process DXY 1D
-    const dxy1DData = dxy1DRes.data?.chart?.result?.[0];
-    const dxy1DTimestamps = dxy1DData?.timestamp || [];
-    const dxy1DCloses = dxy1DData?.indicators?.quote?.[0]?.close || [];
-    FX_CACHE.dxy1D = dxy1DTimestamps.slice(-10).map((timestamp, index) => ({
-      date: new Date(timestamp * 1000).toISOString().split('T')[0],
-      close: dxy1DCloses[dxy1DCloses.length - 10 + index]
-    })).filter(item => item.close !== null && !isNaN(item.close));
-    
-    // Process USDJPY 4H (using 1h data, filtering to 4h intervals)
-    const usdjpy4HData = usdjpy4HRes.data?.chart?.result?.[0];
-    const usdjpy4HTimestamps = usdjpy4HData?.timestamp || [];
-    const usdjpy4HCloses = usdjpy4HData?.indicators?.quote?.[0]?.close || [];
-    FX_CACHE.usdjpy4H = usdjpy4HTimestamps
-      .map((timestamp, index) => ({
-        timestamp,
-        date: new Date(timestamp * 1000).toISOString(),
-        close: usdjpy4HCloses[index]
-      }))
-      .filter((item, index) => index % 4 === 0) // Every 4th hour
-      .filter(item => item.close !== null && !isNaN(item.close));
-    
-    // Process DXY 4H (using 1h data, filtering to 4h intervals)
-    const dxy4HData = dxy4HRes.data?.chart?.result?.[0];
-    const dxy4HTimestamps = dxy4HData?.timestamp || [];
-    const dxy4HCloses = dxy4HData?.indicators?.quote?.[0]?.close || [];
-    FX_CACHE.dxy4H = dxy4HTimestamps
-      .map((timestamp, index) => ({
-        timestamp,
-        date: new Date(timestamp * 1000).toISOString(),
-        close: dxy4HCloses[index]
-      }))
-      .filter((item, index) => index % 4 === 0) // Every 4th hour
-      .filter(item => item.close !== null && !isNaN(item.close));
-    
-    // Update cache metadata
-    FX_CACHE.lastUpdate = Date.now();
-    FX_CACHE.dataReady = true;
-    FX_CACHE.isLoading = false;
-    
-    console.log('✅ [FX-REFRESH] Cache refresh complete!');
-    console.log(`   USDJPY 1D: ${FX_CACHE.usdjpy1D.length} points`);
-    console.log(`   DXY 1D: ${FX_CACHE.dxy1D.length} points`);
-    console.log(`   USDJPY 4H: ${FX_CACHE.usdjpy4H.length} points`);
-    console.log(`   DXY 4H: ${FX_CACHE.dxy4H.length} points`);
-    console.log(`   Next refresh: ${new Date(Date.now() + REFRESH_INTERVAL).toLocaleString()}`);
-    
-    // Save backup to disk
-    await saveFXCacheBackup();
+    const startedAt = Date.now();
+    const results = await Promise.allSettled(SERIES.map(series => fetchSeries(series)));
+    
+    const seriesData = {};
+    const historyData = {};
+    const providers = { ...cacheStore.current().providers };
+    const seriesStatus = { ...cacheStore.current().seriesStatus };
+    const dropped = {};
+    const failed = {};
+    SERIES.forEach((series, index) => {
+      const result = results[index];
+      const previous = seriesStatus[series.key] || {};
+      if (result.status === 'fulfilled') {
+        seriesData[series.key] = result.value.rows;
+        historyData[series.key] = result.value.historyRows;
+        providers[series.key] = result.value.provider;
+        dropped[series.key] = result.value.dropped;
+        seriesStatus[series.key] = { lastSuccess: startedAt, lastAttempt: startedAt, error: null, retries: result.value.retries };
+      } else {
+        failed[series.key] = result.reason.message;
+        refreshLog.error('Series refresh failed', { series: series.key, retries: result.reason.retries || 0, error: result.reason });
+        seriesStatus[series.key] = { lastSuccess: previous.lastSuccess || null, lastAttempt: startedAt, error: result.reason.message, retries: result.reason.retries || 0 };
+      }
+    });
+    
+    const failedKeys = Object.keys(failed);
+    if (failedKeys.length === SERIES.length) {
+      cacheStore.current().seriesStatus = seriesStatus;
+      throw new Error(`All ${SERIES.length} series failed (${failed[SERIES[0].key]})`);
+    }
+    
+    // Swap the new data in and persist it; failed series keep their previous rows
+    await cacheStore.withWriteLock(async () => {
+      cacheStore.replace({
+        ...cacheStore.current(),
+        ...seriesData,
+        providers,
+        seriesStatus,
+        lastUpdate: Date.now(),
+        dataReady: true,
+        isLoading: false,
+        error: failedKeys.length > 0 ? `${failedKeys.length} series failed: ${failedKeys.join(', ')}` : null
+      });
+      lastRefreshDropped = { version: cacheStore.version(), dropped };
+      await saveFXCacheBackup();
+    });
+    
+    // History is best-effort: a disk problem must not fail the refresh
+    try {
+      const appended = await appendHistory(historyData);
+      lastHistoryAppend = { at: new Date().toISOString(), appended };
+      historyLog.info('Appended history rows', { rows: Object.values(appended).reduce((sum, count) => sum + count, 0) });
+    } catch (error) {
+      lastHistoryAppend = { at: new Date().toISOString(), error: error.message };
+      historyLog.error('Error appending history', { error });
+    }
+    
+    const quality = getQualityReport();
+    const summary = {
+      version: cacheStore.version(),
+      dataPoints: countDataPoints(cacheStore.current()),
+      providers: cacheStore.current().providers,
+      quality: quality.summary.status,
+      qualityIssues: quality.summary.issues,
+      nextRefresh: getNextRefresh() ? new Date(getNextRefresh()).toISOString() : null
+    };
+    if (failedKeys.length > 0) {
+      refreshLog.warn('Cache partially refreshed, failed series kept their previous data', { ...summary, failed });
+    } else {
+      refreshLog.info('Cache refresh complete', summary);
+    }
+    
+    fxEvents.publish('refresh', {
+      version: cacheStore.version(),
+      lastUpdate: cacheStore.current().lastUpdate,
+      dataPoints: countDataPoints(cacheStore.current()),
+      providers: cacheStore.current().providers,
+      partial: failedKeys.length > 0,
+      failed
+    });
+    refreshRuns.inc({ result: failedKeys.length > 0 ? 'partial' : 'success' });
     
     return true;
   } catch (error) {
-    console.error('❌ [FX-REFRESH] Error refreshing cache:', error.message);
-    FX_CACHE.isLoading = false;
-    FX_CACHE.error = error.message;
+    refreshLog.error('Error refreshing cache', { error });
+    cacheStore.current().isLoading = false;
+    cacheStore.current().error = error.message;
+    
+    fxEvents.publish('refresh-failed', { error: error.message, lastUpdate: cacheStore.current().lastUpdate });
+    refreshRuns.inc({ result: 'failure' });
     
-    // Try to load from backup if available
-    await loadFXCacheFromBackup();
+    // Nothing in memory to fall back on: try the disk backup
+    if (!cacheStore.current().dataReady) {
+      await loadFXCacheFromBackup();
+    }
     
     return false;
   }
 };
 
+// Each run logs under its own refreshId (next to the requestId when triggered manually)
+const refreshFXCache = () => runWithLogContext({ refreshId: createId() }, runRefresh);
+
+/**
+ * Per-series freshness for the cache payload and status endpoint
+ *
+ * `fresh`: the last refresh attempt succeeded; `stale`: it failed and the previous
+ * rows are being served; `missing`: the series has never been loaded.
+ */
+const getSeriesFreshness = () => Object.fromEntries(SERIES_KEYS.map(key => {
+  const status = cacheStore.current().seriesStatus?.[key] || {};
+  const hasRows = Array.isArray(cacheStore.current()[key]) && cacheStore.current()[key].length > 0;
+  return [key, {
+    state: !hasRows ? 'missing' : status.error ? 'stale' : 'fresh',
+    lastSuccess: status.lastSuccess ? new Date(status.lastSuccess).toISOString() : null,
+    lastAttempt: status.lastAttempt ? new Date(status.lastAttempt).toISOString() : null,
+    ageHours: status.lastSuccess ? Number(((Date.now() - status.lastSuccess) / (60 * 60 * 1000)).toFixed(2)) : null,
+    error: status.error || null,
+    retries: status.retries ?? null,
+    provider: cacheStore.current().providers?.[key] || null
+  }];
+}));
+
 /**
  * Save FX cache to disk as backup
  */
 const saveFXCacheBackup = async () => {
   try {
-    const backupPath = path.join(__dirname, 'fx-cache-backup.json');
-    await fs.writeFile(backupPath, JSON.stringify(FX_CACHE, null, 2));
-    console.log('💾 [FX-BACKUP] Saved to disk');
+    await writeLiveBackup(cacheStore.current());
+    backupLog.info('Saved to disk');
   } catch (error) {
-    console.error('⚠️ [FX-BACKUP] Failed to save backup:', error.message);
+    backupLog.error('Failed to save backup', { error });
   }
 };
 
@@ -353,22 +841,26 @@ const saveFXCacheBackup = async () => {
  */
 const loadFXCacheFromBackup = async () => {
   try {
-    const backupPath = path.join(__dirname, 'fx-cache-backup.json');
-    const data = await fs.readFile(backupPath, 'utf-8');
-    const backup = JSON.parse(data);
+    const data = await fs.readFile(LIVE_BACKUP_PATH, 'utf-8');
+    const backup = migrateDailyDates(JSON.parse(data));
     
     // Only load if backup is valid and not too old (24 hours)
     if (backup.lastUpdate && (Date.now() - backup.lastUpdate) < 24 * 60 * 60 * 1000) {
-      FX_CACHE = backup;
-      console.log('✅ [FX-BACKUP] Loaded from disk backup');
-      console.log(`   Backup age: ${((Date.now() - backup.lastUpdate) / (60 * 60 * 1000)).toFixed(1)} hours`);
+      // Backups written before an instrument was added won't have its series
+      cacheStore.replace({ ...cacheStore.current(), ...createEmptySeries(), ...backup });
+      backupLog.info('Loaded from disk backup', { ageHours: Number(((Date.now() - backup.lastUpdate) / (60 * 60 * 1000)).toFixed(1)) });
+      fxEvents.publish('backup-loaded', {
+        version: cacheStore.version(),
+        lastUpdate: cacheStore.current().lastUpdate,
+        dataPoints: countDataPoints(cacheStore.current())
+      });
       return true;
     } else {
-      console.log('⚠️ [FX-BACKUP] Backup is too old, skipping');
+      backupLog.warn('Backup is too old, skipping');
       return false;
     }
   } catch (error) {
-    console.log('⚠️ [FX-BACKUP] No backup available');
+    backupLog.warn('No backup available');
     return false;
   }
 };
@@ -377,112 +869,236 @@ const loadFXCacheFromBackup = async () => {
  * Initialize FX cache on server start
  */
 const initializeFXCache = async () => {
-  console.log('🚀 [FX-INIT] Initializing FX cache system...');
+  initLog.info('Initializing FX cache system');
+  
+  // One timer drives every scheduled refresh from here on
+  refreshScheduler.start();
   
   // Try to load from backup first (for fast startup)
   const backupLoaded = await loadFXCacheFromBackup();
   
-  if (backupLoaded) {
-    const age = Date.now() - FX_CACHE.lastUpdate;
-    const hours = age / (1000 * 60 * 60);
-    
-    // If backup is older than 4 hours, refresh immediately
-    if (hours > 4) {
-      console.log(`⚠️ [FX-INIT] Backup is ${hours.toFixed(1)} hours old, refreshing now...`);
-      await refreshFXCache();
-    } else {
-      console.log(`✅ [FX-INIT] Using backup (${hours.toFixed(1)} hours old)`);
-      // Schedule next refresh
-      const nextRefresh = REFRESH_INTERVAL - age;
-      setTimeout(() => {
-        refreshFXCache();
-        setInterval(refreshFXCache, REFRESH_INTERVAL);
-      }, nextRefresh);
-      console.log(`⏰ [FX-INIT] Next refresh in ${(nextRefresh / (60 * 60 * 1000)).toFixed(1)} hours`);
-    }
-  } else {
+  if (!backupLoaded) {
     // No backup, fetch fresh data
-    console.log('📡 [FX-INIT] No backup found, fetching fresh data...');
+    initLog.info('No backup found, fetching fresh data');
+    await refreshFXCache();
+  } else if (refreshScheduler.isDue(cacheStore.current().lastUpdate)) {
+    // A candle closed after the backup was written (weekend backups stay current until Monday)
+    const hours = (Date.now() - cacheStore.current().lastUpdate) / (1000 * 60 * 60);
+    initLog.warn('Backup missed a scheduled refresh, refreshing now', { ageHours: Number(hours.toFixed(1)) });
     await refreshFXCache();
+  } else {
+    const hours = (Date.now() - cacheStore.current().lastUpdate) / (1000 * 60 * 60);
+    initLog.info('Using backup', { ageHours: Number(hours.toFixed(1)) });
   }
   
-  // Set up automatic refresh every 4 hours
-  setInterval(refreshFXCache, REFRESH_INTERVAL);
-  console.log(`✅ [FX-INIT] Auto-refresh enabled (every 4 hours)`);
+  const next = refreshScheduler.nextRun();
+  initLog.info('Auto-refresh enabled after each 4H close and the NY close', {
+    delayMinutes: REFRESH_DELAY_MS / 60000,
+    jitterSeconds: REFRESH_JITTER_MS / 1000,
+    nextRefresh: next ? new Date(next.at).toISOString() : null,
+    nextReason: next ? next.reason : null
+  });
 };
 
 // =============================================================================
 // FX CACHE API ENDPOINTS
 // =============================================================================
 
-// Middleware to verify API key for write operations
-const verifyApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  
-  if (!apiKey) {
-    console.error('❌ [AUTH] No API key provided');
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'API key required for write operations'
+/**
+ * Middleware requiring an X-API-Key with `scope` (or `admin`)
+ *
+ * 401 without a key; 403 for an unknown or expired key, or one lacking the scope.
+ * The key's name is added to the log context of the request.
+ */
+const verifyApiKey = (scope) => async (req, res, next) => {
+  const reject = (status, reason, message) => {
+    authLog.warn(message, { method: req.method, path: req.path, reason, scope });
+    authFailures.inc({ reason });
+    res.status(status).json({
+      error: status === 401 ? 'Unauthorized' : 'Forbidden',
+      message
     });
+  };
+  
+  const presented = req.headers['x-api-key'];
+  if (!presented) {
+    return reject(401, 'missing', 'API key required for write operations');
   }
   
-  if (apiKey !== API_KEY) {
-    console.error('❌ [AUTH] Invalid API key provided');
-    return res.status(403).json({
-      error: 'Forbidden',
-      message: 'Invalid API key'
+  try {
+    const key = await apiKeys.authenticate(presented);
+    if (!key) {
+      return reject(403, 'invalid', 'Invalid API key');
+    }
+    if (isExpired(key)) {
+      return reject(403, 'expired', `API key "${key.name}" expired at ${key.expiresAt}`);
+    }
+    if (!hasScope(key, scope)) {
+      return reject(403, 'scope', `API key "${key.name}" lacks the ${scope} scope`);
+    }
+    req.apiKey = { name: key.name, scopes: key.scopes };
+    runWithLogContext({ apiKey: key.name }, next);
+  } catch (error) {
+    authLog.error('Error verifying API key', { error });
+    res.status(500).json({
+      error: 'Authentication failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
     });
   }
-  
-  next();
+};
+
+/**
+ * Indicators for one cached series, aligned with its rows
+ *
+ * The cache only keeps the last rows of each series (10 daily closes), too few for
+ * periods such as rsi:14, so indicators warm up on the stored history before them.
+ * Without history (or when it can't be read) they warm up on the cached rows alone.
+ */
+const computeCacheIndicators = async (rows, key, specs) => {
+  let warmupRows = [];
+  if (rows.length > 0) {
+    try {
+      warmupRows = await readHistory(key, { to: rowTime(rows[0]) - 1 });
+    } catch (error) {
+      historyLog.warn('History unavailable for indicator warm-up', { series: key, error });
+    }
+  }
+  return computeIndicators([...warmupRows, ...rows], specs, { outputLength: rows.length });
 };
 
 // GET endpoint to read FX cache from memory (public, no auth required)
-app.get('/api/fx-cache', async (req, res) => {
+app.get('/api/fx-cache', rateLimit.read, async (req, res) => {
   try {
-    console.log('📖 [FX-CACHE] Serving FX cache from memory...');
-    
+    const cache = cacheStore.current();
     // Check if cache is ready
-    if (!FX_CACHE.dataReady) {
-      console.log('⚠️ [FX-CACHE] Cache not ready yet');
+    if (!cache.dataReady) {
+      cacheLog.warn('Cache not ready yet');
+      res.set('Cache-Control', 'no-store');
       return res.status(503).json({
         error: 'Cache not ready',
         message: 'FX cache is still loading. Please try again in a few seconds.',
-        isLoading: FX_CACHE.isLoading,
+        isLoading: cache.isLoading,
         timestamp: new Date().toISOString()
       });
     }
     
     // Calculate cache age
-    const age = Date.now() - FX_CACHE.lastUpdate;
+    const age = Date.now() - cache.lastUpdate;
     const ageHours = age / (1000 * 60 * 60);
     
-    console.log(`✅ [FX-CACHE] Serving cache (${ageHours.toFixed(1)} hours old)`);
+    let indicatorSpecs;
+    try {
+      indicatorSpecs = parseIndicators(req.query.indicators);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid indicators',
+        message: error.message
+      });
+    }
     
-    // Return cache data
-    res.json({
-      source: 'server-memory',
-      data: {
-        lastUpdate: FX_CACHE.lastUpdate,
-        usdjpy1D: FX_CACHE.usdjpy1D,
-        dxy1D: FX_CACHE.dxy1D,
-        usdjpy4H: FX_CACHE.usdjpy4H,
-        dxy4H: FX_CACHE.dxy4H,
-        dataReady: FX_CACHE.dataReady,
-        isLoading: FX_CACHE.isLoading
-      },
-      cacheAge: {
-        milliseconds: age,
-        hours: ageHours,
-        lastUpdate: new Date(FX_CACHE.lastUpdate).toISOString()
-      },
-      nextRefresh: new Date(FX_CACHE.lastUpdate + REFRESH_INTERVAL).toISOString(),
-      timestamp: new Date().toISOString()
-    });
+    // JSON by default; CSV / NDJSON via Accept or ?format=, optionally for a single series
+    let format;
+    try {
+      format = negotiateFormat(req);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: error.message
+      });
+    }
+    const { series } = req.query;
+    if (series !== undefined && !SERIES_KEYS.includes(series)) {
+      return res.status(400).json({
+        error: 'Invalid series',
+        message: `series must be one of: ${SERIES_KEYS.join(', ')}`
+      });
+    }
+    res.vary('Accept');
+    
+    cacheLog.info('Serving cache', { version: cacheStore.version(), ageHours: Number(ageHours.toFixed(1)), format, series: series || null });
+    
+    // ETag doubles as the If-Match token for writers. Exports and responses with
+    // indicators are different representations and get their own ETag.
+    const representation = [
+      indicatorSpecs.map(spec => spec.id).join(','),
+      format === 'json' ? '' : `${format}:${series || 'all'}`
+    ].filter(Boolean).join('|');
+    if (sendNotModifiedIfFresh(req, res, {
+      etag: representation
+        ? `"fx-${cacheStore.version()}-${crypto.createHash('sha1').update(representation).digest('hex').slice(0, 8)}"`
+        : cacheStore.etag(),
+      lastModified: cacheStore.replacedAt(),
+      maxAge: cacheMaxAge()
+    })) {
+      cacheLog.debug('Not modified', { version: cacheStore.version() });
+      return;
+    }
+    
+    if (format !== 'json') {
+      const exported = await Promise.all((series ? [series] : SERIES_KEYS).map(async key => ({
+        key,
+        ...withIndicatorColumns(cache[key], indicatorSpecs.length > 0 ? await computeCacheIndicators(cache[key], key, indicatorSpecs) : {})
+      })));
+      const indicatorColumns = exported.length > 0 ? exported[0].columns : [];
+      
+      // One series keeps its own columns; the combined export is long-format with a `series` column
+      if (series) {
+        return await sendRows(res, {
+          format,
+          columns: [...(getSeries(series).timeframe === '1D' ? COLUMNS.daily : COLUMNS.bucket), ...indicatorColumns],
+          rows: exported[0].rows,
+          filename: series
+        });
+      }
+      return await sendRows(res, {
+        format,
+        columns: ['series', ...COLUMNS.bucket, ...indicatorColumns],
+        rows: (function* () {
+          for (const { key, rows } of exported) {
+            for (const row of rows) {
+              yield { series: key, ...row };
+            }
+          }
+        })(),
+        filename: 'fx-cache'
+      });
+    }
+    
+    // Return cache data
+    const payload = {
+      source: 'server-memory',
+      version: cacheStore.version(),
+      data: {
+        lastUpdate: cache.lastUpdate,
+        ...Object.fromEntries(SERIES_KEYS.map(key => [key, cache[key]])),
+        dataReady: cache.dataReady,
+        isLoading: cache.isLoading
+      },
+      providers: cache.providers || {},
+      seriesStatus: getSeriesFreshness(),
+      cacheAge: {
+        milliseconds: age,
+        hours: ageHours,
+        lastUpdate: new Date(cache.lastUpdate).toISOString()
+      },
+      nextRefresh: getNextRefresh() ? new Date(getNextRefresh()).toISOString() : null,
+      timestamp: new Date().toISOString()
+    };
+    
+    if (indicatorSpecs.length > 0) {
+      payload.indicators = Object.fromEntries(await Promise.all(
+        SERIES_KEYS.map(async key => [key, await computeCacheIndicators(cache[key], key, indicatorSpecs)])
+      ));
+    }
+    
+    res.json(payload);
     
   } catch (error) {
-    console.error('❌ [FX-CACHE] Error reading FX cache:', error.message);
+    cacheLog.error('Error reading FX cache', { error });
+    if (res.headersSent) {
+      return res.destroy();
+    }
     res.status(500).json({
       error: 'Read failed',
       message: error.message,
@@ -492,9 +1108,9 @@ app.get('/api/fx-cache', async (req, res) => {
 });
 
 // POST endpoint to update FX cache (requires authentication)
-app.post('/api/fx-cache', verifyApiKey, async (req, res) => {
+app.post('/api/fx-cache', rateLimit.write, verifyApiKey('cache:write'), async (req, res) => {
   try {
-    console.log('✍️ [FX-CACHE] Write request received');
+    cacheLog.info('Write request received');
     
     const newCacheData = req.body;
     
@@ -506,8 +1122,8 @@ app.post('/api/fx-cache', verifyApiKey, async (req, res) => {
       });
     }
     
-    // Validate required fields
-    const requiredFields = ['lastUpdate', 'usdjpy1D', 'dxy1D', 'usdjpy4H', 'dxy4H'];
+    // Validate required fields (instruments marked "required" in fx-instruments.json)
+    const requiredFields = ['lastUpdate', ...REQUIRED_SERIES_KEYS];
     for (const field of requiredFields) {
       if (!(field in newCacheData)) {
         return res.status(400).json({
@@ -517,51 +1133,89 @@ app.post('/api/fx-cache', verifyApiKey, async (req, res) => {
       }
     }
     
-    // Validate that arrays contain valid data
-    if (!Array.isArray(newCacheData.usdjpy1D) || !Array.isArray(newCacheData.dxy1D) ||
-        !Array.isArray(newCacheData.usdjpy4H) || !Array.isArray(newCacheData.dxy4H)) {
+    const lastUpdateError = validateLastUpdate(newCacheData.lastUpdate);
+    if (lastUpdateError) {
+      return res.status(400).json({
+        error: 'Invalid data',
+        message: lastUpdateError
+      });
+    }
+    
+    // Validate that every series present is an array
+    const invalidSeries = SERIES_KEYS.filter(key => key in newCacheData && !Array.isArray(newCacheData[key]));
+    if (invalidSeries.length > 0) {
       return res.status(400).json({
         error: 'Invalid data',
-        message: 'Currency data fields must be arrays'
+        message: `Currency data fields must be arrays: ${invalidSeries.join(', ')}`
       });
     }
     
-    console.log('✅ [FX-CACHE] Data validation passed');
-    console.log(`📊 [FX-CACHE] Data summary: USDJPY 1D: ${newCacheData.usdjpy1D.length} points, DXY 1D: ${newCacheData.dxy1D.length} points`);
-    console.log(`📊 [FX-CACHE] Data summary: USDJPY 4H: ${newCacheData.usdjpy4H.length} points, DXY 4H: ${newCacheData.dxy4H.length} points`);
+    // Validate every row (dates, numeric closes, ordering, duplicates, size)
+    const validation = validateCacheSeries(newCacheData);
+    if (!validation.valid) {
+      cacheLog.warn('Rejecting write', { rowErrors: validation.errorCount });
+      return res.status(400).json({
+        error: 'Invalid data',
+        message: `${validation.errorCount} row error(s) in FX cache data`,
+        errors: validation.errors,
+        truncated: validation.truncated
+      });
+    }
     
-    // Step 1: Save to local backup first (safety measure)
-    const localPath = path.join(__dirname, 'fx-cache-backup.json');
-    const localBackupPath = path.join(__dirname, `fx-cache-backup-${Date.now()}.json`);
+    const writtenPoints = Object.fromEntries(
+      SERIES_KEYS.filter(key => key in newCacheData).map(key => [key, newCacheData[key].length])
+    );
     
-    try {
-      // Create timestamped backup of previous version
-      try {
-        const existingData = await fs.readFile(localPath, 'utf-8');
-        await fs.writeFile(localBackupPath, existingData);
-        console.log(`💾 [FX-CACHE] Created backup: ${localBackupPath}`);
-      } catch (backupError) {
-        console.log('⚠️ [FX-CACHE] No existing cache to backup');
-      }
-      
-      // Write new data locally
-      await fs.writeFile(localPath, JSON.stringify(newCacheData, null, 2));
-      console.log('✅ [FX-CACHE] Successfully saved to local backup');
-      
-    } catch (localError) {
-      console.error('❌ [FX-CACHE] Failed to save local backup:', localError.message);
+    cacheLog.info('Data validation passed', { dataPoints: writtenPoints });
+    
+    // Step 1: Save to local backup, then swap into memory (under the write lock so
+    // If-Match is checked against the version we are about to replace)
+    const writtenSeries = Object.fromEntries(SERIES_KEYS.filter(key => key in newCacheData).map(key => [key, newCacheData[key]]));
+    const localResult = await cacheStore.commit(current => ({
+      ...current,
+      ...writtenSeries,
+      lastUpdate: newCacheData.lastUpdate,
+      providers: {
+        ...current.providers,
+        ...Object.fromEntries(Object.keys(writtenSeries).map(key => [key, 'manual']))
+      },
+      dataReady: true,
+      isLoading: false,
+      error: null
+    }), { ifMatch: req.headers['if-match'] });
+    
+    if (localResult.conflict) {
+      cacheLog.warn('If-Match does not match, rejecting write', { ifMatch: req.headers['if-match'], etag: cacheStore.etag() });
+      res.set('ETag', cacheStore.etag());
+      return res.status(412).json({
+        error: 'Precondition Failed',
+        message: 'FX cache has changed since it was read. Fetch it again and retry with the new ETag.',
+        currentVersion: cacheStore.version(),
+        etag: cacheStore.etag()
+      });
+    }
+    
+    if (localResult.error) {
+      cacheLog.error('Failed to save local backup', { error: localResult.error });
       return res.status(500).json({
         error: 'Local backup failed',
-        message: localError.message
+        message: localResult.error.message
       });
     }
     
+    if (localResult.snapshotPath) {
+      cacheLog.info('Created backup', { path: localResult.snapshotPath });
+    } else {
+      cacheLog.warn('No existing cache to backup');
+    }
+    cacheLog.info('In-memory cache replaced', { version: localResult.version });
+    
     // Step 2: Upload to remote location (if configured)
     let remoteWriteSuccess = false;
     let remoteWriteError = null;
     
     if (REMOTE_HOST && REMOTE_USER) {
-      console.log('🌐 [FX-CACHE] Attempting to upload to remote location...');
+      cacheLog.info('Uploading to remote location');
       
       try {
         // Option A: HTTP/HTTPS endpoint (if available)
@@ -577,56 +1231,48 @@ app.post('/api/fx-cache', verifyApiKey, async (req, res) => {
         });
         
         remoteWriteSuccess = true;
-        console.log('✅ [FX-CACHE] Successfully uploaded to remote location');
+        cacheLog.info('Uploaded to remote location');
         
       } catch (remoteError) {
-        console.error('⚠️ [FX-CACHE] Remote upload failed:', remoteError.message);
+        cacheLog.error('Remote upload failed', { error: remoteError });
         remoteWriteError = remoteError.message;
         // Continue - local backup is still saved
       }
     } else {
-      console.log('ℹ️ [FX-CACHE] Remote upload not configured (set REMOTE_HOST, REMOTE_USER, REMOTE_PASS)');
+      cacheLog.debug('Remote upload not configured (set REMOTE_HOST, REMOTE_USER, REMOTE_PASS)');
     }
     
     // Step 3: Clean up old backups (keep last 10)
     try {
-      const files = await fs.readdir(__dirname);
-      const backupFiles = files
-        .filter(f => f.startsWith('fx-cache-backup-') && f.endsWith('.json'))
-        .map(f => ({
-          name: f,
-          path: path.join(__dirname, f),
-          time: parseInt(f.match(/fx-cache-backup-(\d+)\.json/)?.[1] || '0')
-        }))
-        .sort((a, b) => b.time - a.time);
-      
-      // Keep only the 10 most recent backups
-      for (let i = 10; i < backupFiles.length; i++) {
-        await fs.unlink(backupFiles[i].path);
-        console.log(`🗑️ [FX-CACHE] Deleted old backup: ${backupFiles[i].name}`);
-      }
+      // Keep only the most recent backups
+      const deleted = await pruneBackups(MAX_BACKUPS);
+      deleted.forEach(filename => cacheLog.info('Deleted old backup', { filename }));
     } catch (cleanupError) {
-      console.log('⚠️ [FX-CACHE] Backup cleanup failed (non-critical)');
+      cacheLog.warn('Backup cleanup failed (non-critical)', { error: cleanupError });
     }
     
+    fxEvents.publish('write', {
+      version: localResult.version,
+      lastUpdate: newCacheData.lastUpdate,
+      dataPoints: writtenPoints,
+      remoteUpload: remoteWriteSuccess
+    });
+    
     // Return success response
+    res.set('ETag', `"fx-${localResult.version}"`);
     res.json({
       success: true,
       message: 'FX cache updated successfully',
+      version: localResult.version,
       localBackup: true,
       remoteUpload: remoteWriteSuccess,
       remoteError: remoteWriteError,
-      dataPoints: {
-        usdjpy1D: newCacheData.usdjpy1D.length,
-        dxy1D: newCacheData.dxy1D.length,
-        usdjpy4H: newCacheData.usdjpy4H.length,
-        dxy4H: newCacheData.dxy4H.length
-      },
+      dataPoints: writtenPoints,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
-    console.error('❌ [FX-CACHE] Error updating FX cache:', error.message);
+    cacheLog.error('Error updating FX cache', { error });
     res.status(500).json({
       error: 'Write failed',
       message: error.message,
@@ -636,21 +1282,9 @@ app.post('/api/fx-cache', verifyApiKey, async (req, res) => {
 });
 
 // GET endpoint to list available backups
-app.get('/api/fx-cache/backups', verifyApiKey, async (req, res) => {
+app.get('/api/fx-cache/backups', rateLimit.write, verifyApiKey('backups:read'), async (req, res) => {
   try {
-    const files = await fs.readdir(__dirname);
-    const backupFiles = files
-      .filter(f => f.startsWith('fx-cache-backup-') && f.endsWith('.json'))
-      .map(f => {
-        const match = f.match(/fx-cache-backup-(\d+)\.json/);
-        const timestamp = match ? parseInt(match[1]) : 0;
-        return {
-          filename: f,
-          timestamp,
-          date: new Date(timestamp).toISOString()
-        };
-      })
-      .sort((a, b) => b.timestamp - a.timestamp);
+    const backupFiles = (await listBackups()).map(({ filename, timestamp, date }) => ({ filename, timestamp, date }));
     
     res.json({
       backups: backupFiles,
@@ -658,7 +1292,7 @@ app.get('/api/fx-cache/backups', verifyApiKey, async (req, res) => {
     });
     
   } catch (error) {
-    console.error('❌ [FX-CACHE] Error listing backups:', error.message);
+    cacheLog.error('Error listing backups', { error });
     res.status(500).json({
       error: 'Failed to list backups',
       message: error.message
@@ -666,36 +1300,214 @@ app.get('/api/fx-cache/backups', verifyApiKey, async (req, res) => {
   }
 });
 
+/**
+ * Resolve a backup reference: a snapshot timestamp/filename, or `live` for the in-memory cache
+ */
+const resolveBackupRef = async (ref) => {
+  if (ref === 'live') {
+    return cacheStore.current();
+  }
+  const timestamp = parseBackupId(ref);
+  return timestamp === null ? null : readBackup(timestamp);
+};
+
+// GET endpoint to diff two backups, or a backup against the live cache (requires authentication)
+// Must be registered before /backups/:id so "diff" is not treated as a backup id
+app.get('/api/fx-cache/backups/diff', rateLimit.write, verifyApiKey('backups:read'), async (req, res) => {
+  try {
+    const { from, to = 'live' } = req.query;
+    
+    if (!from) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Query parameter "from" is required (backup timestamp or "live")'
+      });
+    }
+    
+    const [fromCache, toCache] = await Promise.all([resolveBackupRef(from), resolveBackupRef(to)]);
+    const missing = [[from, fromCache], [to, toCache]].filter(([, cache]) => !cache).map(([ref]) => ref);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Backup not found',
+        message: `No backup found for: ${missing.join(', ')}`
+      });
+    }
+    
+    cacheLog.info('Diffing backups', { from, to });
+    
+    res.json({
+      from,
+      to,
+      ...diffCaches(fromCache, toCache),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    cacheLog.error('Error diffing backups', { error });
+    res.status(500).json({
+      error: 'Failed to diff backups',
+      message: error.message
+    });
+  }
+});
+
+// GET endpoint to read one backup (requires authentication)
+app.get('/api/fx-cache/backups/:id', rateLimit.write, verifyApiKey('backups:read'), async (req, res) => {
+  try {
+    const timestamp = parseBackupId(req.params.id);
+    const backup = timestamp === null ? null : await readBackup(timestamp);
+    
+    if (!backup) {
+      return res.status(404).json({
+        error: 'Backup not found',
+        message: `No backup found for: ${req.params.id}`
+      });
+    }
+    
+    res.json({
+      filename: `fx-cache-backup-${timestamp}.json`,
+      timestamp,
+      date: new Date(timestamp).toISOString(),
+      dataPoints: countDataPoints(backup),
+      data: backup
+    });
+    
+  } catch (error) {
+    cacheLog.error('Error reading backup', { error });
+    res.status(500).json({
+      error: 'Failed to read backup',
+      message: error.message
+    });
+  }
+});
+
+// POST endpoint to restore a backup into memory and onto disk (requires authentication)
+app.post('/api/fx-cache/backups/:id/restore', rateLimit.write, verifyApiKey('cache:write'), async (req, res) => {
+  try {
+    const timestamp = parseBackupId(req.params.id);
+    const backup = timestamp === null ? null : await readBackup(timestamp);
+    
+    if (!backup) {
+      return res.status(404).json({
+        error: 'Backup not found',
+        message: `No backup found for: ${req.params.id}`
+      });
+    }
+    
+    // Snapshots are plain files on disk: hold them to the same checks as a POST, and only
+    // take the series, lastUpdate and providers from them
+    const invalidSeries = SERIES_KEYS.filter(key => key in backup && !Array.isArray(backup[key]));
+    const validation = invalidSeries.length === 0 ? validateCacheSeries(backup) : null;
+    const lastUpdateError = validateLastUpdate(backup.lastUpdate);
+    if (invalidSeries.length > 0 || !validation.valid || lastUpdateError) {
+      cacheLog.warn('Rejecting restore of invalid backup', { timestamp, invalidSeries, rowErrors: validation?.errorCount, lastUpdateError });
+      return res.status(400).json({
+        error: 'Invalid backup',
+        message: invalidSeries.length > 0
+          ? `Backup series must be arrays: ${invalidSeries.join(', ')}`
+          : lastUpdateError || `${validation.errorCount} row error(s) in backup`,
+        errors: validation?.errors || [],
+        truncated: validation?.truncated || false
+      });
+    }
+    
+    cacheLog.info('Restoring backup', { timestamp });
+    
+    // The restored data gets a new version so clients holding the old ETag notice the change.
+    // Disk first, as for POST: a failed write leaves the live cache untouched (keeping the
+    // version being replaced, so the restore itself can be undone)
+    const result = await cacheStore.commit(current => ({
+      ...createEmptySeries(),
+      ...Object.fromEntries(SERIES_KEYS.filter(key => key in backup).map(key => [key, backup[key]])),
+      lastUpdate: backup.lastUpdate,
+      providers: backup.providers && typeof backup.providers === 'object' ? backup.providers : {},
+      seriesStatus: current.seriesStatus,
+      dailyDates: DAILY_DATES,
+      dataReady: true,
+      isLoading: false,
+      error: null
+    }), { ifMatch: req.headers['if-match'] });
+    
+    if (result.conflict) {
+      cacheLog.warn('If-Match does not match, rejecting restore', { ifMatch: req.headers['if-match'], etag: cacheStore.etag() });
+      res.set('ETag', cacheStore.etag());
+      return res.status(412).json({
+        error: 'Precondition Failed',
+        message: 'FX cache has changed since it was read. Fetch it again and retry with the new ETag.',
+        currentVersion: cacheStore.version(),
+        etag: cacheStore.etag()
+      });
+    }
+    
+    if (result.error) {
+      cacheLog.error('Failed to save restored backup', { error: result.error });
+      return res.status(500).json({
+        error: 'Restore failed',
+        message: result.error.message
+      });
+    }
+    
+    await cacheStore.withWriteLock(() => pruneBackups(MAX_BACKUPS));
+    
+    cacheLog.info('Restored backup', { timestamp, lastUpdate: new Date(cacheStore.current().lastUpdate).toISOString(), version: cacheStore.version() });
+    
+    fxEvents.publish('restore', {
+      version: cacheStore.version(),
+      backup: timestamp,
+      lastUpdate: cacheStore.current().lastUpdate,
+      dataPoints: countDataPoints(cacheStore.current())
+    });
+    
+    res.set('ETag', cacheStore.etag());
+    res.json({
+      success: true,
+      message: 'Backup restored',
+      version: cacheStore.version(),
+      restored: `fx-cache-backup-${timestamp}.json`,
+      previousVersion: result.snapshotPath ? path.basename(result.snapshotPath) : null,
+      lastUpdate: cacheStore.current().lastUpdate,
+      dataPoints: countDataPoints(cacheStore.current()),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    cacheLog.error('Error restoring backup', { error });
+    res.status(500).json({
+      error: 'Restore failed',
+      message: error.message
+    });
+  }
+});
+
 // POST endpoint to manually trigger refresh (requires authentication)
-app.post('/api/fx-cache/refresh', verifyApiKey, async (req, res) => {
+app.post('/api/fx-cache/refresh', rateLimit.write, verifyApiKey('cache:refresh'), async (req, res) => {
   try {
-    console.log('🔄 [FX-CACHE] Manual refresh triggered');
+    cacheLog.info('Manual refresh triggered');
     
     const success = await refreshFXCache();
     
     if (success) {
       res.json({
         success: true,
-        message: 'FX cache refreshed successfully',
-        lastUpdate: FX_CACHE.lastUpdate,
-        dataPoints: {
-          usdjpy1D: FX_CACHE.usdjpy1D.length,
-          dxy1D: FX_CACHE.dxy1D.length,
-          usdjpy4H: FX_CACHE.usdjpy4H.length,
-          dxy4H: FX_CACHE.dxy4H.length
-        },
+        message: cacheStore.current().error ? `FX cache partially refreshed (${cacheStore.current().error})` : 'FX cache refreshed successfully',
+        version: cacheStore.version(),
+        lastUpdate: cacheStore.current().lastUpdate,
+        dataPoints: countDataPoints(cacheStore.current()),
+        failedSeries: Object.fromEntries(
+          Object.entries(getSeriesFreshness()).filter(([, freshness]) => freshness.error).map(([key, freshness]) => [key, freshness.error])
+        ),
         timestamp: new Date().toISOString()
       });
     } else {
       res.status(500).json({
         success: false,
         message: 'Failed to refresh cache',
-        error: FX_CACHE.error,
+        error: cacheStore.current().error,
         timestamp: new Date().toISOString()
       });
     }
   } catch (error) {
-    console.error('❌ [FX-CACHE] Manual refresh error:', error.message);
+    cacheLog.error('Manual refresh error', { error });
     res.status(500).json({
       success: false,
       message: error.message,
@@ -704,46 +1516,417 @@ app.post('/api/fx-cache/refresh', verifyApiKey, async (req, res) => {
   }
 });
 
+// Analytics defaults (window is in bars of the series' timeframe)
+const ANALYTICS_DEFAULT_WINDOW = parseWindow(process.env.FX_ANALYTICS_WINDOW || '5');
+if (ANALYTICS_DEFAULT_WINDOW === null) {
+  throw new Error(`FX_ANALYTICS_WINDOW must be an integer between ${MIN_WINDOW} and ${MAX_WINDOW}`);
+}
+const ANALYTICS_DEFAULT_BENCHMARK = process.env.FX_ANALYTICS_BENCHMARK || 'dxy';
+
+// Computed analytics for the current cache version, keyed by query; dropped when the version changes
+let analyticsMemo = { version: null, results: new Map() };
+
+// GET endpoint for cross-asset analytics on the cached series (public, no auth required)
+app.get('/api/fx-cache/analytics', rateLimit.read, (req, res) => {
+  try {
+    if (!cacheStore.current().dataReady) {
+      res.set('Cache-Control', 'no-store');
+      return res.status(503).json({
+        error: 'Cache not ready',
+        message: 'FX cache is still loading. Please try again in a few seconds.',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const window = req.query.window === undefined ? ANALYTICS_DEFAULT_WINDOW : parseWindow(req.query.window);
+    const benchmark = req.query.benchmark || ANALYTICS_DEFAULT_BENCHMARK;
+    const timeframes = req.query.timeframe ? [req.query.timeframe] : Object.keys(PERIODS_PER_YEAR);
+    
+    if (window === null) {
+      return res.status(400).json({
+        error: 'Invalid window',
+        message: `window must be an integer between ${MIN_WINDOW} and ${MAX_WINDOW}`
+      });
+    }
+    if (!INSTRUMENTS.some(instrument => instrument.id === benchmark)) {
+      return res.status(400).json({
+        error: 'Invalid benchmark',
+        message: `benchmark must be one of: ${INSTRUMENTS.map(instrument => instrument.id).join(', ')}`
+      });
+    }
+    if (!timeframes.every(timeframe => PERIODS_PER_YEAR[timeframe])) {
+      return res.status(400).json({
+        error: 'Invalid timeframe',
+        message: `timeframe must be one of: ${Object.keys(PERIODS_PER_YEAR).join(', ')}`
+      });
+    }
+    
+    const memoKey = `${window}|${benchmark}|${timeframes.join(',')}`;
+    if (sendNotModifiedIfFresh(req, res, {
+      etag: `"fx-${cacheStore.version()}-analytics-${crypto.createHash('sha1').update(memoKey).digest('hex').slice(0, 8)}"`,
+      lastModified: cacheStore.replacedAt(),
+      maxAge: cacheMaxAge()
+    })) {
+      return;
+    }
+    
+    // Recompute once per cache version (refresh, write and restore all bump it)
+    if (analyticsMemo.version !== cacheStore.version()) {
+      analyticsMemo = { version: cacheStore.version(), results: new Map() };
+    }
+    if (!analyticsMemo.results.has(memoKey)) {
+      analyticsLog.info('Computing analytics', { version: cacheStore.version(), window, benchmark });
+      analyticsMemo.results.set(memoKey, computeAnalytics(cacheStore.current(), { window, benchmark, timeframes }));
+    }
+    
+    res.json({
+      version: cacheStore.version(),
+      lastUpdate: cacheStore.current().lastUpdate,
+      ...analyticsMemo.results.get(memoKey),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    analyticsLog.error('Error computing analytics', { error });
+    res.status(500).json({
+      error: 'Analytics failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET endpoint converting between currencies at cached rates (public, no auth required)
+app.get('/api/convert', rateLimit.read, (req, res) => {
+  try {
+    let query;
+    try {
+      query = parseConversionQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid conversion',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!cacheStore.current().dataReady) {
+      res.set('Cache-Control', 'no-store');
+      return res.status(503).json({
+        error: 'Cache not ready',
+        message: 'FX cache is still loading. Please try again in a few seconds.',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    let conversion;
+    try {
+      conversion = convertCurrency(cacheStore.current(), query);
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      // A missing rate can appear with the next write, so it must not be cached or revalidated
+      res.set('Cache-Control', 'no-store');
+      return res.status(404).json({
+        error: 'Rate not available',
+        message: error.message,
+        currencies: supportedCurrencies(),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Validators only for successful conversions
+    const queryKey = `${query.from}|${query.to}|${query.amount}|${query.at}`;
+    if (sendNotModifiedIfFresh(req, res, {
+      etag: `"fx-${cacheStore.version()}-convert-${crypto.createHash('sha1').update(queryKey).digest('hex').slice(0, 8)}"`,
+      lastModified: cacheStore.replacedAt(),
+      maxAge: cacheMaxAge()
+    })) {
+      return;
+    }
+    
+    convertLog.debug('Converted', { from: query.from, to: query.to, at: query.at, method: conversion.method });
+    
+    res.json({
+      ...conversion,
+      version: cacheStore.version(),
+      lastUpdate: cacheStore.current().lastUpdate,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    convertLog.error('Error converting currency', { error });
+    res.status(500).json({
+      error: 'Conversion failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET endpoint for the data-quality report (public, no auth required)
+app.get('/api/fx-cache/quality', rateLimit.read, (req, res) => {
+  // Staleness changes with the clock, so the report is never served from a cache
+  res.set('Cache-Control', 'no-cache');
+  
+  if (!cacheStore.current().dataReady) {
+    return res.status(503).json({
+      error: 'Cache not ready',
+      message: 'FX cache is still loading. Please try again in a few seconds.',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.json({
+    version: cacheStore.version(),
+    lastUpdate: cacheStore.current().lastUpdate,
+    ...getQualityReport(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// GET endpoint for the on-disk history of one series (public, no auth required)
+app.get('/api/fx-cache/history/:series', rateLimit.read, async (req, res) => {
+  try {
+    const { series } = req.params;
+    if (!SERIES_KEYS.includes(series)) {
+      return res.status(404).json({
+        error: 'Unknown series',
+        message: `series must be one of: ${SERIES_KEYS.join(', ')}`
+      });
+    }
+    
+    const from = req.query.from !== undefined ? parseHistoryBound(req.query.from) : -Infinity;
+    const to = req.query.to !== undefined ? parseHistoryBound(req.query.to, { endOfDay: true }) : Infinity;
+    if (from === null || to === null) {
+      return res.status(400).json({
+        error: 'Invalid range',
+        message: 'from and to must be YYYY-MM-DD, an ISO 8601 date-time or unix seconds'
+      });
+    }
+    
+    let format;
+    try {
+      format = negotiateFormat(req);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: error.message
+      });
+    }
+    res.vary('Accept');
+    
+    const rows = await readHistory(series, { from, to });
+    historyLog.info('Serving history', { series, rows: rows.length, format });
+    
+    if (format !== 'json') {
+      return await sendRows(res, {
+        format,
+        columns: getSeries(series).timeframe === '1D' ? COLUMNS.daily : COLUMNS.bucket,
+        rows,
+        filename: `${series}-history`
+      });
+    }
+    
+    res.json({
+      series,
+      from: Number.isFinite(from) ? new Date(from * 1000).toISOString() : null,
+      to: Number.isFinite(to) ? new Date(to * 1000).toISOString() : null,
+      count: rows.length,
+      data: rows,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    historyLog.error('Error reading history', { error });
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      error: 'History read failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Heartbeat comment interval for SSE clients (keeps proxies from closing idle streams)
+const SSE_HEARTBEAT_INTERVAL = parseInt(process.env.SSE_HEARTBEAT_MS || '25000');
+
+/**
+ * Write one event in text/event-stream format
+ */
+const writeSSE = (res, { id, type, data }) => {
+  if (id !== undefined) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// GET endpoint to stream cache updates as Server-Sent Events (public, no auth required)
+app.get('/api/fx-cache/stream', rateLimit.read, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable buffering behind nginx-style proxies
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  
+  // EventSource sends Last-Event-ID on reconnect; ?lastEventId= covers the first connect
+  const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+  
+  if (typeof lastEventId === 'string' && lastEventId.length > 0) {
+    const missed = fxEvents.eventsSince(lastEventId);
+    if (missed) {
+      streamLog.info('Client resumed', { lastEventId, replayed: missed.length });
+      missed.forEach(event => writeSSE(res, event));
+    } else {
+      // Too far behind, or an id from another server run: tell the client to refetch the cache
+      writeSSE(res, { type: 'resync', data: { lastEventId: fxEvents.getLastEventId(), lastUpdate: cacheStore.current().lastUpdate } });
+    }
+  } else {
+    writeSSE(res, {
+      type: 'ready',
+      data: {
+        lastEventId: fxEvents.getLastEventId(),
+        lastUpdate: cacheStore.current().lastUpdate,
+        dataReady: cacheStore.current().dataReady
+      }
+    });
+  }
+  
+  const unsubscribe = fxEvents.subscribe(event => writeSSE(res, event));
+  const heartbeat = setInterval(() => res.write(`: heartbeat ${Date.now()}\n\n`), SSE_HEARTBEAT_INTERVAL);
+  
+  streamLog.info('Client connected', { clients: fxEvents.subscriberCount() });
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    streamLog.info('Client disconnected', { requestId: req.id, clients: fxEvents.subscriberCount() });
+  });
+});
+
 // GET endpoint to check cache status
-app.get('/api/fx-cache/status', (req, res) => {
-  const age = FX_CACHE.lastUpdate ? Date.now() - FX_CACHE.lastUpdate : null;
+app.get('/api/fx-cache/status', rateLimit.read, (req, res) => {
+  const cache = cacheStore.current();
+  const age = cache.lastUpdate ? Date.now() - cache.lastUpdate : null;
   const ageHours = age ? age / (1000 * 60 * 60) : null;
+  const nextRefresh = getNextRefresh();
+  const quality = cache.dataReady ? getQualityReport().summary : null;
+  const breakerStates = Object.values(getBreakerStats()).map(breaker => breaker.state);
+  
+  // Counters below change on every request, so the validator only covers the cache state (weak ETag).
+  // No Last-Modified: loading state, series status and breakers change without a cache replace.
+  const stateHash = crypto.createHash('sha1')
+    .update(JSON.stringify([cacheStore.version(), cache.dataReady, cache.isLoading, cache.error, cache.seriesStatus, quality, breakerStates]))
+    .digest('hex')
+    .slice(0, 16);
+  if (sendNotModifiedIfFresh(req, res, {
+    etag: `W/"status-${stateHash}"`
+  })) {
+    return;
+  }
   
   res.json({
-    dataReady: FX_CACHE.dataReady,
-    isLoading: FX_CACHE.isLoading,
-    error: FX_CACHE.error,
-    lastUpdate: FX_CACHE.lastUpdate ? new Date(FX_CACHE.lastUpdate).toISOString() : null,
+    version: cacheStore.version(),
+    dataReady: cache.dataReady,
+    isLoading: cache.isLoading,
+    error: cache.error,
+    lastUpdate: cache.lastUpdate ? new Date(cache.lastUpdate).toISOString() : null,
     cacheAge: ageHours ? `${ageHours.toFixed(1)} hours` : 'never updated',
-    nextRefresh: FX_CACHE.lastUpdate ? new Date(FX_CACHE.lastUpdate + REFRESH_INTERVAL).toISOString() : null,
-    dataPoints: {
-      usdjpy1D: FX_CACHE.usdjpy1D.length,
-      dxy1D: FX_CACHE.dxy1D.length,
-      usdjpy4H: FX_CACHE.usdjpy4H.length,
-      dxy4H: FX_CACHE.dxy4H.length
+    nextRefresh: nextRefresh ? new Date(nextRefresh).toISOString() : null,
+    scheduler: {
+      nextRun: refreshScheduler.nextRun() && {
+        at: new Date(refreshScheduler.nextRun().at).toISOString(),
+        reason: refreshScheduler.nextRun().reason,
+        candleClose: new Date(refreshScheduler.nextRun().close).toISOString()
+      },
+      lastRun: refreshScheduler.lastRun(),
+      delayMinutes: REFRESH_DELAY_MS / 60000,
+      jitterSeconds: REFRESH_JITTER_MS / 1000
+    },
+    dataPoints: countDataPoints(cache),
+    quality,
+    series: getSeriesFreshness(),
+    upstreams: getBreakerStats(),
+    proxyCache: proxyCache.stats(),
+    stream: {
+      clients: fxEvents.subscriberCount(),
+      lastEventId: fxEvents.getLastEventId()
+    },
+    history: {
+      directory: HISTORY_DIR,
+      lastAppend: lastHistoryAppend
     },
     timestamp: new Date().toISOString()
   });
 });
 
-// Start server
-app.listen(PORT, async () => {
-  console.log(`🚀 [PROXY] Backend server running on port ${PORT}`);
-  console.log(`📡 [PROXY] Endpoints:`);
-  console.log(`  GET  /api/yahoo/:symbol?interval=1d&range=1mo`);
-  console.log(`  GET  /api/yahoo-v7/:symbol`);
-  console.log(`  GET  /api/fx-cache (public - serves in-memory cache)`);
-  console.log(`  GET  /api/fx-cache/status (public - cache status)`);
-  console.log(`  POST /api/fx-cache/refresh (requires X-API-Key - manual refresh)`);
-  console.log(`  POST /api/fx-cache (requires X-API-Key - manual write)`);
-  console.log(`  GET  /api/fx-cache/backups (requires X-API-Key)`);
-  console.log(`  GET  /health`);
-  console.log(`💡 [PROXY] Example: http://localhost:${PORT}/api/yahoo/DX-Y.NYB`);
-  console.log(`🔐 [PROXY] API Key for writes: ${API_KEY === 'CHANGE_THIS_IN_PRODUCTION' ? '⚠️ USING DEFAULT KEY - SET FX_CACHE_API_KEY ENV VAR!' : '✅ Custom key configured'}`);
-  console.log('');
-  
-  // Initialize FX cache system
-  await initializeFXCache();
+// JSON errors for malformed or oversized request bodies (express.json)
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    proxyLog.error('Request body too large', { path: req.path, bytes: error.length, limit: error.limit });
+    return res.status(413).json({
+      error: 'Payload too large',
+      message: `Request body exceeds ${error.limit} bytes`
+    });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Invalid data',
+      message: 'Request body is not valid JSON'
+    });
+  }
+  next(error);
 });
 
+// Listed in the startup log
+const ENDPOINTS = [
+  'GET  /api/yahoo/:symbol?interval=1d&range=1mo&indicators=sma:20,rsi:14',
+  'GET  /api/yahoo/batch?symbols=JPY=X,DX-Y.NYB&align=union',
+  'GET  /api/yahoo-v7/:symbol',
+  'GET  /api/symbols',
+  'GET  /api/fx-cache?format=csv&series=usdjpy1D (public - serves in-memory cache as JSON, CSV or NDJSON)',
+  'GET  /api/fx-cache/status (public - cache status)',
+  'GET  /api/fx-cache/stream (public - Server-Sent Events)',
+  'GET  /api/fx-cache/analytics?window=5&benchmark=dxy (public - returns, correlation, beta, volatility)',
+  'GET  /api/fx-cache/quality (public - data-quality report)',
+  'GET  /api/convert?from=EUR&to=JPY&amount=1000&at=2026-01-15 (public - cross rates from the cache)',
+  'GET  /api/fx-cache/history/:series?from=&to= (public - stored history)',
+  'POST /api/fx-cache/refresh (X-API-Key with cache:refresh - manual refresh)',
+  'POST /api/fx-cache (X-API-Key with cache:write - manual write)',
+  'GET  /api/fx-cache/backups (X-API-Key with backups:read)',
+  'GET  /api/fx-cache/backups/:id (X-API-Key with backups:read)',
+  'GET  /api/fx-cache/backups/diff?from=&to= (X-API-Key with backups:read)',
+  'POST /api/fx-cache/backups/:id/restore (X-API-Key with cache:write)',
+  'GET  /metrics (public - Prometheus metrics)',
+  'GET  /health'
+];
+
+// The live cache, for tests that load this module (see test-cache-writes.js)
+app.locals.cacheStore = cacheStore;
+
+// Start server (unless loaded by a test, which listens on its own port)
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    proxyLog.info('Backend server running', { port: Number(PORT), example: `http://localhost:${PORT}/api/yahoo/DX-Y.NYB` });
+    proxyLog.info('Endpoints', { endpoints: ENDPOINTS });
+    proxyLog.info('Market data providers', { providers: PROVIDER_ORDER });
+    proxyLog.info('FX instruments', { instruments: INSTRUMENTS.map(instrument => `${instrument.id} (${instrument.symbol})`) });
+    if (apiKeys.usesDefaultKey()) {
+      authLog.warn('USING DEFAULT API KEY - SET FX_CACHE_API_KEY OR ADD KEYS WITH manage-api-keys.js!');
+    } else {
+      authLog.info('API keys loaded', { file: API_KEYS_FILE, keys: apiKeys.list() });
+    }
+    
+    // Initialize FX cache system
+    await initializeFXCache();
+  });
+}
+
 module.exports = app;
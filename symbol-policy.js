@@ -0,0 +1,137 @@
+const { INSTRUMENTS } = require('./fx-instruments');
+
+// =============================================================================
+// SYMBOL POLICY (allowlist, aliases, interval/range validation for the proxy)
+// =============================================================================
+
+// Anything outside this never reaches an upstream URL, whatever the allowlist says
+const SYMBOL_PATTERN = /^[A-Za-z0-9^=.-]{1,20}$/;
+
+// Extra Yahoo symbols the proxy may serve besides the registered instruments ("*" allows any)
+const EXTRA_SYMBOLS = (process.env.PROXY_SYMBOL_ALLOWLIST || '')
+  .split(',')
+  .map(symbol => symbol.trim())
+  .filter(Boolean);
+
+// Intervals the proxy accepts; 4h is resampled from 1h candles
+const INTERVALS = ['1m', '2m', '5m', '15m', '30m', '60m', '90m', '1h', '4h', '1d', '5d', '1wk', '1mo', '3mo'];
+
+// Ranges the proxy accepts, with the number of days each one spans
+const RANGE_DAYS = {
+  '1d': 1,
+  '5d': 5,
+  '1mo': 31,
+  '3mo': 92,
+  '6mo': 183,
+  '1y': 366,
+  ytd: 366,
+  '2y': 731,
+  '5y': 1827,
+  '10y': 3653,
+  max: Infinity
+};
+
+// How far back Yahoo serves intraday candles; daily and longer intervals have no limit
+const MAX_RANGE_DAYS = {
+  '1m': 7,
+  '2m': 60,
+  '5m': 60,
+  '15m': 60,
+  '30m': 60,
+  '90m': 60,
+  '60m': 730,
+  '1h': 730,
+  '4h': 730
+};
+
+const invalid = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// "usd/jpy", "USD JPY" and "usdjpy" all look up the same entry
+const lookupKey = (name) => name.toUpperCase().replace(/[\s/]/g, '');
+
+/**
+ * Lookup table of accepted names -> instrument (ids, Yahoo symbols and aliases)
+ */
+const buildAliasIndex = (instruments) => {
+  const index = new Map();
+  for (const instrument of instruments) {
+    for (const name of [instrument.id, instrument.symbol, ...instrument.aliases]) {
+      const key = lookupKey(name);
+      const existing = index.get(key);
+      if (existing && existing !== instrument) {
+        throw new Error(`Symbol alias "${name}" is used by both "${existing.id}" and "${instrument.id}"`);
+      }
+      index.set(key, instrument);
+    }
+  }
+  return index;
+};
+
+/**
+ * Symbol policy for the proxy routes
+ *
+ * `resolve(requested)` returns `{ symbol, requested, instrument }`, where `symbol` is the
+ * Yahoo symbol to fetch. Registered instruments are matched by id, symbol or alias
+ * (case-insensitive), so `USDJPY` becomes `JPY=X` and `DXY` becomes `DX-Y.NYB`. Other
+ * symbols must be listed in PROXY_SYMBOL_ALLOWLIST. Throws with status 400 for malformed
+ * symbols and 404 for symbols that are not allowed.
+ *
+ * @param {{ instruments?: Object[], extraSymbols?: string[] }} [options]
+ */
+const createSymbolPolicy = ({ instruments = INSTRUMENTS, extraSymbols = EXTRA_SYMBOLS } = {}) => {
+  const aliases = buildAliasIndex(instruments);
+  const allowAny = extraSymbols.includes('*');
+  const extras = new Map(extraSymbols.filter(symbol => symbol !== '*').map(symbol => [symbol.toUpperCase(), symbol]));
+
+  const resolve = (requested) => {
+    const name = String(requested ?? '').trim();
+    const instrument = aliases.get(lookupKey(name));
+    if (instrument) {
+      return { symbol: instrument.symbol, requested: name, instrument };
+    }
+    if (!SYMBOL_PATTERN.test(name)) {
+      throw invalid(`Invalid symbol "${name}": use up to 20 letters, digits or ^ = . -`);
+    }
+    const extra = extras.get(name.toUpperCase());
+    if (extra || allowAny) {
+      return { symbol: extra || name, requested: name, instrument: null };
+    }
+    throw invalid(`Unknown symbol "${name}": see GET /api/symbols for supported instruments`, 404);
+  };
+
+  return {
+    resolve,
+    allowAny,
+    extraSymbols: [...extras.values()]
+  };
+};
+
+/**
+ * Reject unknown intervals/ranges and intraday intervals over a range Yahoo won't serve
+ */
+const validateChartParams = ({ interval, range }) => {
+  if (!INTERVALS.includes(interval)) {
+    throw invalid(`interval must be one of: ${INTERVALS.join(', ')}`);
+  }
+  if (!Object.prototype.hasOwnProperty.call(RANGE_DAYS, range)) {
+    throw invalid(`range must be one of: ${Object.keys(RANGE_DAYS).join(', ')}`);
+  }
+  const maxDays = MAX_RANGE_DAYS[interval] ?? Infinity;
+  if (RANGE_DAYS[range] > maxDays) {
+    throw invalid(`interval ${interval} is only available for ranges up to ${maxDays} days (allowed: ${allowedRanges(interval).join(', ')})`);
+  }
+};
+
+/**
+ * Ranges accepted with the given interval
+ */
+const allowedRanges = (interval) => Object.keys(RANGE_DAYS)
+  .filter(range => RANGE_DAYS[range] <= (MAX_RANGE_DAYS[interval] ?? Infinity));
+
+module.exports = {
+  INTERVALS,
+  createSymbolPolicy,
+  validateChartParams,
+  allowedRanges,
+  symbolPolicy: createSymbolPolicy()
+};
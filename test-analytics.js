@@ -0,0 +1,74 @@
+/**
+ * Test script for cross-asset analytics
+ *
+ * Usage:
+ *   node test-analytics.js
+ *
+ * Runs offline against synthetic cache series (no server needed)
+ */
+
+const { MAX_WINDOW, parseWindow, logReturns, computeAnalytics } = require('./fx-analytics');
+const { suite, check, finish } = require('./test-helpers');
+
+const DAY = 24 * 60 * 60;
+const BASE = Date.UTC(2024, 0, 1) / 1000;
+
+const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) <= tolerance;
+
+// Daily rows from a list of closes, one per calendar day
+const dailyRows = (closes) => closes.map((value, index) => ({
+  date: new Date((BASE + index * DAY) * 1000).toISOString().slice(0, 10),
+  close: value
+}));
+
+// dxy moves in a fixed pattern; usdjpy doubles its log returns, eurusd mirrors them
+const dxyCloses = [100, 101, 100.5, 102, 101, 103, 102.5, 104];
+const dxyReturns = dxyCloses.slice(1).map((value, index) => Math.log(value / dxyCloses[index]));
+const scaled = (factor) => dxyReturns.reduce((closes, r) => [...closes, closes[closes.length - 1] * Math.exp(factor * r)], [150]);
+
+const cache = {
+  dxy1D: dailyRows(dxyCloses),
+  usdjpy1D: dailyRows(scaled(2)),
+  eurusd1D: dailyRows(scaled(-1)),
+  gbpusd1D: [],
+  gold1D: dailyRows([2000]),
+  us10y1D: []
+};
+
+suite('FX analytics');
+
+console.log('\n1️⃣ Log returns');
+const returns = logReturns(cache.dxy1D);
+check('one return per consecutive pair', returns.length === dxyCloses.length - 1);
+check('return is ln(close / previous close)', close(returns[0].value, Math.log(1.01)));
+check('labelled with the later row', returns[0].date === cache.dxy1D[1].date);
+
+console.log('\n2️⃣ Correlation and beta');
+const analytics = computeAnalytics(cache, { window: 5, benchmark: 'dxy', timeframes: ['1D'] });
+const daily = analytics.timeframes['1D'];
+const usdjpy = daily.pairs['usdjpy/dxy'];
+const eurusd = daily.pairs['eurusd/dxy'];
+check('rolling series has one point per full window', usdjpy.correlation.length === returns.length - 5 + 1);
+check('scaled series has correlation 1', close(usdjpy.latest.correlation, 1));
+check('scaled series has beta 2', close(usdjpy.latest.beta, 2));
+check('mirrored series has correlation -1', close(eurusd.latest.correlation, -1));
+check('mirrored series has beta -1', close(eurusd.latest.beta, -1));
+check('benchmark is not paired with itself', !daily.pairs['dxy/dxy']);
+
+console.log('\n3️⃣ Changes and volatility');
+const dxy = daily.instruments.dxy;
+check('1D change uses the previous day', close(dxy.changes['1D'], (104 / 102.5 - 1) * 100, 1e-4));
+check('5D change uses the close 5 days earlier', close(dxy.changes['5D'], (104 / 100.5 - 1) * 100, 1e-4));
+check('usdjpy volatility is twice dxy volatility', close(daily.instruments.usdjpy.realizedVolatility, 2 * dxy.realizedVolatility, 1e-5));
+check('single-row series has no volatility', daily.instruments.gold.realizedVolatility === null);
+check('empty series has no changes', daily.instruments.us10y.changes['1D'] === null);
+
+console.log('\n4️⃣ Window parameter');
+check('plain integers', parseWindow('5') === 5 && parseWindow('2') === 2 && parseWindow(String(MAX_WINDOW)) === MAX_WINDOW);
+check('out of range', parseWindow('1') === null && parseWindow('0') === null && parseWindow(String(MAX_WINDOW + 1)) === null);
+check('trailing junk is rejected, not truncated', parseWindow('5abc') === null && parseWindow('20d') === null);
+check('fractions are rejected', parseWindow('5.5') === null);
+check('empty, negative and non-numeric values', ['', ' ', '-5', 'abc', 'NaN', 'Infinity'].every(value => parseWindow(value) === null));
+check('repeated parameters are rejected', parseWindow(['5', '10']) === null && parseWindow(undefined) === null);
+
+finish();
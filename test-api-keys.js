@@ -0,0 +1,94 @@
+/**
+ * Test script for scoped API keys
+ *
+ * Usage:
+ *   node test-api-keys.js
+ *
+ * Runs offline against a key file in the OS temp directory (no server needed)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_API_KEY, hashKey, generateKey, readKeyFile, writeKeyFile, hasScope, isExpired, createKeyStore } = require('./api-keys');
+const { suite, check, finish } = require('./test-helpers');
+
+(async () => {
+  suite('scoped API keys');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-api-keys-'));
+  const file = path.join(dir, 'api-keys.json');
+  let clock = Date.parse('2026-01-05T12:00:00Z');
+  const now = () => clock;
+
+  try {
+    console.log('\n1️⃣ Default and env keys');
+    const empty = createKeyStore({ file, envKey: undefined, now });
+    check('default key accepted with no keys configured', empty.usesDefaultKey() && (await empty.authenticate(DEFAULT_API_KEY))?.name === 'default');
+    const envStore = createKeyStore({ file, envKey: 'env-secret', now });
+    check('FX_CACHE_API_KEY is an admin key', (await envStore.authenticate('env-secret'))?.scopes.join() === 'admin');
+    check('default key rejected once a key is set', !envStore.usesDefaultKey() && (await envStore.authenticate(DEFAULT_API_KEY)) === null);
+    check('env key set to the default still counts as default', createKeyStore({ file, envKey: DEFAULT_API_KEY, now }).usesDefaultKey());
+    const production = createKeyStore({ file, envKey: undefined, production: true, now });
+    check('default key never accepted in production', production.usesDefaultKey() && (await production.authenticate(DEFAULT_API_KEY)) === null);
+
+    console.log('\n2️⃣ Key file');
+    const writerKey = generateKey();
+    writeKeyFile(file, [
+      { name: 'writer', hash: hashKey(writerKey), scopes: ['cache:write'], expiresAt: '2026-06-01T00:00:00Z' },
+      { name: 'ops', hash: hashKey('ops-secret'), scopes: ['admin'], expiresAt: null }
+    ]);
+    check('only hashes are stored', !fs.readFileSync(file, 'utf-8').includes(writerKey));
+    const store = createKeyStore({ file, envKey: undefined, now });
+    const writer = await store.authenticate(writerKey);
+    check('named key authenticates', writer?.name === 'writer' && !store.usesDefaultKey());
+    check('unknown key is rejected', (await store.authenticate('nope')) === null);
+    check('default key is rejected', (await store.authenticate(DEFAULT_API_KEY)) === null);
+    check('list never exposes hashes', store.list().every(key => !('hash' in key)) && store.list().length === 2);
+
+    console.log('\n3️⃣ Scopes and expiry');
+    check('key has its own scope', hasScope(writer, 'cache:write'));
+    check('key lacks other scopes', !hasScope(writer, 'cache:refresh') && !hasScope(writer, 'backups:read'));
+    check('admin has every scope', hasScope(await store.authenticate('ops-secret'), 'backups:read'));
+    check('not expired before expiresAt', !isExpired(writer, clock));
+    check('expired after expiresAt', isExpired(writer, Date.parse('2026-06-01T00:00:01Z')));
+
+    console.log('\n4️⃣ Reload without restart');
+    const rotatedKey = generateKey();
+    writeKeyFile(file, [{ name: 'writer', hash: hashKey(rotatedKey), scopes: ['cache:write'], expiresAt: null }]);
+    check('change not picked up within the check interval', (await store.authenticate(writerKey))?.name === 'writer');
+    clock += 1500;
+    check('rotated key works after the interval', (await store.authenticate(rotatedKey))?.name === 'writer');
+    check('old key stops working', (await store.authenticate(writerKey)) === null);
+    check('revoked key stops working', (await store.authenticate('ops-secret')) === null);
+
+    fs.writeFileSync(file, '{ "keys": [{ "name": "broken" }] }');
+    clock += 1500;
+    check('invalid file keeps the previous keys', (await store.authenticate(rotatedKey))?.name === 'writer');
+
+    fs.rmSync(file);
+    clock += 1500;
+    check('file emptied after start: keys are gone', (await store.authenticate(rotatedKey)) === null);
+    check('file emptied after start: default key stays rejected', (await store.authenticate(DEFAULT_API_KEY)) === null && !store.usesDefaultKey());
+
+    console.log('\n5️⃣ Validation');
+    const invalid = (keys) => {
+      fs.writeFileSync(file, JSON.stringify({ keys }));
+      try {
+        readKeyFile(file);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    };
+    check('unknown scope rejected', invalid([{ name: 'a', hash: hashKey('a'), scopes: ['cache:delete'] }]));
+    check('malformed hash rejected', invalid([{ name: 'a', hash: 'plain-text', scopes: ['admin'] }]));
+    check('duplicate names rejected', invalid([{ name: 'a', hash: hashKey('a'), scopes: ['admin'] }, { name: 'a', hash: hashKey('b'), scopes: ['admin'] }]));
+    check('bad expiry rejected', invalid([{ name: 'a', hash: hashKey('a'), scopes: ['admin'], expiresAt: 'soon' }]));
+    check('missing file means no keys', readKeyFile(path.join(dir, 'missing.json')).length === 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  finish();
+})();
@@ -0,0 +1,40 @@
+/**
+ * Test script for FX cache backup files
+ *
+ * Usage:
+ *   node test-backups.js
+ *
+ * Runs offline (no server needed)
+ */
+
+const { DAILY_DATES, migrateDailyDates, parseBackupId, diffCaches } = require('./fx-backups');
+const { suite, check, finish } = require('./test-helpers');
+
+const dates = (rows) => rows.map(row => `${row.date}=${row.close}`).join();
+
+suite('FX cache backups');
+
+console.log('\n1️⃣ Backup ids');
+check('bare timestamps', parseBackupId('1697654321000') === 1697654321000);
+check('file names', parseBackupId('fx-cache-backup-1697654321000.json') === 1697654321000);
+check('anything else is null', parseBackupId('../fx-cache-backup.json') === null && parseBackupId('latest') === null);
+
+console.log('\n2️⃣ Daily dates migration');
+// Written before daily rows were dated by trading day: labels are UTC dates
+const legacy = {
+  lastUpdate: Date.parse('2024-07-12T21:00:00Z'),
+  eurusd1D: [{ date: '2024-07-10', close: 1.08 }, { date: '2024-07-11', close: 1.09 }],
+  dxy1D: [{ date: '2024-07-11', close: 104.5 }],
+  eurusd4H: [{ timestamp: 1720771200, date: '2024-07-12T08:00:00.000Z', close: 1.09 }]
+};
+const migrated = migrateDailyDates(legacy);
+check('London-dated series move to the trading date', dates(migrated.eurusd1D) === '2024-07-11=1.08,2024-07-12=1.09');
+check('New York-dated series keep their dates', dates(migrated.dxy1D) === '2024-07-11=104.5');
+check('4H rows are untouched', migrated.eurusd4H === legacy.eurusd4H);
+check('the result is marked', migrated.dailyDates === DAILY_DATES && legacy.dailyDates === undefined);
+check('marked caches are not migrated again', migrateDailyDates(migrated) === migrated);
+const diff = diffCaches(migrated, { ...migrated, eurusd1D: [...migrated.eurusd1D, { date: '2024-07-15', close: 1.1 }] });
+check('diffs against a migrated backup only show real changes', diff.summary.added === 1 && diff.summary.removed === 0 && diff.summary.changed === 0);
+check('non-objects pass through', migrateDailyDates(null) === null);
+
+finish();
@@ -0,0 +1,94 @@
+/**
+ * Test script for the batch proxy helpers
+ *
+ * Usage:
+ *   node test-batch.js
+ *
+ * Runs offline: the rate limit checks load server.js without starting it and serve
+ * it on a random port (no upstream requests are made)
+ */
+
+// A small proxy bucket, so a request charged by mistake shows up at once
+process.env.RATE_LIMITS = JSON.stringify({ proxy: { capacity: 3, perMinute: 1 } });
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const axios = require('axios');
+const { BATCH_MAX_SYMBOLS, splitSymbols, parseSymbolList, parseAlignMode, mapWithConcurrency, alignRows } = require('./proxy-batch');
+const { suite, check, finish } = require('./test-helpers');
+
+const throws = (fn) => {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error.status === 400;
+  }
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  suite('batch proxy helpers');
+
+  console.log('\n1️⃣ Query parsing');
+  check('symbols are split, trimmed and deduplicated', splitSymbols(' JPY=X, DX-Y.NYB,,JPY=X ').join() === 'JPY=X,DX-Y.NYB');
+  check('repeated symbols= params are joined', splitSymbols(['JPY=X', 'GC=F']).join() === 'JPY=X,GC=F');
+  check('missing symbols is 400', throws(() => parseSymbolList(undefined)) && throws(() => parseSymbolList(' , ')));
+  check(`more than ${BATCH_MAX_SYMBOLS} symbols is 400`, throws(() => parseSymbolList(Array.from({ length: BATCH_MAX_SYMBOLS + 1 }, (_, i) => `S${i}`).join())));
+  check('align modes', parseAlignMode(undefined) === null && parseAlignMode('union') === 'union' && throws(() => parseAlignMode('outer')));
+
+  console.log('\n2️⃣ Bounded concurrency');
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+    running++;
+    peak = Math.max(peak, running);
+    await delay(ms);
+    running--;
+    if (index === 2) {
+      throw new Error('upstream down');
+    }
+    return ms * 2;
+  });
+  check('never more than the limit in flight', peak === 2);
+  check('results keep input order', results.map(result => result.value ?? null).join() === '60,20,,10,30');
+  check('failures are isolated', results[2].status === 'rejected' && results[2].reason.message === 'upstream down' && results.filter(result => result.status === 'fulfilled').length === 4);
+  check('empty input', (await mapWithConcurrency([], 4, async () => 1)).length === 0);
+
+  console.log('\n3️⃣ Alignment');
+  const series = {
+    a: [{ date: '2026-10-13', close: 1 }, { date: '2026-10-14', close: 2 }, { date: '2026-10-15', close: 3 }],
+    b: [{ date: '2026-10-12', close: 10 }, { date: '2026-10-14', close: 20 }, { date: '2026-10-15', close: 30 }]
+  };
+  const union = alignRows(series, 'union');
+  check('union axis holds every date, sorted', union.dates.join() === '2026-10-12,2026-10-13,2026-10-14,2026-10-15');
+  check('gaps are null', union.series.a[0] === null && union.series.b[1] === null && union.series.a[3].close === 3);
+  const intersection = alignRows(series, 'intersection');
+  check('intersection keeps shared dates only', intersection.dates.join() === '2026-10-14,2026-10-15');
+  check('intersection has no gaps', intersection.series.b.map(row => row.close).join() === '20,30');
+  check('no series, empty axis', alignRows({}, 'union').dates.length === 0);
+
+  console.log('\n4️⃣ Rate limit');
+  const app = require('./server');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const batch = (query) => axios.get(`http://127.0.0.1:${server.address().port}/api/yahoo/batch?${query}`, { validateStatus: () => true });
+  try {
+    const tooMany = Array.from({ length: BATCH_MAX_SYMBOLS + 1 }, (_, i) => `S${i}`).join();
+    const rejected = [
+      await batch(`symbols=${tooMany}`),
+      await batch('symbols=JPY=X,GC=F,DX-Y.NYB&interval=2d'),
+      await batch('symbols=JPY=X,GC=F&align=outer'),
+      await batch('symbols=JPY=X,GC=F&fields=adjclose'),
+      await batch('symbols=JPY=X,GC=F&align=union&tz=exchange')
+    ];
+    check('invalid batches are 400, not 429', rejected.every(response => response.status === 400));
+    check('invalid batches are not charged', rejected.every(response => response.headers['ratelimit-remaining'] === undefined));
+    const missing = await batch('symbols=');
+    check('a missing list is still a 400', missing.status === 400 && missing.data.error === 'Invalid batch request');
+  } finally {
+    server.close();
+  }
+
+  finish();
+})();
@@ -0,0 +1,86 @@
+/**
+ * Test script for indicators on the FX cache read endpoint
+ *
+ * Usage:
+ *   node test-cache-indicators.js
+ *
+ * Loads server.js without starting it (no refresh, no network) and serves it on a
+ * random port, with the history store in a temporary directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-cache-indicators-'));
+process.env.FX_BACKUP_DIR = TEMP_DIR;
+process.env.FX_HISTORY_DIR = path.join(TEMP_DIR, 'history');
+process.env.FX_API_KEYS_FILE = path.join(TEMP_DIR, 'api-keys.json');
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const axios = require('axios');
+const { appendHistory } = require('./fx-history');
+const { computeIndicators } = require('./indicators');
+const app = require('./server');
+const { suite, check, finish } = require('./test-helpers');
+
+const DAY = 24 * 60 * 60;
+const FIRST_DAY = Date.UTC(2024, 0, 1) / 1000;
+
+// 40 daily closes; the cache keeps the last 10 like a refresh does
+const dailyRows = Array.from({ length: 40 }, (_, day) => ({
+  date: new Date((FIRST_DAY + day * DAY) * 1000).toISOString().split('T')[0],
+  close: 150 + Math.sin(day / 3) * 2 + day * 0.05
+}));
+const cachedRows = dailyRows.slice(-10);
+
+let baseUrl;
+const get = (url) => axios.get(`${baseUrl}${url}`, { validateStatus: () => true });
+
+async function testIndicators() {
+  // Stored history for usdjpy1D only; dxy1D has just its cached rows
+  await appendHistory({ usdjpy1D: dailyRows, dxy1D: [] });
+  const cacheStore = app.locals.cacheStore;
+  cacheStore.replace({
+    ...cacheStore.current(),
+    usdjpy1D: cachedRows,
+    dxy1D: cachedRows.map(row => ({ ...row, close: row.close - 46 })),
+    lastUpdate: Date.now(),
+    dataReady: true
+  });
+
+  console.log('\n1️⃣ JSON');
+  const response = await get('/api/fx-cache?indicators=rsi:14,sma:20');
+  check('200 with indicators', response.status === 200 && response.data.indicators !== undefined);
+  const { 'rsi:14': rsi, 'sma:20': sma } = response.data.indicators.usdjpy1D;
+  check('values are aligned with the cached rows', rsi.values.length === 10 && sma.values.length === 10);
+  check('periods longer than the cache warm up on history', rsi.warmup === 0 && sma.warmup === 0 && rsi.values.every(value => value !== null));
+  const expected = computeIndicators(dailyRows, [{ id: 'sma:20', type: 'sma', params: { period: 20 } }], { outputLength: 10 })['sma:20'].values;
+  check('values match the full series', JSON.stringify(sma.values) === JSON.stringify(expected));
+  const withoutHistory = response.data.indicators.dxy1D['rsi:14'];
+  check('series without history still warm up on the cached rows', withoutHistory.values.length === 10 && withoutHistory.warmup === 10);
+  check('short periods are unchanged without history', (await get('/api/fx-cache?indicators=sma:5')).data.indicators.dxy1D['sma:5'].warmup === 4);
+
+  console.log('\n2️⃣ CSV export');
+  const csv = await get('/api/fx-cache?series=usdjpy1D&format=csv&indicators=rsi:14');
+  const lines = csv.data.trim().split('\n');
+  check('one line per cached row', csv.status === 200 && lines.length === 11 && lines[0].endsWith(',rsi_14'));
+  check('exported columns warm up on history too', lines.slice(1).every(line => line.split(',').pop() !== ''));
+}
+
+const server = app.listen(0, '127.0.0.1');
+
+server.once('listening', async () => {
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  try {
+    suite('FX cache indicators');
+    await testIndicators();
+  } catch (error) {
+    check(`unexpected error: ${error.message}`, false);
+  } finally {
+    server.close();
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+  }
+
+  finish();
+});
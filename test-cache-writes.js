@@ -0,0 +1,219 @@
+/**
+ * Test script for FX cache writes: the write lock, If-Match and backup restores
+ *
+ * Usage:
+ *   node test-cache-writes.js
+ *
+ * Loads server.js without starting it (no refresh, no network) and serves it on a
+ * random port, with the backups, history and API keys in a temporary directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-cache-writes-'));
+const BACKUP_DIR = path.join(TEMP_DIR, 'backups');
+fs.mkdirSync(BACKUP_DIR);
+process.env.FX_BACKUP_DIR = BACKUP_DIR;
+process.env.FX_HISTORY_DIR = path.join(TEMP_DIR, 'history');
+process.env.FX_API_KEYS_FILE = path.join(TEMP_DIR, 'api-keys.json');
+process.env.FX_CACHE_API_KEY = 'test-cache-writes-key';
+process.env.RATE_LIMITS = JSON.stringify({ write: { capacity: 100, perMinute: 100 } });
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const axios = require('axios');
+const { etagMatches, createCacheStore } = require('./fx-cache-store');
+const app = require('./server');
+const { suite, check, finish } = require('./test-helpers');
+
+const cacheStore = app.locals.cacheStore;
+const API_KEY = process.env.FX_CACHE_API_KEY;
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const files = () => fs.readdirSync(BACKUP_DIR).sort();
+const liveBackup = () => JSON.parse(fs.readFileSync(path.join(BACKUP_DIR, 'fx-cache-backup.json'), 'utf-8'));
+
+// Every required series, with `close` as the first USD/JPY close
+const daily = (date, close) => ({ date, close });
+const intraday = (timestamp, close) => ({ timestamp, date: new Date(timestamp * 1000).toISOString(), close });
+const cacheData = (close) => ({
+  usdjpy1D: [daily('2024-07-10', close), daily('2024-07-11', close + 0.5)],
+  dxy1D: [daily('2024-07-10', 104.1), daily('2024-07-11', 104.3)],
+  usdjpy4H: [intraday(1720771200, close), intraday(1720785600, close + 0.1)],
+  dxy4H: [intraday(1720771200, 104.2), intraday(1720785600, 104.4)]
+});
+
+// A snapshot as a previous write would have left it
+const writeSnapshot = (timestamp, cache) => fs.writeFileSync(
+  path.join(BACKUP_DIR, `fx-cache-backup-${timestamp}.json`),
+  JSON.stringify(cache, null, 2)
+);
+
+let baseUrl;
+const request = (method, url, { data, headers = {} } = {}) => axios({
+  method,
+  url: `${baseUrl}${url}`,
+  data,
+  headers: { 'X-API-Key': API_KEY, ...headers },
+  validateStatus: () => true
+});
+const write = (data, ifMatch) => request('post', '/api/fx-cache', {
+  data: { lastUpdate: Date.now(), ...data },
+  headers: ifMatch ? { 'If-Match': ifMatch } : {}
+});
+const restore = (id, ifMatch) => request('post', `/api/fx-cache/backups/${id}/restore`, {
+  headers: ifMatch ? { 'If-Match': ifMatch } : {}
+});
+
+async function testStore() {
+  console.log('\n1️⃣ ETags');
+  check('exact match', etagMatches('"fx-3"', '"fx-3"') && !etagMatches('"fx-2"', '"fx-3"'));
+  check('one of several', etagMatches('"fx-1", "fx-3"', '"fx-3"'));
+  check('wildcard', etagMatches('*', '"fx-3"'));
+
+  console.log('\n2️⃣ Store versions');
+  let clock = 1000;
+  const store = createCacheStore({ initial: { lastUpdate: null }, now: () => clock });
+  check('starts at version 0', store.version() === 0 && store.etag() === '"fx-0"' && store.replacedAt() === null);
+  clock = 2000;
+  store.replace({ lastUpdate: 1 });
+  check('replace bumps the version', store.version() === 1 && store.current().version === 1 && store.replacedAt() === 2000);
+  store.replace({ lastUpdate: 2, version: 7 });
+  check('versions from backups are honoured', store.version() === 7 && store.etag() === '"fx-7"');
+  store.replace({ lastUpdate: 3, version: 2 });
+  check('the version never goes back', store.version() === 8);
+
+  console.log('\n3️⃣ Write lock');
+  const order = [];
+  const slow = store.withWriteLock(async () => {
+    order.push('slow:start');
+    await delay(30);
+    order.push('slow:end');
+  });
+  const failing = store.withWriteLock(async () => {
+    order.push('failing');
+    throw new Error('disk full');
+  });
+  const fast = store.withWriteLock(async () => {
+    order.push('fast');
+    return 'done';
+  });
+  const [, failed, fastResult] = await Promise.allSettled([slow, failing, fast]);
+  check('tasks run one at a time, in order', order.join() === 'slow:start,slow:end,failing,fast');
+  check('a failed task rejects its own caller', failed.status === 'rejected' && failed.reason.message === 'disk full');
+  check('a failed task does not block the queue', fastResult.value === 'done');
+
+  console.log('\n4️⃣ Conditional commits');
+  const stale = await store.commit(current => ({ ...current, lastUpdate: 4 }), { ifMatch: '"fx-1"' });
+  check('a stale If-Match is a conflict', stale.conflict === true && store.version() === 8);
+  const committed = await store.commit(current => ({ ...current, lastUpdate: 5 }), { ifMatch: store.etag() });
+  check('a matching If-Match commits', committed.version === 9 && store.current().lastUpdate === 5);
+  check('the live backup is written first', liveBackup().version === 9 && liveBackup().lastUpdate === 5);
+  check('no snapshot when there was no live backup', committed.snapshotPath === null);
+  const next = await store.commit(current => ({ ...current, lastUpdate: 6 }));
+  check('no If-Match commits unconditionally', next.version === 10 && path.basename(next.snapshotPath).startsWith('fx-cache-backup-'));
+  check('the previous live backup is snapshotted', JSON.parse(fs.readFileSync(next.snapshotPath, 'utf-8')).version === 9);
+  const [first, second] = await Promise.all([
+    store.commit(current => ({ ...current, lastUpdate: 7 }), { ifMatch: '"fx-10"' }),
+    store.commit(current => ({ ...current, lastUpdate: 8 }), { ifMatch: '"fx-10"' })
+  ]);
+  check('racing writers with the same ETag: only the first wins', first.version === 11 && second.conflict === true && store.current().lastUpdate === 7);
+  const parked = `${BACKUP_DIR}-parked`;
+  fs.renameSync(BACKUP_DIR, parked);
+  try {
+    const failedWrite = await store.commit(current => ({ ...current, lastUpdate: 9 }));
+    check('a failed disk write leaves the cache untouched', failedWrite.error && store.version() === 11 && store.current().lastUpdate === 7);
+  } finally {
+    fs.renameSync(parked, BACKUP_DIR);
+  }
+  files().forEach(file => fs.unlinkSync(path.join(BACKUP_DIR, file)));
+}
+
+async function testWrites() {
+  console.log('\n5️⃣ POST /api/fx-cache with If-Match');
+  // Injected cache: what a refresh would have left in memory
+  cacheStore.replace({ ...cacheStore.current(), ...cacheData(150), lastUpdate: Date.now(), dataReady: true });
+  const read = await request('get', '/api/fx-cache');
+  const etag = read.headers.etag;
+  check('reads carry the version ETag', read.status === 200 && etag === cacheStore.etag());
+
+  const written = await write(cacheData(151), etag);
+  check('a matching If-Match is 200', written.status === 200 && written.data.success === true);
+  check('the new ETag is returned', written.headers.etag === cacheStore.etag() && written.headers.etag !== etag);
+  check('the write is served', (await request('get', '/api/fx-cache')).data.data.usdjpy1D[0].close === 151);
+
+  const stale = await write(cacheData(152), etag);
+  check('a stale If-Match is 412', stale.status === 412 && stale.data.error === 'Precondition Failed');
+  check('412 names the current ETag', stale.headers.etag === cacheStore.etag() && stale.data.etag === cacheStore.etag());
+  check('a rejected write changes nothing', cacheStore.current().usdjpy1D[0].close === 151);
+
+  const current = cacheStore.etag();
+  const raced = await Promise.all([write(cacheData(153), current), write(cacheData(154), current)]);
+  check('racing writes with one ETag: one 200, one 412', raced.map(response => response.status).sort().join() === '200,412');
+  check('the winner is what is served', cacheStore.current().usdjpy1D[0].close === (raced[0].status === 200 ? 153 : 154));
+  check('a wildcard If-Match always matches', (await write(cacheData(155), '*')).status === 200);
+  check('no If-Match writes unconditionally', (await write(cacheData(156))).status === 200);
+  const snapshotVersions = files()
+    .filter(file => file !== 'fx-cache-backup.json')
+    .map(file => JSON.parse(fs.readFileSync(path.join(BACKUP_DIR, file), 'utf-8')).version);
+  check('writes snapshot the version they replace', snapshotVersions.includes(cacheStore.version() - 1));
+}
+
+async function testRestores() {
+  console.log('\n6️⃣ Restores');
+  const snapshot = Date.now() - 60000;
+  writeSnapshot(snapshot, { lastUpdate: snapshot, ...cacheData(140), providers: { usdjpy1D: 'yahoo-v8' }, version: 1 });
+  const invalid = snapshot - 1000;
+  writeSnapshot(invalid, { lastUpdate: invalid, usdjpy1D: [daily('2024-07-11', 140), daily('2024-07-10', 141)] });
+
+  check('unknown backups are 404', (await restore('1234')).status === 404 && (await restore('latest')).status === 404);
+  const rejected = await restore(invalid);
+  check('invalid backups are 400', rejected.status === 400 && rejected.data.errors[0].code === 'not_increasing');
+
+  const before = cacheStore.version();
+  const stale = await restore(snapshot, '"fx-1"');
+  check('a stale If-Match is 412', stale.status === 412 && stale.headers.etag === cacheStore.etag() && cacheStore.version() === before);
+
+  const restored = await restore(snapshot, cacheStore.etag());
+  check('a matching If-Match is 200', restored.status === 200 && restored.data.restored === `fx-cache-backup-${snapshot}.json`);
+  check('the restore gets a new version', restored.data.version === before + 1 && restored.headers.etag === `"fx-${before + 1}"`);
+  check('the backup is served', cacheStore.current().usdjpy1D[0].close === 140 && cacheStore.current().providers.usdjpy1D === 'yahoo-v8');
+  check('the live backup holds the restored data', liveBackup().usdjpy1D[0].close === 140 && liveBackup().version === before + 1);
+  const undo = restored.data.previousVersion;
+  check('the replaced version is kept as a snapshot', JSON.parse(fs.readFileSync(path.join(BACKUP_DIR, undo), 'utf-8')).version === before);
+  check('the restore can be undone', (await restore(undo)).status === 200 && cacheStore.current().usdjpy1D[0].close === 156);
+
+  const parked = `${BACKUP_DIR}-parked`;
+  fs.renameSync(BACKUP_DIR, parked);
+  const version = cacheStore.version();
+  try {
+    check('a missing backup dir is a 404, not a half restore', (await restore(snapshot)).status === 404 && cacheStore.version() === version);
+    fs.mkdirSync(BACKUP_DIR);
+    writeSnapshot(snapshot, JSON.parse(fs.readFileSync(path.join(parked, `fx-cache-backup-${snapshot}.json`), 'utf-8')));
+    fs.mkdirSync(path.join(BACKUP_DIR, 'fx-cache-backup.json'));
+    const failed = await restore(snapshot);
+    check('a failed disk write is 500 and keeps the cache', failed.status === 500 && cacheStore.version() === version && cacheStore.current().usdjpy1D[0].close === 156);
+  } finally {
+    fs.rmSync(BACKUP_DIR, { recursive: true, force: true });
+    fs.renameSync(parked, BACKUP_DIR);
+  }
+}
+
+const server = app.listen(0, '127.0.0.1');
+
+server.once('listening', async () => {
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  try {
+    suite('FX cache writes');
+    await testStore();
+    await testWrites();
+    await testRestores();
+  } catch (error) {
+    check(`unexpected error: ${error.message}`, false);
+  } finally {
+    server.close();
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+  }
+
+  finish();
+});
@@ -0,0 +1,112 @@
+/**
+ * Test script for candle extraction, the /api/yahoo row shapes and the shared row helpers
+ *
+ * Usage:
+ *   node test-candles.js
+ *
+ * Runs offline against Yahoo-shaped chart fixtures (no server needed)
+ */
+
+const { round, rowTime, rowKey, extractCandles, pickMeta, chartRows } = require('./candles');
+const { suite, check, finish } = require('./test-helpers');
+
+// Daily bars stamped at midnight London in summer (23:00 UTC the day before)
+const DAY = 24 * 60 * 60;
+const FIRST_BAR = Date.UTC(2024, 6, 9, 23) / 1000; // 2024-07-10 London
+const timestamps = [0, 1, 2, 3, 4].map(day => FIRST_BAR + day * DAY);
+const meta = {
+  symbol: 'EURUSD=X',
+  currency: 'USD',
+  exchangeTimezoneName: 'Europe/London',
+  regularMarketPrice: 1.0912,
+  dataGranularity: '1d',
+  validRanges: ['1d', '5d']
+};
+
+// Null OHLC fields the way Yahoo sends them: a placeholder row, and rows missing some fields
+const nullOhlcFixture = {
+  meta,
+  timestamp: timestamps,
+  indicators: {
+    quote: [{
+      open: [1.08, null, 1.09, null, 1.1],
+      high: [1.085, 1.088, null, null, 1.105],
+      low: [1.075, null, 1.085, null, null],
+      close: [1.082, 1.087, 1.088, null, 1.101],
+      volume: [0, null, 0, null, 0]
+    }]
+  }
+};
+
+// Only the adjusted close carries prices; the quote series are all null
+const adjcloseOnlyFixture = {
+  meta,
+  timestamp: timestamps.slice(0, 3),
+  indicators: {
+    quote: [{ open: [null, null, null], high: [null, null, null], low: [null, null, null], close: [null, null, null], volume: [null, null, null] }],
+    adjclose: [{ adjclose: [1.08, null, 1.09] }]
+  }
+};
+
+// Equity-style response: both close and adjclose, one close missing
+const adjcloseFixture = {
+  meta,
+  timestamp: timestamps.slice(0, 2),
+  indicators: {
+    quote: [{ open: [100, 101], high: [102, 103], low: [99, 100], close: [101, null], volume: [1000, 2000] }],
+    adjclose: [{ adjclose: [100.5, 102.5] }]
+  }
+};
+
+suite('candle extraction');
+
+console.log('\n1️⃣ Null OHLC fields');
+const nullOhlc = extractCandles(nullOhlcFixture);
+check('rows without any close are dropped and counted', nullOhlc.candles.length === 4 && nullOhlc.dropped === 1);
+check('complete rows are kept as sent', JSON.stringify(nullOhlc.candles[0]) === JSON.stringify({ timestamp: timestamps[0], open: 1.08, high: 1.085, low: 1.075, close: 1.082, volume: 0 }));
+const [, noOpen, noHigh, noLow] = nullOhlc.candles;
+check('missing open falls back to the close', noOpen.open === 1.087 && noOpen.low === 1.087 && noOpen.high === 1.088);
+check('missing high is the larger of open and close', noHigh.high === 1.09 && noHigh.low === 1.085);
+check('missing low is the smaller of open and close', noLow.low === 1.1 && noLow.high === 1.105);
+check('missing volume is null', noOpen.volume === null);
+check('no adjclose without an adjusted series', nullOhlc.candles.every(candle => !('adjclose' in candle)));
+
+console.log('\n2️⃣ Adjusted close');
+const adjcloseOnly = extractCandles(adjcloseOnlyFixture);
+check('an adjclose-only response still yields candles', adjcloseOnly.candles.length === 2 && adjcloseOnly.dropped === 1);
+check('null close falls back to adjclose', adjcloseOnly.candles.map(candle => candle.close).join() === '1.08,1.09');
+check('fallback candles are flat on the close', adjcloseOnly.candles.every(candle => candle.open === candle.close && candle.high === candle.close && candle.low === candle.close));
+const adjusted = extractCandles(adjcloseFixture);
+check('adjclose is carried on every candle', adjusted.candles.map(candle => candle.adjclose).join() === '100.5,102.5');
+check('a close is kept when both are sent', adjusted.candles[0].close === 101);
+check('a missing close takes the adjusted close', adjusted.candles[1].close === 102.5 && adjusted.dropped === 0);
+check('empty results have no candles', extractCandles({}).candles.length === 0 && extractCandles(null).dropped === 0);
+
+console.log('\n3️⃣ Meta');
+const picked = pickMeta(nullOhlcFixture);
+check('client fields are picked', picked.currency === 'USD' && picked.exchangeTimezoneName === 'Europe/London' && picked.regularMarketPrice === 1.0912);
+check('other fields are left out', !('validRanges' in picked));
+
+console.log('\n4️⃣ Response rows');
+const chart = { meta: picked, ...nullOhlc };
+const ohlcv = chartRows(chart, { interval: '1d', fields: 'ohlcv' });
+check('ohlcv returns every candle', ohlcv.length === 4);
+check('ohlcv rows are dated by trading date', ohlcv.map(row => row.date).join() === '2024-07-10,2024-07-11,2024-07-12,2024-07-14');
+check('ohlcv rows keep the full candle', JSON.stringify(Object.keys(ohlcv[0])) === JSON.stringify(['date', 'timestamp', 'open', 'high', 'low', 'close', 'volume']));
+const adjustedRows = chartRows({ meta: picked, ...adjusted }, { interval: '1d', fields: 'ohlcv' });
+check('ohlcv rows include adjclose when sent', adjustedRows.every(row => 'adjclose' in row));
+const closes = chartRows(chart, { interval: '1d' });
+check('close mode is the default', JSON.stringify(closes[0]) === JSON.stringify({ date: '2024-07-10', close: 1.082 }));
+const long = { meta: picked, candles: Array.from({ length: 20 }, (_, day) => ({ timestamp: FIRST_BAR + day * DAY, close: day })), dropped: 0 };
+check('close mode keeps the last 14 rows', chartRows(long, { interval: '1d' }).length === 14 && chartRows(long, { interval: '1d', fields: 'ohlcv' }).length === 20);
+const hourly = chartRows({ meta: picked, ...nullOhlc }, { interval: '1h', fields: 'ohlcv', timeZone: 'Europe/London' });
+check('intraday rows are dated in the requested zone', hourly[0].date === '2024-07-10T00:00:00.000+01:00');
+
+console.log('\n5️⃣ Row helpers');
+check('4H rows are timed by timestamp', rowTime({ timestamp: 1720771200, date: '2024-07-12T08:00:00.000Z' }) === 1720771200);
+check('1D rows are timed at UTC midnight', rowTime({ date: '2024-07-12' }) === Date.UTC(2024, 6, 12) / 1000);
+check('row keys', rowKey({ timestamp: 1720771200, date: 'x' }) === '1720771200' && rowKey({ date: '2024-07-12' }) === '2024-07-12');
+check('round', round(1.23456789) === 1.234568 && round(1.23456789, 2) === 1.23 && round(150.123456789012, 10) === 150.1234567890);
+check('round passes null and non-finite values as null', round(null) === null && round(NaN) === null && round(Infinity) === null);
+
+finish();
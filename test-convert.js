@@ -0,0 +1,78 @@
+/**
+ * Test script for currency conversion from cached rates
+ *
+ * Usage:
+ *   node test-convert.js
+ *
+ * Runs offline against a hand-built cache (no server needed)
+ */
+
+const { supportedCurrencies, parseConversionQuery, convertCurrency } = require('./fx-convert');
+const { suite, check, finish } = require('./test-helpers');
+
+const statusOf = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.status;
+  }
+};
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+const instruments = [
+  { id: 'usdjpy', base: 'USD', quote: 'JPY', timeframes: ['1D', '4H'] },
+  { id: 'eurusd', base: 'EUR', quote: 'USD', timeframes: ['1D', '4H'] },
+  { id: 'gbpusd', base: 'GBP', quote: 'USD', timeframes: ['1D'] },
+  { id: 'dxy', base: null, quote: null, timeframes: ['1D'] }
+];
+
+const cache = {
+  usdjpy1D: [{ date: '2026-01-14', close: 150 }, { date: '2026-01-15', close: 151 }],
+  usdjpy4H: [{ timestamp: Date.parse('2026-01-15T16:00:00Z') / 1000, date: '2026-01-15T16:00:00.000Z', close: 152 }],
+  eurusd1D: [{ date: '2026-01-13', close: 1.1 }, { date: '2026-01-15', close: 1.2 }],
+  eurusd4H: [],
+  gbpusd1D: [],
+  dxy1D: [{ date: '2026-01-15', close: 99 }]
+};
+
+const convert = (query) => convertCurrency(cache, query, { instruments });
+
+suite('currency conversion');
+
+console.log('\n1️⃣ Query parsing');
+const now = Date.parse('2026-01-20T12:00:00Z');
+const parsed = parseConversionQuery({ from: 'eur', to: ' jpy ', amount: '1000' }, { now });
+check('codes are upper-cased, amount parsed', parsed.from === 'EUR' && parsed.to === 'JPY' && parsed.amount === 1000 && parsed.at === null);
+check('amount defaults to 1', parseConversionQuery({ from: 'EUR', to: 'USD' }, { now }).amount === 1);
+check('bad codes are 400', statusOf(() => parseConversionQuery({ from: 'EURO', to: 'USD' }, { now })) === 400 && statusOf(() => parseConversionQuery({ from: 'EUR' }, { now })) === 400);
+check('bad amounts are 400', ['abc', '-5', '', '1,000', 'Infinity'].every(amount => statusOf(() => parseConversionQuery({ from: 'EUR', to: 'USD', amount }, { now })) === 400));
+check('bad dates are 400', statusOf(() => parseConversionQuery({ from: 'EUR', to: 'USD', at: '15/01/2026' }, { now })) === 400);
+check('future dates are 400', statusOf(() => parseConversionQuery({ from: 'EUR', to: 'USD', at: '2026-01-21' }, { now })) === 400);
+check('supported currencies come from pairs', supportedCurrencies(instruments).join() === 'EUR,GBP,JPY,USD');
+
+console.log('\n2️⃣ Latest rates');
+const direct = convert({ from: 'USD', to: 'JPY', amount: 2, at: null });
+check('direct uses the newest close (4H over 1D)', direct.method === 'direct' && direct.rate === 152 && direct.result === 304 && direct.legs[0].series === 'usdjpy4H');
+const inverse = convert({ from: 'JPY', to: 'USD', amount: 152, at: null });
+check('inverse', inverse.method === 'inverse' && inverse.legs[0].inverted && close(inverse.result, 1));
+const cross = convert({ from: 'EUR', to: 'JPY', amount: 1000, at: null });
+check('triangulated through USD', cross.method === 'triangulated' && cross.legs.map(leg => leg.pair).join() === 'EUR/USD,USD/JPY' && close(cross.rate, 1.2 * 152) && close(cross.result, 182400));
+check('legs report series and dates', cross.legs[0].series === 'eurusd1D' && cross.legs[0].date === '2026-01-15' && cross.legs[1].timestamp !== null);
+check('asOf is the date of the oldest leg', cross.asOf === '2026-01-15');
+check('asOf of a daily close is its trading date, not an instant', convert({ from: 'EUR', to: 'USD', amount: 1, at: null }).asOf === '2026-01-15');
+check('asOf of an intraday close is its date', direct.asOf === '2026-01-15' && direct.legs[0].timestamp === Date.parse('2026-01-15T16:00:00Z') / 1000);
+check('same currency is identity', convert({ from: 'EUR', to: 'EUR', amount: 5, at: null }).result === 5);
+
+console.log('\n3️⃣ Historical rates');
+const historical = convert({ from: 'EUR', to: 'JPY', amount: 1, at: '2026-01-14' });
+check('uses daily closes on or before at', historical.legs[0].date === '2026-01-13' && historical.legs[1].date === '2026-01-14' && close(historical.rate, 1.1 * 150));
+check('at is echoed', historical.at === '2026-01-14');
+check('no close that early is 404', statusOf(() => convert({ from: 'EUR', to: 'JPY', amount: 1, at: '2026-01-01' })) === 404);
+
+console.log('\n4️⃣ Missing rates');
+check('unknown currency is 404', statusOf(() => convert({ from: 'CHF', to: 'USD', amount: 1, at: null })) === 404);
+check('pair without data is 404', statusOf(() => convert({ from: 'GBP', to: 'JPY', amount: 1, at: null })) === 404);
+
+finish();
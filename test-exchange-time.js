@@ -0,0 +1,66 @@
+/**
+ * Test script for exchange trading dates and time zone rendering
+ *
+ * Usage:
+ *   node test-exchange-time.js
+ *
+ * Runs offline (no server needed)
+ */
+
+const { isValidTimeZone, tradingDate, tradingDateFromUtcDate, relabelDailyRows, formatTimestamp, parseTimeZone, resolveTimeZone } = require('./exchange-time');
+const { suite, check, finish } = require('./test-helpers');
+
+const seconds = (iso) => Date.parse(iso) / 1000;
+
+suite('exchange time');
+
+console.log('\n1️⃣ Trading dates');
+// Yahoo stamps FX daily bars at midnight London: 23:00 UTC the day before during BST
+const londonMidnight = seconds('2026-07-14T23:00:00Z');
+check('UTC date would be a day early', new Date(londonMidnight * 1000).toISOString().startsWith('2026-07-14'));
+check('exchange zone gives the trading date', tradingDate(londonMidnight, { exchangeTimezoneName: 'Europe/London' }) === '2026-07-15');
+check('gmtoffset is the fallback', tradingDate(londonMidnight, { exchangeTimezoneName: 'Nowhere/Else', gmtoffset: 3600 }) === '2026-07-15');
+check('no meta means UTC', tradingDate(londonMidnight) === '2026-07-14' && tradingDate(londonMidnight, { exchangeTimezoneName: 'UTC' }) === '2026-07-14');
+const nyEvening = seconds('2026-01-06T03:00:00Z');
+check('New York session stays on its own date', tradingDate(nyEvening, { exchangeTimezoneName: 'America/New_York', gmtoffset: -18000 }) === '2026-01-05');
+
+console.log('\n2️⃣ Re-labelling UTC dates');
+check('London summer bars move to the next day', tradingDateFromUtcDate('2026-07-14', 'Europe/London') === '2026-07-15');
+check('London winter bars keep their date', tradingDateFromUtcDate('2026-01-14', 'Europe/London') === '2026-01-14');
+check('zones behind UTC keep their date', tradingDateFromUtcDate('2026-07-14', 'America/New_York') === '2026-07-14');
+check('matches tradingDate for the same bar', tradingDateFromUtcDate(new Date(londonMidnight * 1000).toISOString().split('T')[0], 'Europe/London') === tradingDate(londonMidnight, { exchangeTimezoneName: 'Europe/London' }));
+check('other values pass through', tradingDateFromUtcDate('yesterday', 'Europe/London') === 'yesterday' && tradingDateFromUtcDate('2026-07-14', 'Mars/Olympus') === '2026-07-14');
+const relabelled = relabelDailyRows([
+  { date: '2026-03-27', close: 1 }, // Friday before the clocks change: GMT, unchanged
+  { date: '2026-03-29', close: 2 }, // Sunday UTC evening of the Monday bar (BST from 29 March)
+  { date: '2026-03-30', close: 3 }
+], 'Europe/London');
+check('rows are re-labelled across the DST switch', relabelled.map(row => `${row.date}=${row.close}`).join() === '2026-03-27=1,2026-03-30=2,2026-03-31=3');
+check('a duplicated date keeps the later row', relabelDailyRows([{ date: '2026-07-14', close: 1 }, { date: '2026-07-15', close: 2 }, { date: '2026-07-15', close: 3 }], 'UTC').map(row => row.close).join() === '1,3');
+
+console.log('\n3️⃣ Rendering');
+const instant = seconds('2026-10-13T16:00:00Z');
+check('no zone keeps UTC ISO', formatTimestamp(instant) === '2026-10-13T16:00:00.000Z');
+check('New York in summer time', formatTimestamp(instant, 'America/New_York') === '2026-10-13T12:00:00.000-04:00');
+check('Tokyo', formatTimestamp(instant, 'Asia/Tokyo') === '2026-10-14T01:00:00.000+09:00');
+check('half-hour offsets', formatTimestamp(instant, 'Asia/Kolkata') === '2026-10-13T21:30:00.000+05:30');
+check('UTC zone', formatTimestamp(instant, 'UTC') === '2026-10-13T16:00:00.000+00:00');
+check('midnight renders as 00', formatTimestamp(seconds('2026-10-13T04:00:00Z'), 'America/New_York') === '2026-10-13T00:00:00.000-04:00');
+check('rendered instant is unchanged', Date.parse(formatTimestamp(instant, 'Australia/Sydney')) === instant * 1000);
+
+console.log('\n4️⃣ tz parameter');
+check('IANA names accepted', parseTimeZone('Europe/London') === 'Europe/London' && isValidTimeZone('UTC'));
+check('exchange accepted', parseTimeZone('exchange') === 'exchange');
+check('missing means UTC', parseTimeZone(undefined) === null);
+let status = null;
+try {
+  parseTimeZone('Mars/Olympus');
+} catch (error) {
+  status = error.status;
+}
+check('unknown zone is 400', status === 400);
+check('exchange resolves from meta', resolveTimeZone('exchange', { exchangeTimezoneName: 'America/New_York' }) === 'America/New_York');
+check('exchange without a known zone is UTC', resolveTimeZone('exchange', {}) === 'UTC');
+check('explicit zones pass through', resolveTimeZone('Asia/Tokyo', { exchangeTimezoneName: 'America/New_York' }) === 'Asia/Tokyo' && resolveTimeZone(null) === null);
+
+finish();
@@ -0,0 +1,81 @@
+/**
+ * Test script for CSV / NDJSON export
+ *
+ * Usage:
+ *   node test-export.js
+ *
+ * Runs offline against a stub response stream (no server needed)
+ */
+
+const { Writable } = require('stream');
+const { COLUMNS, negotiateFormat, withIndicatorColumns, sendRows } = require('./export');
+const { suite, check, finish } = require('./test-helpers');
+
+// Minimal express-like request: only query and accepts() are used
+const request = (query, accept) => ({
+  query,
+  accepts: (types) => (accept ? types.find(type => accept.includes(type)) || false : types[0])
+});
+
+// Writable that records what was written plus the headers sendRows sets
+const response = () => {
+  const chunks = [];
+  const res = new Writable({
+    highWaterMark: 64,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      setImmediate(callback);
+    }
+  });
+  res.headers = {};
+  res.type = (value) => { res.headers['content-type'] = value; };
+  res.attachment = (value) => { res.headers['content-disposition'] = value; };
+  res.body = () => chunks.join('');
+  return res;
+};
+
+(async () => {
+  suite('CSV / NDJSON export');
+
+  console.log('\n1️⃣ Format negotiation');
+  check('defaults to json', negotiateFormat(request({})) === 'json');
+  check('Accept: text/csv selects csv', negotiateFormat(request({}, 'text/csv')) === 'csv');
+  check('Accept: application/x-ndjson selects ndjson', negotiateFormat(request({}, 'application/x-ndjson')) === 'ndjson');
+  check('?format= wins over Accept', negotiateFormat(request({ format: 'ndjson' }, 'text/csv')) === 'ndjson');
+  let error = null;
+  try {
+    negotiateFormat(request({ format: 'xml' }));
+  } catch (e) {
+    error = e;
+  }
+  check('unknown ?format= is a 400', error?.status === 400);
+
+  console.log('\n2️⃣ Indicator columns');
+  const rows = [{ date: '2024-01-02', close: 1 }, { date: '2024-01-03', close: 2 }];
+  const flattened = withIndicatorColumns(rows, {
+    'sma:2': { type: 'sma', values: [null, 1.5] },
+    'bbands:2:2': { type: 'bbands', values: [null, { upper: 2.5, middle: 1.5, lower: 0.5 }] }
+  });
+  check('one column per value', flattened.columns.join() === 'sma_2,bbands_2_2_upper,bbands_2_2_middle,bbands_2_2_lower');
+  check('warm-up rows stay null', flattened.rows[0].sma_2 === null && flattened.rows[0].bbands_2_2_lower === null);
+  check('bands are split', flattened.rows[1].bbands_2_2_upper === 2.5);
+
+  console.log('\n3️⃣ CSV');
+  const csv = response();
+  await sendRows(csv, { format: 'csv', columns: [...COLUMNS.daily, 'note'], rows: rows.map((row, i) => ({ ...row, note: i ? 'a,"b"' : null })), filename: 'usdjpy1D' });
+  const lines = csv.body().trim().split('\n');
+  check('stable header first', lines[0] === 'date,close,note');
+  check('null is an empty field', lines[1] === '2024-01-02,1,');
+  check('delimiters and quotes are escaped', lines[2] === '2024-01-03,2,"a,""b"""');
+  check('served as an attachment', csv.headers['content-disposition'] === 'usdjpy1D.csv' && csv.headers['content-type'].startsWith('text/csv'));
+
+  console.log('\n4️⃣ NDJSON streaming');
+  const many = Array.from({ length: 1200 }, (_, i) => ({ date: `row-${i}`, close: i }));
+  const ndjson = response();
+  await sendRows(ndjson, { format: 'ndjson', columns: COLUMNS.daily, rows: many });
+  const parsed = ndjson.body().trim().split('\n').map(line => JSON.parse(line));
+  check('one object per line, in order', parsed.length === 1200 && parsed[1199].close === 1199);
+  check('stream is ended', ndjson.writableEnded);
+
+  finish();
+})();
@@ -9,6 +9,8 @@
  * 2. Set your API key in .env file
  */
 
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
 
 const BASE_URL = 'http://localhost:3001';
@@ -120,8 +122,28 @@ async function testFxCacheEndpoints() {
     console.log('❌ Write failed:', error.response?.data || error.message);
   }
   
-  // Test 5: Write with invalid data (should fail validation)
-  console.log('\n\n❌ Test 5: Writing invalid data (should fail validation)');
+  // Test 5: Write with a stale If-Match version (should fail with 412)
+  console.log('\n\n🔀 Test 5: Writing with a stale If-Match (should fail)');
+  console.log('-'.repeat(60));
+  try {
+    const current = await axios.get(`${BASE_URL}/api/fx-cache`);
+    const staleETag = '"fx-0"';
+    console.log('Current ETag:', current.headers.etag);
+    await axios.post(`${BASE_URL}/api/fx-cache`, sampleFxCache, {
+      headers: { 'X-API-Key': API_KEY, 'If-Match': staleETag }
+    });
+    console.log('❌ CONCURRENCY ISSUE: Write with stale If-Match was accepted!');
+  } catch (error) {
+    if (error.response?.status === 412) {
+      console.log('✅ Correctly rejected: cache version changed');
+      console.log('Current version:', error.response.data.currentVersion);
+    } else {
+      console.log('❌ Unexpected error:', error.response?.data || error.message);
+    }
+  }
+  
+  // Test 6: Write with invalid data (should fail validation)
+  console.log('\n\n❌ Test 6: Writing invalid data (should fail validation)');
   console.log('-'.repeat(60));
   try {
     const invalidData = {
@@ -146,8 +168,51 @@ async function testFxCacheEndpoints() {
     }
   }
   
-  // Test 6: List backups
-  console.log('\n\n📋 Test 6: Listing backups');
+  // Test 6b: Row-level validation (string closes, bad dates, unsorted rows)
+  console.log('\n🔎 Test 6b: Writing malformed rows (should fail validation)');
+  try {
+    const malformedData = {
+      ...sampleFxCache,
+      usdjpy1D: [
+        { date: '2024-01-02', close: '145.67' },
+        { date: '2024-13-01', close: 145.23 },
+        { date: '2024-01-01', close: 146.12 }
+      ]
+    };
+    await axios.post(`${BASE_URL}/api/fx-cache`, malformedData, {
+      headers: { 'X-API-Key': API_KEY }
+    });
+    console.log('❌ VALIDATION ISSUE: Malformed rows were accepted!');
+  } catch (error) {
+    if (error.response?.status === 400 && Array.isArray(error.response.data.errors)) {
+      console.log('✅ Correctly rejected:', error.response.data.message);
+      error.response.data.errors.forEach(rowError => {
+        console.log(`  - ${rowError.series}[${rowError.index}] ${rowError.code}: ${rowError.message}`);
+      });
+    } else {
+      console.log('❌ Unexpected error:', error.response?.data || error.message);
+    }
+  }
+  
+  // Test 6c: lastUpdate must be an epoch-ms number that is not in the future
+  console.log('\n⏱️ Test 6c: Writing a bad lastUpdate (should fail validation)');
+  for (const lastUpdate of ['1700000000000', Date.now() + 24 * 60 * 60 * 1000]) {
+    try {
+      await axios.post(`${BASE_URL}/api/fx-cache`, { ...sampleFxCache, lastUpdate }, {
+        headers: { 'X-API-Key': API_KEY }
+      });
+      console.log(`❌ VALIDATION ISSUE: lastUpdate ${JSON.stringify(lastUpdate)} was accepted!`);
+    } catch (error) {
+      if (error.response?.status === 400) {
+        console.log(`✅ Correctly rejected ${JSON.stringify(lastUpdate)}:`, error.response.data.message);
+      } else {
+        console.log('❌ Unexpected error:', error.response?.data || error.message);
+      }
+    }
+  }
+  
+  // Test 7: List backups
+  console.log('\n\n📋 Test 7: Listing backups');
   console.log('-'.repeat(60));
   try {
     const backupsResponse = await axios.get(`${BASE_URL}/api/fx-cache/backups`, {
@@ -165,8 +230,87 @@ async function testFxCacheEndpoints() {
     console.log('❌ Failed to list backups:', error.response?.data || error.message);
   }
   
-  // Test 7: Read again to verify write
-  console.log('\n\n📖 Test 7: Reading again to verify write');
+  // Test 8: Inspect the newest backup and diff it against the live cache
+  console.log('\n\n🔍 Test 8: Inspecting and diffing the newest backup');
+  console.log('-'.repeat(60));
+  try {
+    const backupsResponse = await axios.get(`${BASE_URL}/api/fx-cache/backups`, {
+      headers: { 'X-API-Key': API_KEY }
+    });
+    const newest = backupsResponse.data.backups[0];
+    if (!newest) {
+      console.log('⚠️ No backups yet, skipping');
+    } else {
+      const backupResponse = await axios.get(`${BASE_URL}/api/fx-cache/backups/${newest.timestamp}`, {
+        headers: { 'X-API-Key': API_KEY }
+      });
+      console.log('✅ Backup read:', backupResponse.data.filename);
+      console.log('Data points:', backupResponse.data.dataPoints);
+      
+      const diffResponse = await axios.get(`${BASE_URL}/api/fx-cache/backups/diff`, {
+        params: { from: newest.timestamp, to: 'live' },
+        headers: { 'X-API-Key': API_KEY }
+      });
+      console.log('✅ Diff vs live cache:', diffResponse.data.summary);
+    }
+  } catch (error) {
+    console.log('❌ Backup inspection failed:', error.response?.data || error.message);
+  }
+  
+  // Test 8b: Restoring an invalid backup must be refused and leave the cache untouched
+  console.log('\n\n🧯 Test 8b: Restoring an invalid backup (should fail validation)');
+  console.log('-'.repeat(60));
+  const invalidBackupId = Date.now();
+  const invalidBackupPath = path.join(__dirname, `fx-cache-backup-${invalidBackupId}.json`);
+  let before;
+  try {
+    fs.writeFileSync(invalidBackupPath, JSON.stringify({
+      ...sampleFxCache,
+      usdjpy1D: [{ date: 'yesterday', close: -1 }],
+      dataReady: 'not-a-cache-field'
+    }));
+    before = await axios.get(`${BASE_URL}/api/fx-cache`);
+    await axios.post(`${BASE_URL}/api/fx-cache/backups/${invalidBackupId}/restore`, null, {
+      headers: { 'X-API-Key': API_KEY }
+    });
+    console.log('❌ VALIDATION ISSUE: Invalid backup was restored!');
+  } catch (error) {
+    if (error.response?.status === 400) {
+      const after = await axios.get(`${BASE_URL}/api/fx-cache`);
+      console.log('✅ Correctly rejected:', error.response.data.message);
+      console.log('Cache unchanged:', after.headers.etag === before.headers.etag ? '✅' : '❌');
+    } else {
+      console.log('❌ Unexpected error:', error.response?.data || error.message);
+    }
+  } finally {
+    fs.rmSync(invalidBackupPath, { force: true });
+  }
+  
+  // Test 8c: Restore with a stale If-Match (should fail with 412)
+  console.log('\n🔀 Test 8c: Restoring with a stale If-Match (should fail)');
+  try {
+    const backupsResponse = await axios.get(`${BASE_URL}/api/fx-cache/backups`, {
+      headers: { 'X-API-Key': API_KEY }
+    });
+    const newest = backupsResponse.data.backups[0];
+    if (!newest) {
+      console.log('⚠️ No backups yet, skipping');
+    } else {
+      await axios.post(`${BASE_URL}/api/fx-cache/backups/${newest.timestamp}/restore`, null, {
+        headers: { 'X-API-Key': API_KEY, 'If-Match': '"fx-0"' }
+      });
+      console.log('❌ CONCURRENCY ISSUE: Restore with stale If-Match was accepted!');
+    }
+  } catch (error) {
+    if (error.response?.status === 412) {
+      console.log('✅ Correctly rejected: cache version changed');
+    } else {
+      console.log('❌ Unexpected error:', error.response?.data || error.message);
+    }
+  }
+  
+  // Test 9: Read again to verify write
+  console.log('\n\n📖 Test 9: Reading again to verify write');
   console.log('-'.repeat(60));
   try {
     const verifyResponse = await axios.get(`${BASE_URL}/api/fx-cache`);
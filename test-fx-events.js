@@ -0,0 +1,54 @@
+/**
+ * Test script for the FX cache event bus
+ *
+ * Usage:
+ *   node test-fx-events.js
+ *
+ * Runs offline (no server needed)
+ */
+
+const { parseEventId, createEventBus } = require('./fx-events');
+const { suite, check, finish } = require('./test-helpers');
+
+const types = (events) => (events ? events.map(event => event.type).join() : null);
+
+suite('FX cache events');
+
+console.log('\n1️⃣ Event ids');
+const bus = createEventBus({ bootId: 'boot1', historySize: 3 });
+check('starts at sequence 0', bus.getLastEventId() === 'boot1-0');
+const first = bus.publish('write', { n: 1 });
+check('ids carry the boot id', first.id === 'boot1-1' && bus.getLastEventId() === 'boot1-1');
+check('ids parse back', parseEventId('boot1-12').bootId === 'boot1' && parseEventId('boot1-12').sequence === 12);
+check('malformed ids do not parse', ['12', 'boot1-', '-3', 'boot1-x', ''].every(id => parseEventId(id) === null) && parseEventId(undefined) === null);
+check('random boot ids differ', createEventBus().getLastEventId() !== createEventBus().getLastEventId());
+
+console.log('\n2️⃣ Replay');
+bus.publish('refresh', { n: 2 });
+bus.publish('restore', { n: 3 });
+check('events after an id', types(bus.eventsSince('boot1-1')) === 'refresh,restore');
+check('from sequence 0', types(bus.eventsSince('boot1-0')) === 'write,refresh,restore');
+check('up to date is empty', types(bus.eventsSince('boot1-3')) === '');
+
+console.log('\n3️⃣ Resync');
+bus.publish('refresh', { n: 4 });
+check('id fell out of history', bus.eventsSince('boot1-0') === null);
+check('oldest replayable id still works', types(bus.eventsSince('boot1-1')) === 'refresh,restore,refresh');
+check('id ahead of this run', bus.eventsSince('boot1-9') === null);
+// A restarted server counts from 1 again: an old id must not replay the new run's events
+const restarted = createEventBus({ bootId: 'boot2' });
+restarted.publish('backup-loaded', {});
+restarted.publish('refresh', {});
+check('id from a previous run', restarted.eventsSince('boot1-1') === null && restarted.eventsSince('boot1-0') === null);
+check('bare numeric ids', restarted.eventsSince('1') === null);
+
+console.log('\n4️⃣ Subscribers');
+const received = [];
+const unsubscribe = restarted.subscribe(event => received.push(event.id));
+restarted.publish('write', {});
+check('subscribers receive events', received.join() === 'boot2-3' && restarted.subscriberCount() === 1);
+unsubscribe();
+restarted.publish('write', {});
+check('unsubscribe stops delivery', received.length === 1 && restarted.subscriberCount() === 0);
+
+finish();
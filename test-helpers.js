@@ -0,0 +1,43 @@
+// =============================================================================
+// TEST HELPERS (shared by the offline test-*.js suites)
+// =============================================================================
+
+const counts = { passed: 0, failed: 0 };
+
+/**
+ * Print the suite banner
+ */
+const suite = (title) => {
+  console.log(`🧪 Testing ${title}\n`);
+  console.log('='.repeat(60));
+};
+
+/**
+ * Record one check; a failure sets a non-zero exit code but lets the suite carry on
+ */
+const check = (label, condition) => {
+  console.log(`  ${condition ? '✅' : '❌'} ${label}`);
+  if (condition) {
+    counts.passed++;
+  } else {
+    counts.failed++;
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Print the totals once every check has run
+ */
+const finish = () => {
+  const total = counts.passed + counts.failed;
+  console.log('\n' + '='.repeat(60));
+  console.log(process.exitCode
+    ? `💥 ${counts.failed} of ${total} checks failed`
+    : `🎉 All ${total} checks passed!`);
+};
+
+module.exports = {
+  suite,
+  check,
+  finish
+};
@@ -0,0 +1,109 @@
+/**
+ * Test script for the FX history store
+ *
+ * Usage:
+ *   node test-history.js
+ *
+ * Runs offline in a temporary directory (no server needed)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.FX_HISTORY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-history-'));
+const { HISTORY_DIR, appendHistory, readHistory, parseHistoryBound } = require('./fx-history');
+const { suite, check, finish } = require('./test-helpers');
+
+// A store from before daily rows were dated by trading day: EUR/USD bars labelled with
+// the UTC date, a day early while London is on summer time
+fs.writeFileSync(path.join(HISTORY_DIR, 'eurusd1D.ndjson'), [
+  { date: '2024-01-09', close: 1.09 },
+  { date: '2024-07-10', close: 1.08 },
+  { date: '2024-07-11', close: 1.09 }
+].map(row => `${JSON.stringify(row)}\n`).join(''));
+
+const lineCount = (key) => fs.readFileSync(path.join(HISTORY_DIR, `${key}.ndjson`), 'utf-8').split('\n').filter(Boolean).length;
+
+(async () => {
+  suite('FX history store');
+
+  try {
+    console.log('\n0️⃣ Daily dates migration');
+    const migrated = await readHistory('eurusd1D');
+    check('UTC-dated rows are re-labelled by trading date', migrated.map(row => `${row.date}=${row.close}`).join() === '2024-01-09=1.09,2024-07-11=1.08,2024-07-12=1.09');
+    check('the file is rewritten and marked', lineCount('eurusd1D') === 3 && fs.existsSync(path.join(HISTORY_DIR, '.daily-dates')));
+    await appendHistory({ eurusd1D: [{ date: '2024-07-12', close: 1.09 }] });
+    check('current rows then match the migrated ones', lineCount('eurusd1D') === 3);
+
+    console.log('\n1️⃣ Append and dedupe');
+    const first = await appendHistory({
+      usdjpy1D: [{ date: '2024-01-02', close: 141 }, { date: '2024-01-03', close: 143 }]
+    });
+    check('new rows are appended', first.usdjpy1D === 2 && lineCount('usdjpy1D') === 2);
+
+    const second = await appendHistory({
+      usdjpy1D: [{ date: '2024-01-03', close: 143 }, { date: '2024-01-04', close: 144 }]
+    });
+    check('identical rows are skipped', second.usdjpy1D === 1 && lineCount('usdjpy1D') === 3);
+
+    const third = await appendHistory({ usdjpy1D: [{ date: '2024-01-04', close: 144.5 }] });
+    check('changed rows are appended again', third.usdjpy1D === 1 && lineCount('usdjpy1D') === 4);
+
+    const rows = await readHistory('usdjpy1D');
+    check('latest version of a row wins', rows.length === 3 && rows[2].close === 144.5);
+    check('rows come back in time order', rows.map(row => row.date).join() === '2024-01-02,2024-01-03,2024-01-04');
+
+    console.log('\n2️⃣ Range filtering');
+    const hour = (h) => Date.UTC(2024, 0, 2, h) / 1000;
+    await appendHistory({
+      usdjpy4H: [0, 4, 8].map(h => ({ timestamp: hour(h), date: new Date(hour(h) * 1000).toISOString(), close: 140 + h }))
+    });
+    const ranged = await readHistory('usdjpy4H', { from: parseHistoryBound('2024-01-02T04:00:00Z'), to: parseHistoryBound(String(hour(8))) });
+    check('from/to are inclusive', ranged.length === 2 && ranged[0].close === 144);
+    check('a bare `to` date covers the whole day', parseHistoryBound('2024-01-02', { endOfDay: true }) === hour(24) - 1);
+    check('unparseable bounds are null', parseHistoryBound('yesterday') === null);
+
+    console.log('\n3️⃣ Torn lines');
+    fs.appendFileSync(path.join(HISTORY_DIR, 'dxy1D.ndjson'), '{"date":"2024-01-02","close":102}\n{"date":"2024-01-0');
+    const dxy = await readHistory('dxy1D');
+    check('a partial last line is skipped', dxy.length === 1 && dxy[0].close === 102);
+    await appendHistory({ dxy1D: [{ date: '2024-01-03', close: 103 }] });
+    check('the next append starts on a clean line', lineCount('dxy1D') === 2 && (await readHistory('dxy1D')).length === 2);
+
+    console.log('\n4️⃣ Compaction on append');
+    // A forming bar re-appended every refresh, without the file ever being loaded again
+    for (let i = 1; i < 99; i++) {
+      await appendHistory({ gbpusd1D: [{ date: '2024-01-02', close: 1.27 }, { date: '2024-01-03', close: 1.27 + i / 10000 }] });
+    }
+    check('below the threshold lines pile up', lineCount('gbpusd1D') === 99);
+    await appendHistory({ gbpusd1D: [{ date: '2024-01-03', close: 1.28 }] });
+    check('crossing it compacts the file', lineCount('gbpusd1D') === 2);
+    const gbp = await readHistory('gbpusd1D');
+    check('compaction keeps the latest rows', gbp.length === 2 && gbp[1].close === 1.28);
+    await appendHistory({ gbpusd1D: [{ date: '2024-01-04', close: 1.29 }] });
+    check('appends continue after compaction', lineCount('gbpusd1D') === 3 && (await readHistory('gbpusd1D')).length === 3);
+
+    console.log('\n5️⃣ Failed writes');
+    const { appendFile } = fs.promises;
+    fs.promises.appendFile = async () => {
+      throw Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+    };
+    let writeError = null;
+    try {
+      await appendHistory({ us10y1D: [{ date: '2024-01-02', close: 4.2 }] });
+    } catch (error) {
+      writeError = error;
+    } finally {
+      fs.promises.appendFile = appendFile;
+    }
+    check('the append fails', writeError && writeError.code === 'ENOSPC');
+    const retried = await appendHistory({ us10y1D: [{ date: '2024-01-02', close: 4.2 }] });
+    check('the next append still writes the rows', retried.us10y1D === 1 && lineCount('us10y1D') === 1);
+    check('and they can be read back', (await readHistory('us10y1D'))[0]?.close === 4.2);
+  } finally {
+    fs.rmSync(HISTORY_DIR, { recursive: true, force: true });
+  }
+
+  finish();
+})();
@@ -0,0 +1,87 @@
+/**
+ * Test script for the HTTP caching helpers
+ *
+ * Usage:
+ *   node test-http-cache.js
+ *
+ * Starts a local express app on a random port that serves a versioned resource
+ * through sendNotModifiedIfFresh (no network access or running proxy server needed)
+ */
+
+const express = require('express');
+const axios = require('axios');
+const { secondsUntil, sendNotModifiedIfFresh } = require('./http-cache');
+const { suite, check, finish } = require('./test-helpers');
+
+// Stands in for the FX cache: replacing it bumps the version and the replace time
+const resource = { version: 1, replacedAt: Date.parse('2026-01-15T12:00:00Z'), maxAge: 600 };
+
+const app = express();
+app.get('/data', (req, res) => {
+  if (sendNotModifiedIfFresh(req, res, { etag: `"fx-${resource.version}"`, lastModified: resource.replacedAt, maxAge: resource.maxAge })) {
+    return;
+  }
+  res.json({ version: resource.version });
+});
+app.get('/status', (req, res) => {
+  if (sendNotModifiedIfFresh(req, res, { etag: `W/"status-${resource.version}"` })) {
+    return;
+  }
+  res.json({ version: resource.version });
+});
+
+const get = (path, headers = {}) => axios.get(`${baseUrl}${path}`, { headers, validateStatus: () => true });
+let baseUrl;
+
+const server = app.listen(0, '127.0.0.1');
+
+server.once('listening', async () => {
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  try {
+    suite('HTTP caching');
+
+    console.log('\n1️⃣ Headers');
+    const first = await get('/data');
+    check('200 with the body', first.status === 200 && first.data.version === 1);
+    check('ETag', first.headers.etag === '"fx-1"');
+    check('Last-Modified is the replace time', first.headers['last-modified'] === 'Thu, 15 Jan 2026 12:00:00 GMT');
+    check('fresh until max-age, then revalidated', first.headers['cache-control'] === 'public, max-age=600, must-revalidate');
+    const status = await get('/status');
+    check('no Last-Modified without a time', status.headers['last-modified'] === undefined && status.headers.etag === 'W/"status-1"');
+    check('no max-age means no-cache', status.headers['cache-control'] === 'no-cache');
+    resource.maxAge = 0;
+    check('max-age 0 at the refresh time', (await get('/data')).headers['cache-control'] === 'public, max-age=0, must-revalidate');
+    resource.maxAge = 600;
+    check('secondsUntil rounds down and never goes negative', secondsUntil(10999, 1000) === 9 && secondsUntil(1000, 5000) === 0);
+
+    console.log('\n2️⃣ If-None-Match');
+    const notModified = await get('/data', { 'If-None-Match': '"fx-1"' });
+    check('matching ETag is 304', notModified.status === 304 && notModified.data === '');
+    check('304 keeps the validators', notModified.headers.etag === '"fx-1"' && notModified.headers['cache-control'] === 'public, max-age=600, must-revalidate');
+    check('one of several ETags', (await get('/data', { 'If-None-Match': '"fx-0", "fx-1"' })).status === 304);
+    check('stale ETag is 200', (await get('/data', { 'If-None-Match': '"fx-0"' })).status === 200);
+    check('weak ETags compare weakly', (await get('/status', { 'If-None-Match': 'W/"status-1"' })).status === 304);
+
+    console.log('\n3️⃣ If-Modified-Since');
+    check('not modified since', (await get('/data', { 'If-Modified-Since': 'Thu, 15 Jan 2026 12:00:00 GMT' })).status === 304);
+    check('modified since', (await get('/data', { 'If-Modified-Since': 'Thu, 15 Jan 2026 11:59:59 GMT' })).status === 200);
+    check('If-None-Match wins over If-Modified-Since', (await get('/data', {
+      'If-None-Match': '"fx-0"',
+      'If-Modified-Since': 'Thu, 15 Jan 2026 12:00:00 GMT'
+    })).status === 200);
+
+    console.log('\n4️⃣ After a replace');
+    resource.version = 2;
+    resource.replacedAt += 60000;
+    const replaced = await get('/data', { 'If-None-Match': '"fx-1"' });
+    check('old ETag gets the new body', replaced.status === 200 && replaced.data.version === 2 && replaced.headers.etag === '"fx-2"');
+    check('old date gets the new body', (await get('/data', { 'If-Modified-Since': 'Thu, 15 Jan 2026 12:00:00 GMT' })).status === 200);
+    check('status ETag follows', (await get('/status', { 'If-None-Match': 'W/"status-1"' })).status === 200);
+  } catch (error) {
+    check(`unexpected error: ${error.message}`, false);
+  } finally {
+    server.close();
+  }
+
+  finish();
+});
@@ -0,0 +1,62 @@
+/**
+ * Test script for technical indicators
+ *
+ * Usage:
+ *   node test-indicators.js
+ *
+ * Runs offline against synthetic candles (no server needed)
+ */
+
+const { parseIndicators, computeIndicators } = require('./indicators');
+const { suite, check, finish } = require('./test-helpers');
+
+const close = (a, b, tolerance = 1e-4) => a !== null && Math.abs(a - b) <= tolerance;
+
+const throws = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+const closes = [10, 11, 12, 11, 13, 14, 13, 15];
+const rows = closes.map(value => ({ close: value, high: value + 1, low: value - 1 }));
+
+suite('technical indicators');
+
+console.log('\n1️⃣ Parsing');
+const specs = parseIndicators('sma:3,ema:3,rsi:3,bbands:3:2,atr:3');
+check('five indicators parsed', specs.length === 5);
+check('bbands multiplier defaults to 2', parseIndicators('bbands:20')[0].id === 'bbands:20:2');
+check('duplicates collapse', parseIndicators('bbands:20,bbands:20:2').length === 1);
+check('blank query means no indicators', parseIndicators(undefined).length === 0 && parseIndicators('').length === 0);
+check('unknown indicator is a 400', throws(() => parseIndicators('macd:12'))?.status === 400);
+check('bad period is a 400', throws(() => parseIndicators('sma:0'))?.status === 400);
+check('extra parameters are a 400', throws(() => parseIndicators('sma:20:2'))?.status === 400);
+
+console.log('\n2️⃣ Values and warm-up');
+const result = computeIndicators(rows, specs);
+const sma = result['sma:3'];
+check('series aligned with rows', Object.values(result).every(indicator => indicator.values.length === rows.length));
+check('sma warms up after period - 1 rows', sma.warmup === 2 && sma.values[1] === null);
+check('sma is the window mean', close(sma.values[2], 11) && close(sma.values[7], (14 + 13 + 15) / 3));
+check('ema is seeded with the sma', close(result['ema:3'].values[2], 11));
+check('ema smooths with k = 2 / (period + 1)', close(result['ema:3'].values[3], 11 * 0.5 + 11 * 0.5));
+check('rsi needs period price changes', result['rsi:3'].warmup === 3);
+check('rsi of gains 1,1 and loss 1 is 66.67', close(result['rsi:3'].values[3], 100 - 100 / 3, 1e-3));
+const band = result['bbands:3:2'].values[2];
+check('bbands are symmetric around the sma', close(band.middle, 11) && close(band.upper - band.middle, band.middle - band.lower));
+check('bbands width uses population stdev', close(band.upper - band.middle, 2 * Math.sqrt(2 / 3)));
+check('atr warms up after period true ranges', result['atr:3'].warmup === 3);
+check('atr averages true ranges', close(result['atr:3'].values[3], 2));
+
+console.log('\n3️⃣ Output window');
+const tail = computeIndicators(rows, parseIndicators('sma:3'), { outputLength: 4 })['sma:3'];
+check('only the last rows are returned', tail.values.length === 4 && tail.warmup === 0);
+check('tail values keep the full warm-up history', close(tail.values[0], sma.values[4]));
+const closeOnly = computeIndicators(closes.map(value => ({ close: value })), parseIndicators('atr:2'))['atr:2'];
+check('atr falls back to close-to-close range without high/low', close(closeOnly.values[2], 1));
+
+finish();
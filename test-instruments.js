@@ -0,0 +1,96 @@
+/**
+ * Test script for the FX instrument registry
+ *
+ * Usage:
+ *   node test-instruments.js
+ *
+ * Runs offline (no server needed)
+ */
+
+const { suite, check, finish } = require('./test-helpers');
+
+/**
+ * Load fx-instruments.js afresh with the given FX_INSTRUMENTS value (the registry is built on require)
+ */
+const loadRegistry = (instruments) => {
+  const previous = process.env.FX_INSTRUMENTS;
+  process.env.FX_INSTRUMENTS = JSON.stringify(instruments);
+  delete require.cache[require.resolve('./fx-instruments')];
+  try {
+    return require('./fx-instruments');
+  } finally {
+    if (previous === undefined) {
+      delete process.env.FX_INSTRUMENTS;
+    } else {
+      process.env.FX_INSTRUMENTS = previous;
+    }
+    delete require.cache[require.resolve('./fx-instruments')];
+  }
+};
+
+const { TIMEFRAMES, INSTRUMENTS, SERIES, normalizeInstruments } = require('./fx-instruments');
+
+/**
+ * True when normalizeInstruments throws for `config` with a message containing `fragment`
+ */
+const rejects = (config, fragment) => {
+  try {
+    normalizeInstruments(config);
+    return false;
+  } catch (error) {
+    return error.message.includes(fragment);
+  }
+};
+
+suite('FX instrument registry');
+
+console.log('\n1️⃣ Normalization');
+const [minimal] = normalizeInstruments([{ id: 'spx', symbol: '^GSPC' }]);
+check('a bare array is accepted', minimal.id === 'spx' && minimal.symbol === '^GSPC');
+check('name defaults to the symbol', minimal.name === '^GSPC');
+check('every timeframe by default', minimal.timeframes.join() === Object.keys(TIMEFRAMES).join());
+check('required unless turned off', minimal.required === true && normalizeInstruments([{ id: 'spx', symbol: '^GSPC', required: false }])[0].required === false);
+check('fx calendar and London time by default', minimal.calendar === 'fx' && minimal.timezone === 'Europe/London');
+check('exchange calendar defaults to New York time', normalizeInstruments({ instruments: [{ id: 'spx', symbol: '^GSPC', calendar: 'exchange' }] })[0].timezone === 'America/New_York');
+
+console.log('\n2️⃣ Invalid config');
+check('empty config', rejects({ instruments: [] }, 'non-empty "instruments" array') && rejects({}, 'non-empty'));
+check('duplicate ids', rejects([{ id: 'spx', symbol: '^GSPC' }, { id: 'spx', symbol: 'ES=F' }], 'Instrument "spx" is declared twice'));
+check('ids must be lowercase alphanumeric', rejects([{ id: 'S&P', symbol: '^GSPC' }], 'Instrument #0: "id" must be lowercase alphanumeric'));
+check('missing symbol', rejects([{ id: 'spx' }], 'Instrument "spx": "symbol" is required'));
+check('empty symbol', rejects([{ id: 'spx', symbol: '' }], '"symbol" is required'));
+check('unknown timeframe', rejects([{ id: 'spx', symbol: '^GSPC', timeframes: ['1D', '15m'] }], 'unknown timeframe "15m"'));
+check('unknown calendar', rejects([{ id: 'spx', symbol: '^GSPC', calendar: 'crypto' }], 'unknown calendar "crypto"'));
+check('unknown timezone', rejects([{ id: 'spx', symbol: '^GSPC', timezone: 'Mars/Olympus' }], 'unknown timezone "Mars/Olympus"'));
+check('aliases must be strings', rejects([{ id: 'spx', symbol: '^GSPC', aliases: ['SPX', ''] }], '"aliases" must be a list of strings'));
+check('pairs need two different currencies', rejects([{ id: 'eurusd', symbol: 'EURUSD=X', base: 'EUR', quote: 'EUR' }], '"base" and "quote"'));
+
+console.log('\n3️⃣ Series');
+check('one series per instrument and timeframe', SERIES.length === INSTRUMENTS.reduce((sum, instrument) => sum + instrument.timeframes.length, 0));
+check('keys are unique', new Set(SERIES.map(series => series.key)).size === SERIES.length);
+const usdjpy1D = SERIES.find(series => series.key === 'usdjpy1D');
+check('series carry the expected keys', usdjpy1D && [
+  'key', 'instrumentId', 'symbol', 'name', 'timeframe', 'required', 'timezone', 'interval', 'range', 'points'
+].every(field => field in usdjpy1D));
+check('series take the timeframe settings', usdjpy1D.interval === TIMEFRAMES['1D'].interval && usdjpy1D.range === TIMEFRAMES['1D'].range && usdjpy1D.points === TIMEFRAMES['1D'].points);
+check('series take the instrument settings', usdjpy1D.instrumentId === 'usdjpy' && usdjpy1D.symbol === 'JPY=X' && usdjpy1D.timeframe === '1D');
+
+console.log('\n4️⃣ FX_INSTRUMENTS override');
+const overridden = loadRegistry({ instruments: [
+  { id: 'spx', symbol: '^GSPC', calendar: 'exchange', timeframes: ['1D'] },
+  { id: 'eurgbp', symbol: 'EURGBP=X', base: 'EUR', quote: 'GBP', required: false }
+] });
+check('the env config replaces the file', overridden.INSTRUMENTS.map(instrument => instrument.id).join() === 'spx,eurgbp');
+check('series follow the env config', overridden.SERIES_KEYS.join() === 'spx1D,eurgbp1D,eurgbp4H');
+check('required series follow the env config', overridden.REQUIRED_SERIES_KEYS.join() === 'spx1D');
+check('getSeries looks up the env series', overridden.getSeries('spx1D')?.timezone === 'America/New_York' && overridden.getSeries('usdjpy1D') === null);
+let invalidEnv = null;
+try {
+  loadRegistry([{ id: 'spx', symbol: '^GSPC' }, { id: 'spx', symbol: 'ES=F' }]);
+} catch (error) {
+  invalidEnv = error.message;
+}
+check('invalid env config fails at load', invalidEnv === 'Instrument "spx" is declared twice');
+check('the file config is back afterwards', require('./fx-instruments').SERIES_KEYS.includes('usdjpy1D'));
+
+finish();
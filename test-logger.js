@@ -0,0 +1,62 @@
+/**
+ * Test script for the structured logger
+ *
+ * Usage:
+ *   node test-logger.js
+ *
+ * Runs offline (no server needed)
+ */
+
+const { createLogger, runWithLogContext, getLogContext } = require('./logger');
+const { suite, check, finish } = require('./test-helpers');
+
+const capture = (options) => {
+  const lines = [];
+  const log = createLogger('TEST', { ...options, write: (line, level) => lines.push({ line, level }) });
+  return { log, lines };
+};
+
+(async () => {
+  suite('structured logger');
+
+  console.log('\n1️⃣ JSON output');
+  const json = capture({ format: 'json', level: 'info' });
+  json.log.info('Serving cache', { version: 3 });
+  const entry = JSON.parse(json.lines[0].line);
+  check('one JSON object per line', entry.msg === 'Serving cache' && entry.version === 3);
+  check('level, component and time', entry.level === 'info' && entry.component === 'TEST' && !isNaN(Date.parse(entry.time)));
+  json.log.error('Upstream failed', { error: Object.assign(new Error('timeout'), { code: 'ECONNABORTED', status: 504 }) });
+  const error = JSON.parse(json.lines[1].line).error;
+  check('errors keep message, status and code', error.message === 'timeout' && error.status === 504 && error.code === 'ECONNABORTED');
+
+  console.log('\n2️⃣ Levels');
+  const quiet = capture({ format: 'json', level: 'warn' });
+  quiet.log.debug('hidden');
+  quiet.log.info('hidden');
+  quiet.log.warn('shown');
+  quiet.log.error('shown');
+  check('lines below the level are dropped', quiet.lines.length === 2 && quiet.lines.every(({ line }) => line.includes('shown')));
+  check('level is passed to the writer', quiet.lines.map(({ level }) => level).join() === 'warn,error');
+
+  console.log('\n3️⃣ Context');
+  const ctx = capture({ format: 'json', level: 'debug' });
+  await runWithLogContext({ requestId: 'req-1' }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    ctx.log.info('after await');
+    await runWithLogContext({ refreshId: 'run-1' }, async () => {
+      ctx.log.info('nested');
+    });
+  });
+  ctx.log.info('outside');
+  const [afterAwait, nested, outside] = ctx.lines.map(({ line }) => JSON.parse(line));
+  check('requestId survives async hops', afterAwait.requestId === 'req-1');
+  check('nested context keeps outer fields', nested.requestId === 'req-1' && nested.refreshId === 'run-1');
+  check('no context outside a run', outside.requestId === undefined && Object.keys(getLogContext()).length === 0);
+
+  console.log('\n4️⃣ Pretty output');
+  const pretty = capture({ format: 'pretty', level: 'info' });
+  runWithLogContext({ requestId: 'req-2' }, () => pretty.log.warn('Circuit open', { upstream: 'yahoo', failures: 5 }));
+  check('readable line with fields', /^\d{2}:\d{2}:\d{2}\.\d{3} WARN  \[TEST\] Circuit open requestId=req-2 upstream=yahoo failures=5$/.test(pretty.lines[0].line));
+
+  finish();
+})();
@@ -126,6 +126,23 @@ async function testMemoryCache() {
     console.log('⚠️ Performance test failed (non-critical)');
   }
   
+  // Test 5: Proxy response cache (second identical request should not hit Yahoo)
+  console.log('\n\n🗄️ Test 5: Proxy response cache');
+  console.log('-'.repeat(60));
+  try {
+    const first = await axios.get(`${BASE_URL}/api/yahoo/JPY=X`);
+    const second = await axios.get(`${BASE_URL}/api/yahoo/JPY=X`);
+    console.log('  First request:', first.headers['x-cache']);
+    console.log('  Second request:', second.headers['x-cache'], second.headers['x-cache'] !== 'MISS' ? '✅' : '❌');
+    
+    const statusResponse = await axios.get(`${BASE_URL}/api/fx-cache/status`);
+    const { proxyCache } = statusResponse.data;
+    console.log('  Cache entries:', proxyCache.entries);
+    console.log('  Hits / misses:', proxyCache.hits, '/', proxyCache.misses);
+  } catch (error) {
+    console.log('⚠️ Proxy cache test failed (non-critical):', error.message);
+  }
+  
   console.log('\n' + '='.repeat(60));
   console.log('🎉 All tests completed!\n');
   
@@ -0,0 +1,70 @@
+/**
+ * Test script for the Prometheus metrics registry
+ *
+ * Usage:
+ *   node test-metrics.js
+ *
+ * Runs offline (no server needed); the upstream check points the CSV provider at a closed local port
+ */
+
+process.env.CSV_PROVIDER_URL = 'http://127.0.0.1:9/{symbol}?i={interval}';
+
+const { createMetricsRegistry, registry } = require('./metrics');
+const { getProvider } = require('./market-data');
+const { suite, check, finish } = require('./test-helpers');
+
+(async () => {
+  suite('Prometheus metrics');
+
+  console.log('\n1️⃣ Counters');
+  const metrics = createMetricsRegistry();
+  const requests = metrics.counter('requests_total', 'Requests', ['route', 'status']);
+  requests.inc({ route: '/a', status: 200 });
+  requests.inc({ route: '/a', status: 200 });
+  requests.inc({ route: '/b', status: 404 }, 3);
+  let text = await metrics.render();
+  check('HELP and TYPE lines', text.includes('# HELP requests_total Requests\n# TYPE requests_total counter'));
+  check('counts per label set', text.includes('requests_total{route="/a",status="200"} 2') && text.includes('requests_total{route="/b",status="404"} 3'));
+  check('duplicate names are rejected', (() => {
+    try {
+      metrics.counter('requests_total', 'Again');
+      return false;
+    } catch (error) {
+      return true;
+    }
+  })());
+
+  console.log('\n2️⃣ Histograms');
+  const latency = metrics.histogram('latency_seconds', 'Latency', ['route'], [0.1, 1]);
+  latency.observe({ route: '/a' }, 0.05);
+  latency.observe({ route: '/a' }, 0.5);
+  latency.observe({ route: '/a' }, 3);
+  text = await metrics.render();
+  check('buckets are cumulative', text.includes('latency_seconds_bucket{route="/a",le="0.1"} 1') && text.includes('latency_seconds_bucket{route="/a",le="1"} 2'));
+  check('+Inf bucket equals count', text.includes('latency_seconds_bucket{route="/a",le="+Inf"} 3') && text.includes('latency_seconds_count{route="/a"} 3'));
+  check('sum of observations', text.includes('latency_seconds_sum{route="/a"} 3.55'));
+
+  console.log('\n3️⃣ Gauges');
+  metrics.gauge('points', 'Points per series', async () => [{ labels: { series: 'usdjpy1D' }, value: 10 }]);
+  metrics.gauge('age_seconds', 'Age', () => 42);
+  metrics.gauge('broken', 'Always fails', () => { throw new Error('boom'); });
+  metrics.counter('quoted_total', 'Quoted', ['path']).inc({ path: 'a"b\\c' });
+  text = await metrics.render();
+  check('labelled samples from async collectors', text.includes('points{series="usdjpy1D"} 10'));
+  check('plain number collectors', text.includes('age_seconds 42'));
+  check('failing collector is skipped', !text.includes('broken') && text.includes('points'));
+  check('label values are escaped', text.includes('quoted_total{path="a\\"b\\\\c"} 1'));
+  check('output ends with a newline', text.endsWith('\n'));
+
+  console.log('\n4️⃣ Upstream calls');
+  try {
+    await getProvider('csv').fetchChart({ symbol: 'EURUSD=X', interval: '1d', range: '1mo' });
+  } catch (error) {
+    // Connection refused, recorded as status 0
+  }
+  text = await registry.render();
+  check('call counted with status 0', text.includes('upstream_requests_total{upstream="csv",provider="csv",status="0"} 1'));
+  check('latency observed', text.includes('upstream_request_duration_seconds_count{upstream="csv",provider="csv"} 1'));
+
+  finish();
+})();
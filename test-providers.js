@@ -0,0 +1,151 @@
+/**
+ * Test script for the market data provider layer
+ *
+ * Usage:
+ *   node test-providers.js
+ *
+ * Starts a local stub HTTP server that imitates Yahoo v8/v7 and a Stooq-style
+ * CSV endpoint, then exercises every provider and the fallback chain against it.
+ * No network access or running proxy server needed.
+ */
+
+const http = require('http');
+const { createYahooProvider } = require('./provider-yahoo');
+const { createCsvProvider } = require('./provider-csv');
+const { createProviderChain } = require('./market-data');
+const { suite, check, finish } = require('./test-helpers');
+
+const DAY = 24 * 60 * 60;
+const now = Math.floor(Date.now() / 1000 / DAY) * DAY;
+
+// Which stub routes should fail, toggled per test
+const failing = new Set();
+
+const yahooChart = (symbol) => ({
+  chart: {
+    result: [{
+      meta: { symbol, currency: 'JPY', exchangeTimezoneName: 'Europe/London', regularMarketPrice: 150.5 },
+      timestamp: [now - 2 * DAY, now - DAY, now],
+      indicators: {
+        quote: [{
+          open: [149, 150, 150.2],
+          high: [150.5, 151, 150.9],
+          low: [148.5, 149.5, 150],
+          close: [150, null, 150.5],
+          volume: [0, 0, 0]
+        }]
+      }
+    }]
+  }
+});
+
+// Only the adjusted close has prices (seen for some funds and indices)
+const adjcloseOnlyChart = (symbol) => ({
+  chart: {
+    result: [{
+      meta: { symbol, currency: 'USD', exchangeTimezoneName: 'America/New_York' },
+      timestamp: [now - DAY, now],
+      indicators: {
+        quote: [{ open: [null, null], high: [null, null], low: [null, null], close: [null, null], volume: [null, null] }],
+        adjclose: [{ adjclose: [410.2, 412.8] }]
+      }
+    }]
+  }
+});
+
+// Neither close series: nothing to build candles from
+const priceless = (symbol) => ({
+  chart: { result: [{ meta: { symbol }, timestamp: [now], indicators: { quote: [{ open: [1] }] } }] }
+});
+
+const charts = { SPY: adjcloseOnlyChart, NOPRICE: priceless };
+
+const csvBody = [
+  'Date,Open,High,Low,Close,Volume',
+  `${new Date((now - DAY) * 1000).toISOString().split('T')[0]},149.9,150.8,149.1,150.1,`,
+  `${new Date(now * 1000).toISOString().split('T')[0]},150.1,150.9,149.8,150.6,`
+].join('\n');
+
+const stub = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://stub');
+  const route = url.pathname.startsWith('/v8/') ? 'v8' : url.pathname.startsWith('/v7/') ? 'v7' : url.pathname === '/csv' ? 'csv' : null;
+
+  if (!route) {
+    res.writeHead(404).end();
+  } else if (failing.has(route)) {
+    res.writeHead(503, { 'Content-Type': 'text/plain' }).end('Service Unavailable');
+  } else if (route === 'csv') {
+    res.writeHead(200, { 'Content-Type': 'text/csv' }).end(csvBody);
+  } else {
+    const symbol = decodeURIComponent(url.pathname.split('/').pop());
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify((charts[symbol] || yahooChart)(symbol)));
+  }
+});
+
+async function testProviders() {
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${stub.address().port}`;
+
+  const v8 = { ...createYahooProvider({ name: 'yahoo-v8', version: 'v8', baseUrl }), source: 'yahoo-finance' };
+  const v7 = { ...createYahooProvider({ name: 'yahoo-v7', version: 'v7', baseUrl }), source: 'yahoo-finance-v7' };
+  const csv = createCsvProvider({ name: 'csv', urlTemplate: `${baseUrl}/csv?s={symbol}&i={interval}`, symbolMap: { 'JPY=X': 'usdjpy' } });
+  const params = { symbol: 'JPY=X', interval: '1d', range: '1mo' };
+
+  suite('market data providers');
+
+  console.log('\n1️⃣ Yahoo v8 provider');
+  const v8Result = await v8.fetchChart(params);
+  check('returns candles without the null row', v8Result.candles.length === 2 && v8Result.dropped === 1);
+  check('returns meta block', v8Result.meta.currency === 'JPY' && v8Result.meta.regularMarketPrice === 150.5);
+
+  const adjcloseOnly = await v8.fetchChart({ ...params, symbol: 'SPY' });
+  check('accepts an adjclose-only response', adjcloseOnly.candles.length === 2 && adjcloseOnly.dropped === 0);
+  check('closes come from adjclose', adjcloseOnly.candles.map(candle => candle.close).join() === '410.2,412.8' && adjcloseOnly.candles[1].adjclose === 412.8);
+  const priceless = await v8.fetchChart({ ...params, symbol: 'NOPRICE' }).catch(error => error);
+  check('rejects a response with no close series', priceless.status === 400 && priceless.message === 'Missing timestamp or close price data');
+
+  console.log('\n2️⃣ Yahoo v7 provider');
+  const v7Result = await v7.fetchChart(params);
+  check('parses the v7 chart response', v7Result.candles.length === 2);
+
+  console.log('\n3️⃣ CSV provider');
+  const csvResult = await csv.fetchChart(params);
+  check('parses CSV rows into candles', csvResult.candles.length === 2 && csvResult.candles[1].close === 150.6);
+  check('only supports daily intervals', !csv.supports({ symbol: 'JPY=X', interval: '1h' }));
+  check('only supports mapped symbols', !csv.supports({ symbol: 'GBPUSD=X', interval: '1d' }));
+
+  console.log('\n4️⃣ Fallback chain');
+  const fetchChart = createProviderChain([v8, v7, csv]);
+
+  const primary = await fetchChart(params);
+  check('uses the first provider when it works', primary.provider === 'yahoo-v8' && primary.source === 'yahoo-finance');
+
+  failing.add('v8');
+  const fallback = await fetchChart(params);
+  check('falls back to yahoo-v7 when v8 fails', fallback.provider === 'yahoo-v7');
+  check('records the failed attempt', fallback.attempts.length === 1 && fallback.attempts[0].status === 503);
+
+  failing.add('v7');
+  const last = await fetchChart(params);
+  check('falls back to the CSV provider', last.provider === 'csv');
+
+  failing.add('csv');
+  try {
+    await fetchChart(params);
+    check('rejects when every provider fails', false);
+  } catch (error) {
+    check('rejects when every provider fails', error.attempts.length === 3);
+  }
+
+  const skipped = await fetchChart({ ...params, interval: '1h' }).catch(error => error);
+  check('skips providers that do not support the request', skipped.attempts.some(attempt => attempt.skipped));
+
+  finish();
+}
+
+testProviders()
+  .catch(error => {
+    console.error('💥 Test suite failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => stub.close());
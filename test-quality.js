@@ -0,0 +1,66 @@
+/**
+ * Test script for the data-quality report
+ *
+ * Usage:
+ *   node test-quality.js
+ *
+ * Runs offline against synthetic cache series (no server needed)
+ */
+
+const { isTradingHour, isTradingDay, analyzeQuality } = require('./fx-quality');
+const { createEmptySeries } = require('./fx-instruments');
+const { suite, check, finish } = require('./test-helpers');
+
+const HOUR = 60 * 60;
+const at = (day, hour = 0) => Date.UTC(2024, 0, day, hour) / 1000; // January 2024, the 1st is a Monday
+
+const bucket = (day, hour, missingHours = 0) => ({
+  timestamp: at(day, hour),
+  date: new Date(at(day, hour) * 1000).toISOString(),
+  close: 140,
+  missingHours
+});
+
+suite('data-quality report');
+
+console.log('\n1️⃣ FX calendar');
+check('Saturday is closed', !isTradingHour(at(6, 12)));
+check('Sunday opens at 22:00 UTC', !isTradingHour(at(7, 21)) && isTradingHour(at(7, 22)));
+check('Friday closes at 22:00 UTC', isTradingHour(at(5, 21)) && !isTradingHour(at(5, 22)));
+check('weekdays are trading days', isTradingDay('2024-01-03') && !isTradingDay('2024-01-06'));
+check('FX holidays are skipped', !isTradingDay('2024-12-25') && isTradingDay('2024-12-25', 'exchange'));
+
+console.log('\n2️⃣ Daily series');
+const cache = {
+  ...createEmptySeries(),
+  // Jan 1-5 and 8-12 are weekdays: Jan 4 is missing, Jan 10 is duplicated, the weekend is not a gap
+  usdjpy1D: ['01', '02', '03', '05', '08', '09', '10', '10', '11', '12'].map(day => ({ date: `2024-01-${day}`, close: 140 })),
+  // Last bar on Jan 8 with "now" on Jan 12: three trading days behind
+  dxy1D: ['02', '03', '04', '05', '08'].map(day => ({ date: `2024-01-${day}`, close: 102 })),
+  // Friday 16:00 bucket is followed by Sunday 20:00 (Sunday 20:00 only has 2 open hours)
+  usdjpy4H: [bucket(5, 12, 3), bucket(5, 16), bucket(5, 20, 2), bucket(7, 20, 2), bucket(8, 0), bucket(8, 8, 1), bucket(12, 4)]
+};
+const report = analyzeQuality(cache, { now: at(12, 9) * 1000, dropped: { usdjpy1D: 2 } });
+const daily = report.series.usdjpy1D;
+check('missing weekday is a gap', daily.gaps.count === 1 && daily.gaps.missing[0] === '2024-01-04');
+check('duplicate dates are flagged', daily.duplicates.count === 1 && daily.duplicates.keys[0] === '2024-01-10');
+check('dropped nulls are reported', daily.droppedNulls === 2 && daily.issues.includes('dropped-nulls'));
+check('up-to-date series is not stale', daily.stale.stale === false);
+check('duplicates make the series an error', daily.status === 'error');
+check('series several days behind is stale', report.series.dxy1D.stale.stale && report.series.dxy1D.stale.tradingPeriodsBehind === 4);
+
+console.log('\n3️⃣ 4H series');
+const intraday = report.series.usdjpy4H;
+check('weekend buckets are not gaps', !intraday.gaps.missing.some(date => date.startsWith('2024-01-06')));
+check('missing weekday bucket is a gap', intraday.gaps.missing.includes('2024-01-08T04:00:00.000Z'));
+check('closed hours do not count as incomplete', !intraday.incompleteBuckets.buckets.some(row => row.date.startsWith('2024-01-07')));
+check('first bucket is not judged', !intraday.incompleteBuckets.buckets.some(row => row.date === '2024-01-05T12:00:00.000Z'));
+check('missing open hour is incomplete', intraday.incompleteBuckets.buckets.some(row => row.date === '2024-01-08T08:00:00.000Z' && row.missingHours === 1));
+check('bucket before the forming one is not stale', intraday.stale.stale === false);
+
+console.log('\n4️⃣ Summary');
+check('empty series are errors', report.series.gbpusd4H.status === 'error' && report.series.gbpusd4H.issues[0] === 'empty');
+check('worst status wins', report.summary.status === 'error');
+check('issues listed per series', report.summary.issues.usdjpy1D.includes('gaps'));
+
+finish();
@@ -0,0 +1,103 @@
+/**
+ * Test script for the token-bucket rate limiter
+ *
+ * Usage:
+ *   node test-rate-limit.js
+ *
+ * Runs offline with a fake clock and stub requests (no server needed)
+ */
+
+const { DEFAULT_LIMITS, resolveLimits, createMemoryStore, createRateLimiter } = require('./rate-limit');
+const { suite, check, finish } = require('./test-helpers');
+
+// Minimal req/res pair recording what the middleware did
+const call = async (middleware, req) => {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  await middleware({ path: '/test', ...req }, res, () => { passed = true; });
+  return { passed, res };
+};
+
+(async () => {
+  suite('rate limiter');
+
+  console.log('\n1️⃣ Limits');
+  const limits = resolveLimits({ proxy: { capacity: 60 } });
+  check('defaults for every group', Object.keys(limits).join() === 'read,proxy,write');
+  check('overrides merge into defaults', limits.proxy.capacity === 60 && limits.proxy.perMinute === DEFAULT_LIMITS.proxy.perMinute);
+  let threw = false;
+  try {
+    resolveLimits({ write: { perMinute: 0 } });
+  } catch (error) {
+    threw = true;
+  }
+  check('invalid limits are rejected', threw);
+
+  console.log('\n2️⃣ Token bucket');
+  let clock = 0;
+  const store = createMemoryStore({ now: () => clock });
+  const limit = { capacity: 3, perMinute: 60 };
+  const results = [];
+  for (let i = 0; i < 4; i++) {
+    results.push(await store.take('a', limit));
+  }
+  check('burst up to capacity', results.slice(0, 3).every(result => result.allowed) && results.map(result => result.remaining).slice(0, 3).join() === '2,1,0');
+  check('empty bucket refuses', !results[3].allowed && results[3].retryAfterSeconds === 1);
+  clock += 1000;
+  check('one token back after a second at 60/min', (await store.take('a', limit)).allowed && !(await store.take('a', limit)).allowed);
+  clock += 60000;
+  const refilled = await store.take('a', limit);
+  check('refill caps at capacity', refilled.remaining === 2);
+  check('reset is the time to a full bucket', refilled.resetSeconds === 1);
+  check('keys have separate buckets', (await store.take('b', limit)).remaining === 2);
+
+  const small = createMemoryStore({ maxKeys: 2, now: () => clock });
+  await small.take('x', limit);
+  await small.take('y', limit);
+  await small.take('x', limit);
+  await small.take('z', limit);
+  check('least recently used bucket is evicted', small.size() === 2 && (await small.take('y', limit)).remaining === 2);
+
+  console.log('\n3️⃣ Middleware');
+  clock = 0;
+  const limited = [];
+  const middleware = createRateLimiter({
+    name: 'proxy',
+    limit: { capacity: 2, perMinute: 30 },
+    store: createMemoryStore({ now: () => clock }),
+    onLimited: (name) => limited.push(name)
+  });
+  const first = await call(middleware, { ip: '1.2.3.4' });
+  check('allowed request passes', first.passed && first.res.statusCode === 200);
+  check('RateLimit headers', first.res.headers['RateLimit-Limit'] === '2' && first.res.headers['RateLimit-Remaining'] === '1' && first.res.headers['RateLimit-Policy'] === '2;w=4');
+  await call(middleware, { ip: '1.2.3.4' });
+  const blocked = await call(middleware, { ip: '1.2.3.4' });
+  check('429 once the bucket is empty', !blocked.passed && blocked.res.statusCode === 429 && blocked.res.body.retryAfter === 2);
+  check('Retry-After header', blocked.res.headers['Retry-After'] === '2');
+  check('onLimited called', limited.join() === 'proxy');
+  check('other IPs are unaffected', (await call(middleware, { ip: '5.6.7.8' })).passed);
+  check('verified API keys get their own bucket', (await call(middleware, { ip: '1.2.3.4', apiKey: { name: 'ci' } })).passed);
+
+  const batch = createRateLimiter({
+    name: 'proxy',
+    limit: { capacity: 5, perMinute: 5 },
+    store: createMemoryStore({ now: () => clock }),
+    cost: (req) => req.symbols
+  });
+  const costly = await call(batch, { ip: '1.2.3.4', symbols: 3 });
+  check('cost takes several tokens', costly.passed && costly.res.headers['RateLimit-Remaining'] === '2');
+  check('cost over the remaining tokens is refused', !(await call(batch, { ip: '1.2.3.4', symbols: 3 })).passed);
+  check('cost is capped at capacity', (await call(batch, { ip: '5.6.7.8', symbols: 50 })).passed);
+
+  const failing =createRateLimiter({ name: 'read', limit: { capacity: 1, perMinute: 1 }, store: { take: async () => { throw new Error('store down'); } } });
+  check('failing store lets requests through', (await call(failing, { ip: '1.2.3.4' })).passed);
+
+  finish();
+})();
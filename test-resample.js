@@ -0,0 +1,54 @@
+/**
+ * Test script for 4H OHLC resampling
+ *
+ * Usage:
+ *   node test-resample.js
+ *
+ * Runs offline against synthetic hourly candles (no server needed)
+ */
+
+const { extractCandles } = require('./candles');
+const { resampleCandles } = require('./resample');
+const { suite, check, finish } = require('./test-helpers');
+
+const HOUR = 60 * 60;
+const BASE = Date.UTC(2024, 0, 2, 0, 0, 0) / 1000; // Tue 2024-01-02 00:00 UTC
+
+// Yahoo-style chart result: 10 hourly rows starting at 01:00, one null row, 03:00 missing entirely
+const hours = [1, 2, 4, 5, 6, 7, 8, 9, 10, 11];
+const chartResult = {
+  timestamp: hours.map(h => BASE + h * HOUR),
+  indicators: {
+    quote: [{
+      open: hours.map(h => 100 + h),
+      high: hours.map(h => 100 + h + 0.5),
+      low: hours.map(h => 100 + h - 0.5),
+      close: hours.map(h => (h === 5 ? null : 100 + h + 0.25)),
+      volume: hours.map(() => 10)
+    }]
+  }
+};
+
+suite('4H resampling');
+
+console.log('\n1️⃣ Candle extraction');
+const { candles, dropped } = extractCandles(chartResult);
+check('null close rows are dropped', dropped === 1 && candles.length === 9);
+
+console.log('\n2️⃣ UTC-aligned buckets');
+const now = (BASE + 11 * HOUR + 30 * 60) * 1000; // 11:30 UTC, 08:00 bucket still forming
+const buckets = resampleCandles(candles, { hours: 4, now });
+check('three buckets (00/04/08 UTC)', buckets.length === 3);
+check('buckets start on 4h boundaries', buckets.every(b => new Date(b.timestamp * 1000).getUTCHours() % 4 === 0));
+check('00:00 bucket opens with first candle', buckets[0].open === 101);
+check('00:00 bucket closes with last candle', buckets[0].close === 102.25);
+check('00:00 bucket is missing 00:00 and 03:00', buckets[0].missingHours === 2);
+check('04:00 high/low span the bucket', buckets[1].high === 107.5 && buckets[1].low === 103.5);
+check('04:00 volume is summed', buckets[1].volume === 30);
+
+console.log('\n3️⃣ Incomplete buckets');
+check('closed buckets are complete', buckets[0].complete && buckets[1].complete);
+check('forming bucket is incomplete', buckets[2].complete === false);
+check('forming bucket only counts elapsed hours', buckets[2].missingHours === 0);
+
+finish();
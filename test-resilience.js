@@ -0,0 +1,86 @@
+/**
+ * Test script for retries and circuit breakers
+ *
+ * Usage:
+ *   node test-resilience.js
+ *
+ * Runs offline with stub providers and a fake clock (no server needed)
+ */
+
+const { retryWithBackoff, createCircuitBreaker } = require('./resilience');
+const { createProviderChain } = require('./market-data');
+const { suite, check, finish } = require('./test-helpers');
+
+const failWith = (status) => Object.assign(new Error(`status ${status}`), { status });
+
+(async () => {
+  suite('retries and circuit breakers');
+
+  console.log('\n1️⃣ Exponential backoff');
+  const waits = [];
+  let calls = 0;
+  const value = await retryWithBackoff(async () => {
+    calls++;
+    if (calls < 3) throw new Error('flaky');
+    return 'ok';
+  }, { retries: 3, baseDelayMs: 100, wait: async ms => waits.push(ms), random: () => 0 });
+  check('resolves once a retry succeeds', value === 'ok' && calls === 3);
+  check('delays double between attempts', waits.join() === '100,200');
+
+  let error = null;
+  try {
+    await retryWithBackoff(async () => { throw new Error('down'); }, { retries: 2, baseDelayMs: 1, wait: async () => {} });
+  } catch (e) {
+    error = e;
+  }
+  check('rethrows after the last retry', error?.message === 'down' && error.retries === 2);
+
+  calls = 0;
+  try {
+    await retryWithBackoff(async () => { calls++; throw failWith(404); }, { retries: 5, wait: async () => {}, shouldRetry: e => e.status >= 500 });
+  } catch (e) {
+    error = e;
+  }
+  check('shouldRetry can stop early', calls === 1 && error.retries === 0);
+
+  console.log('\n2️⃣ Circuit breaker');
+  let now = 0;
+  const breaker = createCircuitBreaker({ name: 'test', failureThreshold: 3, cooldownMs: 1000, now: () => now });
+  breaker.recordFailure();
+  breaker.recordFailure();
+  check('stays closed below the threshold', breaker.allowRequest() && breaker.stats().state === 'closed');
+  breaker.recordFailure();
+  check('opens at the threshold', !breaker.allowRequest() && breaker.stats().state === 'open');
+  now = 1000;
+  check('lets one trial through after the cooldown', breaker.allowRequest() && !breaker.allowRequest());
+  breaker.recordFailure();
+  check('a failed trial reopens it', breaker.stats().state === 'open' && breaker.stats().timesOpened === 2);
+  now = 2000;
+  breaker.allowRequest();
+  breaker.recordSuccess();
+  check('a successful trial closes it', breaker.stats().state === 'closed' && breaker.stats().consecutiveFailures === 0);
+
+  console.log('\n3️⃣ Provider chain with breakers');
+  let primaryCalls = 0;
+  const primary = { name: 'primary', upstream: 'up', supports: () => true, fetchChart: async () => { primaryCalls++; throw failWith(503); } };
+  const backup = { name: 'backup', upstream: 'other', supports: () => true, fetchChart: async () => ({ candles: [] }) };
+  const breakers = { up: createCircuitBreaker({ name: 'up', failureThreshold: 2, cooldownMs: 60000 }) };
+  const chain = createProviderChain([primary, backup], { breakers });
+
+  await chain({ symbol: 'X' });
+  await chain({ symbol: 'X' });
+  const result = await chain({ symbol: 'X' });
+  check('open breaker skips the provider', primaryCalls === 2);
+  check('skip is recorded in attempts', result.attempts[0].reason === 'circuit-open' && result.provider === 'backup');
+
+  const badSymbol = { name: 'bad', upstream: 'bad', supports: () => true, fetchChart: async () => { throw failWith(400); } };
+  const badBreakers = { bad: createCircuitBreaker({ name: 'bad', failureThreshold: 1 }) };
+  try {
+    await createProviderChain([badSymbol], { breakers: badBreakers })({ symbol: 'NOPE' });
+  } catch (e) {
+    error = e;
+  }
+  check('4xx errors do not open the breaker', badBreakers.bad.stats().state === 'closed' && error.attempts[0].status === 400);
+
+  finish();
+})();
@@ -0,0 +1,118 @@
+/**
+ * Test script for the upstream response cache
+ *
+ * Usage:
+ *   node test-response-cache.js
+ *
+ * Runs offline with a fake clock and stub fetchers (no server needed)
+ */
+
+const { DEFAULT_TTLS, createResponseCache } = require('./response-cache');
+const { suite, check, finish } = require('./test-helpers');
+
+// Fetcher returning `value` that records its calls and resolves only when released
+const deferredFetcher = (value) => {
+  const fetcher = () => {
+    fetcher.calls++;
+    return new Promise((resolve, reject) => {
+      fetcher.resolve = () => resolve(value);
+      fetcher.reject = reject;
+    });
+  };
+  fetcher.calls = 0;
+  return fetcher;
+};
+
+// Immediate fetcher counting its calls
+const countingFetcher = (value) => {
+  const fetcher = async () => {
+    fetcher.calls++;
+    return typeof value === 'function' ? value(fetcher.calls) : value;
+  };
+  fetcher.calls = 0;
+  return fetcher;
+};
+
+// Lets queued promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+(async () => {
+  suite('response cache');
+
+  let clock = 0;
+  const now = () => clock;
+
+  console.log('\n1️⃣ TTLs');
+  const ttlCache = createResponseCache({ ttls: { '1d': 10 }, defaultTtl: 20, now });
+  check('per-interval TTL in ms', ttlCache.ttlFor('1h') === DEFAULT_TTLS['1h'] * 1000);
+  check('overrides and default', ttlCache.ttlFor('1d') === 10000 && ttlCache.ttlFor('4h') === 20000);
+
+  console.log('\n2️⃣ Hits and expiry');
+  const cache = createResponseCache({ ttls: { '1d': 60 }, now });
+  const fetcher = countingFetcher(calls => `v${calls}`);
+  const miss = await cache.get('EURUSD=X|1d', '1d', fetcher);
+  check('first lookup is a MISS', miss.status === 'MISS' && miss.value === 'v1' && fetcher.calls === 1);
+  clock += 30 * 1000;
+  const hit = await cache.get('EURUSD=X|1d', '1d', fetcher);
+  check('within TTL is a HIT with its age', hit.status === 'HIT' && hit.value === 'v1' && hit.age === 30 && fetcher.calls === 1);
+  check('keys are separate', (await cache.get('USDJPY=X|1d', '1d', fetcher)).status === 'MISS' && fetcher.calls === 2);
+
+  console.log('\n3️⃣ Stale-while-revalidate');
+  clock = 60 * 1000;
+  const stale = await cache.get('EURUSD=X|1d', '1d', fetcher);
+  check('after TTL the old value is served STALE', stale.status === 'STALE' && stale.value === 'v1' && stale.age === 60);
+  check('and one background refetch starts', fetcher.calls === 3);
+  await flush();
+  const revalidated = await cache.get('EURUSD=X|1d', '1d', fetcher);
+  check('revalidated value is a fresh HIT', revalidated.status === 'HIT' && revalidated.value === 'v3' && revalidated.age === 0);
+
+  const slow = deferredFetcher('new');
+  const slowCache = createResponseCache({ ttls: { '1d': 60 }, now });
+  clock = 0;
+  await slowCache.get('k', '1d', countingFetcher('old'));
+  clock = 90 * 1000;
+  await slowCache.get('k', '1d', slow);
+  await slowCache.get('k', '1d', slow);
+  check('only one revalidation while it is in flight', slow.calls === 1 && slowCache.stats().revalidations === 1 && slowCache.stats().stale === 2);
+  slow.reject(new Error('upstream down'));
+  await flush();
+  const afterFailure = await slowCache.get('k', '1d', countingFetcher('again'));
+  check('failed revalidation keeps the stale value', afterFailure.status === 'STALE' && afterFailure.value === 'old' && slowCache.stats().errors === 1);
+  await flush();
+  check('and the next lookup revalidates again', (await slowCache.get('k', '1d', countingFetcher('unused'))).value === 'again');
+
+  clock += 120 * 1000;
+  const expired = countingFetcher('fresh');
+  const gone = await slowCache.get('k', '1d', expired);
+  check('past two TTLs it is a MISS again', gone.status === 'MISS' && gone.value === 'fresh');
+
+  console.log('\n4️⃣ Coalescing');
+  const coalesceCache = createResponseCache({ now });
+  const shared = deferredFetcher('shared');
+  const lookups = [1, 2, 3].map(() => coalesceCache.get('GC=F|1h', '1h', shared));
+  await flush();
+  check('concurrent misses share one fetch', shared.calls === 1 && coalesceCache.stats().inFlight === 1);
+  shared.resolve();
+  const results = await Promise.all(lookups);
+  check('first is MISS, the rest COALESCED', results.map(result => result.status).join() === 'MISS,COALESCED,COALESCED');
+  check('all get the same value', results.every(result => result.value === 'shared') && coalesceCache.stats().inFlight === 0);
+
+  const failing = deferredFetcher(null);
+  const failed = [1, 2].map(() => coalesceCache.get('DX-Y.NYB|1h', '1h', failing).catch(error => error.message));
+  await flush();
+  failing.reject(new Error('boom'));
+  check('a failed fetch rejects every waiter', (await Promise.all(failed)).join() === 'boom,boom' && failing.calls === 1);
+  const retry = countingFetcher('ok');
+  check('failures are not cached', (await coalesceCache.get('DX-Y.NYB|1h', '1h', retry)).status === 'MISS' && retry.calls === 1);
+
+  console.log('\n5️⃣ Eviction and stats');
+  const small = createResponseCache({ maxEntries: 2, now });
+  const filler = countingFetcher('x');
+  for (const key of ['a', 'b', 'c']) {
+    await small.get(key, '1h', filler);
+  }
+  check('oldest stored entry is evicted', small.stats().entries === 2 && (await small.get('a', '1h', filler)).status === 'MISS');
+  check('hit rate counts hits, stale and coalesced', (await small.get('c', '1h', filler)).status === 'HIT' && small.stats().hitRate === 0.2);
+
+  finish();
+})();
@@ -0,0 +1,86 @@
+/**
+ * Test script for the market-calendar-aware refresh scheduler
+ *
+ * Usage:
+ *   node test-scheduler.js
+ *
+ * Runs offline with a fake clock (no server needed)
+ */
+
+const { isFxMarketOpen, nextNyClose } = require('./fx-calendar');
+const { nextCandleClose, createRefreshScheduler } = require('./fx-scheduler');
+const { suite, check, finish } = require('./test-helpers');
+
+const at = (iso) => Date.parse(iso);
+const iso = (ms) => new Date(ms).toISOString();
+const MINUTE = 60 * 1000;
+
+(async () => {
+  suite('refresh scheduler');
+
+  console.log('\n1️⃣ FX calendar');
+  check('NY close is 21:00 UTC in summer', iso(nextNyClose(at('2024-07-02T12:00:00Z'))) === '2024-07-02T21:00:00.000Z');
+  check('NY close is 22:00 UTC in winter', iso(nextNyClose(at('2024-01-02T12:00:00Z'))) === '2024-01-02T22:00:00.000Z');
+  check('market shut on Saturday', !isFxMarketOpen(at('2024-07-06T12:00:00Z')));
+  check('market opens Sunday 17:00 NY', !isFxMarketOpen(at('2024-07-07T20:59:00Z')) && isFxMarketOpen(at('2024-07-07T21:00:00Z')));
+  check('market shut on Dec 25', !isFxMarketOpen(at('2024-12-25T12:00:00Z')));
+
+  console.log('\n2️⃣ Candle closes');
+  const close = (from) => {
+    const next = nextCandleClose(at(from));
+    return `${iso(next.close)} ${next.reason}`;
+  };
+  check('next 4H boundary on a weekday', close('2024-07-02T13:10:00Z') === '2024-07-02T16:00:00.000Z 4h-close');
+  check('NY close between 4H boundaries', close('2024-07-02T20:30:00Z') === '2024-07-02T21:00:00.000Z ny-close');
+  check('Friday NY close still runs', close('2024-07-05T20:30:00Z') === '2024-07-05T21:00:00.000Z ny-close');
+  check('weekend is skipped to Monday 00:00 UTC', close('2024-07-05T21:00:00Z') === '2024-07-08T00:00:00.000Z 4h-close');
+  check('winter Friday close is 22:00 UTC', close('2024-01-05T20:10:00Z') === '2024-01-05T22:00:00.000Z ny-close');
+
+  console.log('\n3️⃣ Scheduler');
+  let now = at('2024-07-02T15:58:00Z');
+  const runs = [];
+  const scheduler = createRefreshScheduler({
+    task: async (run) => { runs.push(run.reason); return true; },
+    delayMs: 5 * MINUTE,
+    jitterMs: 60 * 1000,
+    random: () => 0.5,
+    now: () => now
+  });
+  check('nothing planned before start', scheduler.nextRun() === null);
+  scheduler.start();
+  check('runs delay + jitter after the close', iso(scheduler.nextRun().at) === '2024-07-02T16:05:30.000Z');
+  check('reports the candle close', iso(scheduler.nextRun().close) === '2024-07-02T16:00:00.000Z');
+  scheduler.start();
+  check('start is idempotent', iso(scheduler.nextRun().at) === '2024-07-02T16:05:30.000Z');
+
+  check('backup from before a missed close is due', scheduler.isDue(at('2024-07-02T11:00:00Z')));
+  check('backup written after the last run is not due', !scheduler.isDue(at('2024-07-02T12:06:00Z')));
+  now = at('2024-07-07T10:00:00Z');
+  check('Friday-close backup is not due over the weekend', !scheduler.isDue(at('2024-07-05T21:06:00Z')));
+  scheduler.stop();
+  check('stop clears the plan', scheduler.nextRun() === null);
+
+  // Let a real timer fire: run shortly after a close that is "now"
+  now = at('2024-07-02T16:04:59Z');
+  const live = createRefreshScheduler({ task: async (run) => { runs.push(run.reason); return true; }, delayMs: 5 * MINUTE, now: () => now });
+  live.start();
+  now = at('2024-07-02T16:05:00Z');
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  check('task ran once', runs.length === 1 && runs[0] === '4h-close');
+  check('next run is planned before the task finishes', iso(live.nextRun().close) === '2024-07-02T20:00:00.000Z');
+  check('last run is recorded', live.lastRun()?.success === true);
+  live.stop();
+
+  // The timer fires a few ms before the planned run (drift or a clock step): the close
+  // it ran for must not be picked again
+  now = at('2024-07-02T16:04:59.990Z');
+  const early = [];
+  const drifting = createRefreshScheduler({ task: async (run) => { early.push(iso(run.close)); return true; }, delayMs: 5 * MINUTE, now: () => now });
+  drifting.start();
+  await new Promise(resolve => setTimeout(resolve, 200));
+  check('early timer runs the close once', early.join() === '2024-07-02T16:00:00.000Z');
+  check('and plans the following close', iso(drifting.nextRun().close) === '2024-07-02T20:00:00.000Z');
+  drifting.stop();
+
+  finish();
+})();
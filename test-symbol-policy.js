@@ -0,0 +1,72 @@
+/**
+ * Test script for the proxy symbol policy
+ *
+ * Usage:
+ *   node test-symbol-policy.js
+ *
+ * Runs offline against the instrument registry (no server needed)
+ */
+
+const { createSymbolPolicy, validateChartParams, allowedRanges } = require('./symbol-policy');
+const { suite, check, finish } = require('./test-helpers');
+
+// Status of the error thrown by fn, or null when it doesn't throw
+const statusOf = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.status;
+  }
+};
+
+suite('symbol policy');
+
+console.log('\n1️⃣ Aliases');
+const policy = createSymbolPolicy({ extraSymbols: [] });
+check('USDJPY -> JPY=X', policy.resolve('USDJPY').symbol === 'JPY=X');
+check('DXY -> DX-Y.NYB', policy.resolve('DXY').symbol === 'DX-Y.NYB');
+check('case, spaces and slashes are ignored', policy.resolve('usd/jpy').symbol === 'JPY=X' && policy.resolve('EUR USD').symbol === 'EURUSD=X');
+check('configured aliases', policy.resolve('XAUUSD').symbol === 'GC=F' && policy.resolve('usdx').symbol === 'DX-Y.NYB');
+check('canonical symbol resolves to itself', policy.resolve('^TNX').symbol === '^TNX' && policy.resolve('^TNX').instrument.id === 'us10y');
+check('requested name is kept', policy.resolve('usdjpy').requested === 'usdjpy');
+
+let threw = false;
+try {
+  createSymbolPolicy({
+    instruments: [
+      { id: 'a', symbol: 'A=X', aliases: ['SAME'] },
+      { id: 'b', symbol: 'B=X', aliases: ['same'] }
+    ],
+    extraSymbols: []
+  });
+} catch (error) {
+  threw = true;
+}
+check('conflicting aliases are rejected', threw);
+
+console.log('\n2️⃣ Allowlist');
+check('unknown symbol is 404', statusOf(() => policy.resolve('AAPL')) === 404);
+check('malformed symbol is 400', statusOf(() => policy.resolve('JPY=X/../v7')) === 400 && statusOf(() => policy.resolve('A'.repeat(21))) === 400);
+check('empty symbol is 400', statusOf(() => policy.resolve('')) === 400);
+const extended = createSymbolPolicy({ extraSymbols: ['AUDUSD=X'] });
+check('allowlisted symbol passes', extended.resolve('audusd=x').symbol === 'AUDUSD=X' && extended.resolve('AUDUSD=X').instrument === null);
+check('others still 404', statusOf(() => extended.resolve('AAPL')) === 404);
+const open = createSymbolPolicy({ extraSymbols: ['*'] });
+check('"*" allows well-formed symbols', open.allowAny && open.resolve('AAPL').symbol === 'AAPL');
+check('"*" still rejects malformed symbols', statusOf(() => open.resolve('a b?c')) === 400);
+
+console.log('\n3️⃣ Interval and range');
+check('defaults are valid', statusOf(() => validateChartParams({ interval: '1d', range: '1mo' })) === null);
+check('4h over 5d is valid', statusOf(() => validateChartParams({ interval: '4h', range: '5d' })) === null);
+check('unknown interval is 400', statusOf(() => validateChartParams({ interval: '3h', range: '1mo' })) === 400);
+check('unknown range is 400', statusOf(() => validateChartParams({ interval: '1d', range: '7w' })) === 400);
+check('inherited property names are not ranges', statusOf(() => validateChartParams({ interval: '1d', range: 'toString' })) === 400);
+check('repeated query values are 400', statusOf(() => validateChartParams({ interval: ['1d', '1h'], range: '1mo' })) === 400);
+check('1m over 1mo is 400', statusOf(() => validateChartParams({ interval: '1m', range: '1mo' })) === 400);
+check('1h over 2y is 400', statusOf(() => validateChartParams({ interval: '1h', range: '2y' })) === 400);
+check('1h over 1y is valid', statusOf(() => validateChartParams({ interval: '1h', range: '1y' })) === null);
+check('1d over max is valid', statusOf(() => validateChartParams({ interval: '1d', range: 'max' })) === null);
+check('allowed ranges for 1m', allowedRanges('1m').join() === '1d,5d');
+
+finish();
@@ -0,0 +1,89 @@
+/**
+ * Test script for FX cache write validation
+ *
+ * Usage:
+ *   node test-validation.js
+ *
+ * Runs offline (no server needed)
+ */
+
+const { LAST_UPDATE_MAX_SKEW_MS, validateSeries, validateLastUpdate, validateCacheSeries } = require('./fx-validation');
+const { suite, check, finish } = require('./test-helpers');
+
+const codes = (errors) => errors.map(error => error.code).join();
+const daily = (date, close = 1.1) => ({ date, close });
+const intraday = (timestamp, close = 1.1) => ({ timestamp, date: new Date(timestamp * 1000).toISOString(), close });
+
+suite('FX cache validation');
+
+console.log('\n1️⃣ Row shape');
+check('valid daily rows', validateSeries('eurusd1D', [daily('2024-07-10'), daily('2024-07-11')]).length === 0);
+check('valid 4H rows', validateSeries('eurusd4H', [intraday(1720771200), intraday(1720785600)]).length === 0);
+check('series must be an array', codes(validateSeries('eurusd1D', { date: '2024-07-10' })) === 'not_array');
+check('too many rows', codes(validateSeries('eurusd1D', [daily('2024-07-10'), daily('2024-07-11')], { maxRows: 1 })) === 'too_many_rows');
+check('rows must be objects', codes(validateSeries('eurusd1D', [null, [], 'x'])) === 'not_object,not_object,not_object');
+check('close is required and positive', codes(validateSeries('eurusd1D', [
+  { date: '2024-07-10' },
+  daily('2024-07-11', 0),
+  daily('2024-07-12', '1.1'),
+  daily('2024-07-13', Infinity)
+])) === 'invalid_close,invalid_close,invalid_close,invalid_close');
+check('OHLC fields are checked when present', codes(validateSeries('eurusd1D', [
+  { ...daily('2024-07-10'), open: -1, high: null, low: 1.05 }
+])) === 'invalid_open,invalid_high');
+check('daily dates must be calendar dates', codes(validateSeries('eurusd1D', [
+  daily('2024-02-30'),
+  daily('2024-7-1'),
+  daily('2024-07-10T00:00:00Z')
+])) === 'invalid_date,invalid_date,invalid_date');
+check('4H timestamps are positive integer seconds', codes(validateSeries('eurusd4H', [
+  { ...intraday(1720771200), timestamp: 1720771200.5 },
+  { ...intraday(1720771200), timestamp: -1 }
+])) === 'invalid_timestamp,invalid_timestamp');
+check('4H dates must match the timestamp', codes(validateSeries('eurusd4H', [
+  { ...intraday(1720771200), date: '2024-07-12T09:00:00.000Z' },
+  { ...intraday(1720785600), date: '2024-07-12' }
+])) === 'date_mismatch,invalid_date');
+const located = validateSeries('eurusd1D', [daily('2024-07-10'), daily('2024-07-11', 'x')])[0];
+check('errors name the series, row and field', located.series === 'eurusd1D' && located.index === 1 && located.field === 'close');
+
+console.log('\n2️⃣ Ordering');
+check('duplicate dates', codes(validateSeries('eurusd1D', [daily('2024-07-10'), daily('2024-07-10')])) === 'duplicate');
+check('out of order dates', codes(validateSeries('eurusd1D', [daily('2024-07-11'), daily('2024-07-10')])) === 'not_increasing');
+check('duplicate timestamps', codes(validateSeries('eurusd4H', [intraday(1720771200), intraday(1720771200)])) === 'duplicate');
+check('out of order timestamps', codes(validateSeries('eurusd4H', [intraday(1720785600), intraday(1720771200)])) === 'not_increasing');
+check('a late row is compared with the latest so far', codes(validateSeries('eurusd1D', [
+  daily('2024-07-10'),
+  daily('2024-07-12'),
+  daily('2024-07-11'),
+  daily('2024-07-13')
+])) === 'not_increasing');
+check('invalid rows do not break ordering checks', codes(validateSeries('eurusd1D', [
+  daily('2024-07-11'),
+  daily('bad'),
+  daily('2024-07-10')
+])) === 'invalid_date,not_increasing');
+
+console.log('\n3️⃣ lastUpdate');
+const now = Date.parse('2024-07-12T21:00:00Z');
+check('a past time', validateLastUpdate(now - 3600000, now) === null);
+check('now', validateLastUpdate(now, now) === null);
+check('a writer clock slightly ahead', validateLastUpdate(now + 5000, now) === null);
+check('up to the allowed skew', validateLastUpdate(now + LAST_UPDATE_MAX_SKEW_MS, now) === null);
+check('beyond the allowed skew', validateLastUpdate(now + LAST_UPDATE_MAX_SKEW_MS + 1, now) === 'lastUpdate cannot be in the future');
+check('not a number', ['1720818000000', null, undefined, NaN, Infinity, 0, -1].every(value => validateLastUpdate(value, now) !== null));
+
+console.log('\n4️⃣ Whole cache');
+const report = validateCacheSeries({
+  lastUpdate: now,
+  eurusd1D: [daily('2024-07-10')],
+  eurusd4H: [intraday(1720771200), { close: 0 }],
+  notASeries: 'ignored'
+});
+check('only registered series are validated', !report.valid && report.errors.every(error => error.series === 'eurusd4H'));
+check('errors from every row are reported', report.errorCount === 3 && !report.truncated);
+const noisy = validateCacheSeries({ eurusd1D: Array.from({ length: 150 }, () => ({})) });
+check('reported errors are capped', noisy.errorCount === 300 && noisy.errors.length === 100 && noisy.truncated);
+check('a valid cache', validateCacheSeries({ eurusd1D: [daily('2024-07-10')] }).valid);
+
+finish();